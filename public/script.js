@@ -23,6 +23,7 @@
     })(),
     pointerEvents: 'PointerEvent' in window,
     intersectionObserver: 'IntersectionObserver' in window,
+    resizeObserver: 'ResizeObserver' in window,
     webGL: (() => {
       try {
         const canvas = document.createElement('canvas');
@@ -31,8 +32,17 @@
         return false;
       }
     })(),
+    webGL2: (() => {
+      try {
+        const canvas = document.createElement('canvas');
+        return !!(window.WebGL2RenderingContext && canvas.getContext('webgl2'));
+      } catch(e) {
+        return false;
+      }
+    })(),
     webAudio: 'AudioContext' in window || 'webkitAudioContext' in window,
     getUserMedia: !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia),
+    mediaRecorder: 'MediaRecorder' in window && 'captureStream' in HTMLCanvasElement.prototype,
     webWorkers: 'Worker' in window
   };
 
@@ -79,9 +89,510 @@
       if (features.localStorage) {
         localStorage.setItem('theme', theme);
       }
+    },
+
+    // Convert '#rrggbb' to normalised [r, g, b]
+    hexToRgb(hex) {
+      const value = parseInt(hex.slice(1), 16);
+      return [(value >> 16 & 255) / 255, (value >> 8 & 255) / 255, (value & 255) / 255];
+    },
+
+    rgbToHex(rgb) {
+      return '#' + rgb.map(c => Math.round(c * 255).toString(16).padStart(2, '0')).join('');
+    },
+
+    // Save a generated file through a temporary download link
+    downloadBlob(blob, filename) {
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+  };
+
+  // Notifications
+  // Toasts replace alert() and console reporting for user-facing failures. Toasts with
+  // the same severity and message are merged rather than stacked.
+  class NotificationCenter {
+    constructor() {
+      this.region = null;
+      this.toasts = new Map();
+      this.maxVisible = 4;
+      this.timeouts = { info: 4000, success: 4000, warning: 6000, error: 8000 };
+    }
+
+    mount() {
+      if (this.region) return this.region;
+
+      this.region = document.createElement('div');
+      this.region.className = 'toast-region';
+      this.region.setAttribute('role', 'region');
+      this.region.setAttribute('aria-label', 'Notifications');
+      this.region.setAttribute('aria-live', 'polite');
+      document.body.appendChild(this.region);
+      return this.region;
+    }
+
+    info(message, options) {
+      return this.show({ ...options, message, severity: 'info' });
+    }
+
+    success(message, options) {
+      return this.show({ ...options, message, severity: 'success' });
+    }
+
+    warning(message, options) {
+      return this.show({ ...options, message, severity: 'warning' });
+    }
+
+    error(message, options) {
+      return this.show({ ...options, message, severity: 'error' });
+    }
+
+    show({ message, severity = 'info', actions = [], timeout, error }) {
+      // The underlying error still goes to the console, but only from here
+      if (error) {
+        console.error(message, error);
+      }
+
+      const key = `${severity}:${message}`;
+      const existing = this.toasts.get(key);
+      if (existing) {
+        existing.count++;
+        existing.countElement.textContent = `×${existing.count}`;
+        existing.countElement.hidden = false;
+        this.schedule(existing);
+        return key;
+      }
+
+      const region = this.mount();
+      const element = document.createElement('div');
+      element.className = `toast toast-${severity}`;
+      // Errors interrupt; everything else waits its turn in the polite region
+      element.setAttribute('role', severity === 'error' ? 'alert' : 'status');
+
+      const text = document.createElement('p');
+      text.className = 'toast-message';
+      text.textContent = message;
+
+      const countElement = document.createElement('span');
+      countElement.className = 'toast-count';
+      countElement.hidden = true;
+      text.appendChild(countElement);
+
+      element.appendChild(text);
+
+      const buttons = document.createElement('div');
+      buttons.className = 'toast-actions';
+
+      actions.forEach(({ label, onClick, dismiss = true }) => {
+        const button = document.createElement('button');
+        button.className = 'btn btn-secondary';
+        button.textContent = label;
+        button.addEventListener('click', () => {
+          if (dismiss) this.dismiss(key);
+          onClick();
+        });
+        buttons.appendChild(button);
+      });
+
+      const closeBtn = document.createElement('button');
+      closeBtn.className = 'toast-close';
+      closeBtn.textContent = '×';
+      closeBtn.setAttribute('aria-label', 'Dismiss notification');
+      closeBtn.addEventListener('click', () => this.dismiss(key));
+      buttons.appendChild(closeBtn);
+
+      element.appendChild(buttons);
+
+      // Actionable toasts stay until handled; others expire unless hovered or focused
+      const toast = {
+        element,
+        countElement,
+        count: 1,
+        timer: null,
+        timeout: timeout !== undefined ? timeout : (actions.length ? 0 : this.timeouts[severity])
+      };
+
+      element.addEventListener('mouseenter', () => clearTimeout(toast.timer));
+      element.addEventListener('mouseleave', () => this.schedule(toast));
+      element.addEventListener('focusin', () => clearTimeout(toast.timer));
+      element.addEventListener('focusout', () => this.schedule(toast));
+
+      toast.key = key;
+      this.toasts.set(key, toast);
+      region.appendChild(element);
+      this.schedule(toast);
+
+      while (this.toasts.size > this.maxVisible) {
+        this.dismiss(this.toasts.keys().next().value);
+      }
+
+      if (severity === 'error') utils.vibrate([40, 60, 40]);
+      return key;
+    }
+
+    schedule(toast) {
+      clearTimeout(toast.timer);
+      if (toast.timeout > 0) {
+        toast.timer = setTimeout(() => this.dismiss(toast.key), toast.timeout);
+      }
+    }
+
+    dismiss(key) {
+      const toast = this.toasts.get(key);
+      if (!toast) return;
+
+      clearTimeout(toast.timer);
+      toast.element.remove();
+      this.toasts.delete(key);
+    }
+  }
+
+  const notifications = new NotificationCenter();
+
+  // Toast action that opens the browser permissions help dialog
+  function permissionsHelpAction() {
+    return {
+      label: 'Open permissions help',
+      onClick: () => {
+        const dialog = document.getElementById('permissionsHelp');
+        if (dialog && typeof dialog.showModal === 'function') {
+          dialog.showModal();
+        }
+      }
+    };
+  }
+
+  // Motion Permission
+  // iOS only delivers deviceorientation and devicemotion events after a prompt that has
+  // to come from a tap; other browsers deliver them (or never fire them) without asking.
+  // Shared so one grant covers every feature that reads the sensors.
+  const motionPermission = {
+    granted: false,
+    pending: null,
+
+    required() {
+      return features.deviceOrientation && typeof DeviceOrientationEvent.requestPermission === 'function';
+    },
+
+    request() {
+      if (!features.deviceOrientation) return Promise.resolve(false);
+      if (!this.required()) return Promise.resolve(true);
+
+      // Both prompts start inside the tap; awaiting the first would lose it for the second
+      this.pending = this.pending || Promise.all([
+        DeviceOrientationEvent.requestPermission(),
+        features.deviceMotion && typeof DeviceMotionEvent.requestPermission === 'function'
+          ? DeviceMotionEvent.requestPermission()
+          : 'granted'
+      ]).then(([orientation]) => {
+        this.granted = orientation === 'granted';
+        if (!this.granted) {
+          notifications.warning('Device tilt permission was denied.', { actions: [permissionsHelpAction()] });
+        }
+        return this.granted;
+      }).catch((error) => {
+        notifications.warning('Device tilt permission was denied.', {
+          error,
+          actions: [permissionsHelpAction()]
+        });
+        return false;
+      }).finally(() => {
+        this.pending = null;
+      });
+      return this.pending;
     }
   };
 
+  // Experiment Lifecycle
+  // Suspends running experiments while their card is off-screen or the tab is hidden.
+  // Experiments with suspend()/resume() keep their state; the rest are stopped and
+  // started again. Camera and microphone tracks are released after mediaIdleTimeout.
+  // Another experiment reading an off-screen source holds it active with hold()/release().
+  class ExperimentLifecycle {
+    constructor({ mediaIdleTimeout = 30000, rootMargin = '100px' } = {}) {
+      this.entries = [];
+      this.mediaIdleTimeout = mediaIdleTimeout;
+      this.pageVisible = !document.hidden;
+      this.observer = null;
+
+      if (features.intersectionObserver) {
+        this.observer = new IntersectionObserver(records => this.handleIntersections(records), { rootMargin });
+      }
+
+      document.addEventListener('visibilitychange', () => {
+        this.pageVisible = !document.hidden;
+        this.entries.forEach(entry => this.update(entry));
+      });
+    }
+
+    register(experiment, element, { mediaIdleTimeout = this.mediaIdleTimeout } = {}) {
+      const target = element ? (element.closest('.experiment-card') || element) : null;
+      const entry = {
+        experiment,
+        target,
+        inView: true,
+        holders: new Set(),
+        suspended: false,
+        released: false,
+        releaseTimer: null,
+        mediaIdleTimeout
+      };
+
+      this.entries.push(entry);
+      if (this.observer && target) this.observer.observe(target);
+      return entry;
+    }
+
+    handleIntersections(records) {
+      records.forEach(record => {
+        this.entries.forEach(entry => {
+          if (entry.target !== record.target) return;
+          entry.inView = record.isIntersecting;
+          this.update(entry);
+        });
+      });
+    }
+
+    // Keeps the experiments on element's card running while holder reads from them
+    hold(element, holder) {
+      this.entriesFor(element).forEach(entry => {
+        entry.holders.add(holder);
+        this.update(entry);
+      });
+    }
+
+    release(element, holder) {
+      this.entriesFor(element).forEach(entry => {
+        entry.holders.delete(holder);
+        this.update(entry);
+      });
+    }
+
+    entriesFor(element) {
+      const target = element ? (element.closest('.experiment-card') || element) : null;
+      return target ? this.entries.filter(entry => entry.target === target) : [];
+    }
+
+    update(entry) {
+      const active = this.pageVisible && (entry.inView || entry.holders.size > 0);
+
+      if (!active && !entry.suspended) {
+        this.suspend(entry);
+      } else if (active && entry.suspended) {
+        this.resume(entry);
+      }
+    }
+
+    suspend(entry) {
+      const { experiment } = entry;
+      if (!experiment.isRunning) return;
+
+      entry.suspended = true;
+
+      if (typeof experiment.suspend !== 'function') {
+        experiment.stop();
+        return;
+      }
+
+      experiment.suspend();
+
+      if (typeof experiment.releaseMedia === 'function' && entry.mediaIdleTimeout >= 0) {
+        entry.releaseTimer = setTimeout(() => {
+          entry.releaseTimer = null;
+          entry.released = true;
+          experiment.releaseMedia();
+        }, entry.mediaIdleTimeout);
+      }
+    }
+
+    resume(entry) {
+      const { experiment } = entry;
+      const released = entry.released;
+
+      clearTimeout(entry.releaseTimer);
+      entry.releaseTimer = null;
+      entry.suspended = false;
+      entry.released = false;
+
+      if (typeof experiment.resume === 'function') {
+        experiment.resume(released);
+      } else {
+        experiment.start();
+      }
+    }
+  }
+
+  const lifecycle = new ExperimentLifecycle({ mediaIdleTimeout: 30000 });
+
+  // Frame Scheduler
+  // One requestAnimationFrame loop drives every experiment. Each task gets its own delta
+  // time and target FPS; when the frame budget keeps being exceeded the costliest task
+  // loses quality, and it gets it back once there is headroom again.
+  const QUALITY_LEVELS = [1, 0.75, 0.5, 0.25];
+
+  class FrameScheduler {
+    constructor({ budget = 12 } = {}) {
+      this.tasks = [];
+      this.budget = budget;     // ms of script time per frame shared by all tasks
+      this.load = 0;
+      this.overBudget = 0;
+      this.underBudget = 0;
+      this.paused = false;
+      this.rafId = null;
+    }
+
+    register(name, callback, { fps = 60, onQualityChange = null, onError = null } = {}) {
+      const task = {
+        name,
+        callback,
+        fps,
+        onQualityChange,
+        onError,
+        active: false,
+        lastTime: 0,
+        cost: 0,
+        level: 0,
+        get quality() {
+          return QUALITY_LEVELS[this.level];
+        },
+        start: () => this.startTask(task),
+        stop: () => this.stopTask(task)
+      };
+
+      this.tasks.push(task);
+      return task;
+    }
+
+    startTask(task) {
+      if (task.active) return;
+      task.active = true;
+      task.lastTime = 0;
+      this.wake();
+    }
+
+    stopTask(task) {
+      task.active = false;
+      if (!this.tasks.some(t => t.active)) this.sleep();
+    }
+
+    pause() {
+      this.paused = true;
+      this.sleep();
+    }
+
+    resume() {
+      this.paused = false;
+      this.tasks.forEach(task => { task.lastTime = 0; });
+      this.wake();
+    }
+
+    wake() {
+      if (this.rafId === null && !this.paused && this.tasks.some(t => t.active)) {
+        this.rafId = requestAnimationFrame(now => this.tick(now));
+      }
+    }
+
+    sleep() {
+      if (this.rafId !== null) {
+        cancelAnimationFrame(this.rafId);
+        this.rafId = null;
+      }
+    }
+
+    tick(now) {
+      this.rafId = null;
+      let total = 0;
+
+      this.tasks.forEach(task => {
+        if (!task.active) return;
+
+        // Tasks that can't reduce their own work are throttled instead
+        const fps = task.onQualityChange ? task.fps : task.fps * task.quality;
+        const interval = 1000 / fps;
+        if (task.lastTime && now - task.lastTime < interval - 1) return;
+
+        // Clamp so a stalled or backgrounded tab doesn't produce one huge step
+        const dt = task.lastTime ? Math.min(now - task.lastTime, 100) : interval;
+        task.lastTime = now;
+
+        const start = performance.now();
+        try {
+          task.callback(dt, now);
+        } catch (err) {
+          task.active = false;
+          notifications.error(`${task.name} stopped after an error.`, { error: err });
+          // Lets the owner reset its running state and controls to match
+          if (task.onError) task.onError(err);
+        }
+
+        const cost = performance.now() - start;
+        task.cost = task.cost ? task.cost * 0.9 + cost * 0.1 : cost;
+        total += cost;
+      });
+
+      this.adjustQuality(total);
+      this.wake();
+    }
+
+    adjustQuality(total) {
+      this.load = this.load * 0.9 + total * 0.1;
+
+      if (this.load > this.budget) {
+        this.overBudget++;
+        this.underBudget = 0;
+      } else if (this.load < this.budget * 0.5) {
+        this.underBudget++;
+        this.overBudget = 0;
+      } else {
+        this.overBudget = 0;
+        this.underBudget = 0;
+      }
+
+      const active = this.tasks.filter(task => task.active);
+
+      if (this.overBudget >= 30) {
+        const candidates = active.filter(task => task.level < QUALITY_LEVELS.length - 1);
+        const costliest = candidates.sort((a, b) => b.cost - a.cost)[0];
+        if (costliest) this.setLevel(costliest, costliest.level + 1);
+        this.overBudget = 0;
+      } else if (this.underBudget >= 120) {
+        const degraded = active.filter(task => task.level > 0);
+        const worst = degraded.sort((a, b) => b.level - a.level)[0];
+        if (worst) this.setLevel(worst, worst.level - 1);
+        this.underBudget = 0;
+      }
+    }
+
+    setLevel(task, level) {
+      task.level = level;
+      if (task.onQualityChange) task.onQualityChange(task.quality);
+    }
+
+    mountControls() {
+      const pauseBtn = document.getElementById('pauseAllExperiments');
+      if (!pauseBtn) return;
+
+      pauseBtn.addEventListener('click', () => {
+        if (this.paused) {
+          this.resume();
+        } else {
+          this.pause();
+        }
+        pauseBtn.textContent = this.paused ? 'Resume All Experiments' : 'Pause All Experiments';
+        pauseBtn.setAttribute('aria-pressed', String(this.paused));
+        utils.vibrate(30);
+      });
+    }
+  }
+
+  const scheduler = new FrameScheduler();
+
   // Theme Management
   class ThemeManager {
     constructor() {
@@ -194,25 +705,12 @@
 
     isPermissionGranted() {
       // Check if we already have permission
-      return features.deviceOrientation && 
-             typeof DeviceOrientationEvent.requestPermission !== 'function';
+      return features.deviceOrientation && (!motionPermission.required() || motionPermission.granted);
     }
 
     async requestPermission() {
-      if (!features.deviceOrientation) return false;
-
-      try {
-        if (typeof DeviceOrientationEvent.requestPermission === 'function') {
-          const permission = await DeviceOrientationEvent.requestPermission();
-          this.permissionGranted = permission === 'granted';
-        } else {
-          this.permissionGranted = true;
-        }
-        return this.permissionGranted;
-      } catch (error) {
-        console.log('Device orientation permission denied or error:', error);
-        return false;
-      }
+      this.permissionGranted = await motionPermission.request();
+      return this.permissionGranted;
     }
 
     setupPermissionFlow() {
@@ -272,7 +770,14 @@
       this.canvas = document.getElementById('particleCanvas');
       this.ctx = null;
       this.particles = [];
-      this.animationId = null;
+      this.quality = 1;
+      this.frame = scheduler.register('Particles', (dt) => this.animate(dt), {
+        onError: () => this.stop(),
+        onQualityChange: (quality) => {
+          this.quality = quality;
+          this.resizeParticles();
+        }
+      });
       this.isRunning = false;
       this.init();
     }
@@ -292,6 +797,7 @@
       if (!utils.prefersReducedMotion()) {
         this.start();
       }
+      lifecycle.register(this, this.canvas);
 
       // Handle resize
       window.addEventListener('resize', utils.debounce(() => {
@@ -353,9 +859,16 @@
 
     initParticles() {
       this.particles = [];
+      this.resizeParticles();
+    }
+
+    resizeParticles() {
       const count = Math.min(50, Math.floor((this.canvas.width * this.canvas.height) / 10000));
-      
-      for (let i = 0; i < count; i++) {
+      const target = Math.round(count * this.quality);
+
+      // Keep existing particles so a quality change doesn't visibly reset the scene
+      this.particles.length = Math.min(this.particles.length, target);
+      while (this.particles.length < target) {
         this.particles.push({
           x: Math.random() * this.canvas.width,
           y: Math.random() * this.canvas.height,
@@ -370,19 +883,17 @@
     start() {
       if (this.isRunning || utils.prefersReducedMotion()) return;
       this.isRunning = true;
-      this.animate();
+      this.frame.start();
     }
 
     stop() {
       this.isRunning = false;
-      if (this.animationId) {
-        cancelAnimationFrame(this.animationId);
-        this.animationId = null;
-      }
+      this.frame.stop();
     }
 
-    animate() {
+    animate(dt) {
       if (!this.isRunning) return;
+      const step = dt / 16.67; // Velocities are tuned per 60fps frame
       
       this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
       
@@ -392,8 +903,8 @@
       
       this.particles.forEach(particle => {
         // Update position
-        particle.x += particle.vx;
-        particle.y += particle.vy;
+        particle.x += particle.vx * step;
+        particle.y += particle.vy * step;
         
         // Bounce off edges
         if (particle.x <= 0 || particle.x >= this.canvas.width) particle.vx *= -1;
@@ -405,8 +916,6 @@
         this.ctx.fillStyle = `rgba(${particleColor}, ${particle.opacity})`;
         this.ctx.fill();
       });
-      
-      this.animationId = requestAnimationFrame(() => this.animate());
     }
   }
 
@@ -572,529 +1081,6838 @@
     }
   }
 
-  // WebGL 3D Graphics
-  class WebGL3D {
-    constructor() {
-      this.canvas = null;
-      this.gl = null;
-      this.program = null;
-      this.animationId = null;
-      this.isRunning = false;
-      this.rotation = 0;
-      this.rotationSpeed = 1;
-      this.wireframe = false;
-      this.mouseX = 0;
-      this.mouseY = 0;
-      this.init();
-    }
+  // Matrix Math
+  // 4x4 matrices are column-major arrays, as WebGL expects. multiply(a, b) is the
+  // mathematical product a * b, so a chain reads right to left: P * V * M applies M first.
+  const mat4 = {
+    identity() {
+      return new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+    },
 
-    init() {
-      if (!features.webGL) {
-        this.showFallback();
-        return;
+    // Safe when out is a or b
+    multiply(a, b, out = new Float32Array(16)) {
+      const a0 = a[0], a1 = a[1], a2 = a[2], a3 = a[3];
+      const a4 = a[4], a5 = a[5], a6 = a[6], a7 = a[7];
+      const a8 = a[8], a9 = a[9], a10 = a[10], a11 = a[11];
+      const a12 = a[12], a13 = a[13], a14 = a[14], a15 = a[15];
+
+      for (let column = 0; column < 16; column += 4) {
+        const b0 = b[column], b1 = b[column + 1], b2 = b[column + 2], b3 = b[column + 3];
+        out[column] = a0 * b0 + a4 * b1 + a8 * b2 + a12 * b3;
+        out[column + 1] = a1 * b0 + a5 * b1 + a9 * b2 + a13 * b3;
+        out[column + 2] = a2 * b0 + a6 * b1 + a10 * b2 + a14 * b3;
+        out[column + 3] = a3 * b0 + a7 * b1 + a11 * b2 + a15 * b3;
       }
+      return out;
+    },
 
-      this.createCanvas();
-      this.setupEventListeners();
+    // Column-major 3x3 inverse transpose of the upper 3x3, so normals stay perpendicular
+    // under non-uniform scale and point the right way under mirroring
+    normalMatrix(m) {
+      const cofactors = [
+        m[5] * m[10] - m[6] * m[9], m[6] * m[8] - m[4] * m[10], m[4] * m[9] - m[5] * m[8],
+        m[2] * m[9] - m[1] * m[10], m[0] * m[10] - m[2] * m[8], m[1] * m[8] - m[0] * m[9],
+        m[1] * m[6] - m[2] * m[5], m[2] * m[4] - m[0] * m[6], m[0] * m[5] - m[1] * m[4]
+      ];
+      const determinant = mat4.determinant3(m);
+      return new Float32Array(cofactors.map(c => c / (determinant || 1)));
+    },
+
+    // Determinant of the upper 3x3; negative for a mirroring transform
+    determinant3(m) {
+      return m[0] * (m[5] * m[10] - m[6] * m[9]) +
+        m[4] * (m[2] * m[9] - m[1] * m[10]) +
+        m[8] * (m[1] * m[6] - m[2] * m[5]);
     }
+  };
 
-    createCanvas() {
-      const container = document.querySelector('.webgl-container');
-      if (!container) return;
+  // Mesh Library
+  // Meshes are { positions, normals, indices } with three floats per vertex. Indices use
+  // Uint32Array once a mesh has more vertices than a Uint16Array can address.
+  function createMesh(positions, normals, indices) {
+    const vertexCount = positions.length / 3;
+    const IndexArray = vertexCount > 65535 ? Uint32Array : Uint16Array;
+
+    return {
+      positions: positions instanceof Float32Array ? positions : new Float32Array(positions),
+      normals: normals instanceof Float32Array ? normals : new Float32Array(normals),
+      indices: indices instanceof IndexArray ? indices : IndexArray.from(indices),
+      vertexCount
+    };
+  }
 
-      this.canvas = document.createElement('canvas');
-      this.canvas.width = 600;
-      this.canvas.height = 400;
-      this.canvas.style.maxWidth = '100%';
-      this.canvas.style.height = 'auto';
-      
-      container.appendChild(this.canvas);
+  function computeNormals(positions, indices) {
+    const normals = new Float32Array(positions.length);
+
+    // Area-weighted face normals accumulated per vertex
+    for (let i = 0; i < indices.length; i += 3) {
+      const a = indices[i] * 3, b = indices[i + 1] * 3, c = indices[i + 2] * 3;
+      const abx = positions[b] - positions[a], aby = positions[b + 1] - positions[a + 1], abz = positions[b + 2] - positions[a + 2];
+      const acx = positions[c] - positions[a], acy = positions[c + 1] - positions[a + 1], acz = positions[c + 2] - positions[a + 2];
+      const nx = aby * acz - abz * acy;
+      const ny = abz * acx - abx * acz;
+      const nz = abx * acy - aby * acx;
+
+      [a, b, c].forEach(v => {
+        normals[v] += nx;
+        normals[v + 1] += ny;
+        normals[v + 2] += nz;
+      });
+    }
 
-      this.gl = this.canvas.getContext('webgl');
-      if (!this.gl) {
-        this.showFallback();
-        return;
+    for (let i = 0; i < normals.length; i += 3) {
+      const length = Math.hypot(normals[i], normals[i + 1], normals[i + 2]) || 1;
+      normals[i] /= length;
+      normals[i + 1] /= length;
+      normals[i + 2] /= length;
+    }
+
+    return normals;
+  }
+
+  function computeBounds(positions) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+
+    for (let i = 0; i < positions.length; i += 3) {
+      for (let axis = 0; axis < 3; axis++) {
+        const value = positions[i + axis];
+        if (value < min[axis]) min[axis] = value;
+        if (value > max[axis]) max[axis] = value;
       }
+    }
 
-      this.setupWebGL();
+    const center = [0, 1, 2].map(axis => (min[axis] + max[axis]) / 2);
+    let radius = 0;
+    for (let i = 0; i < positions.length; i += 3) {
+      const distance = Math.hypot(positions[i] - center[0], positions[i + 1] - center[1], positions[i + 2] - center[2]);
+      if (distance > radius) radius = distance;
     }
 
-    setupWebGL() {
-      const vertexShaderSource = `
-        attribute vec4 a_position;
-        attribute vec3 a_normal;
-        uniform mat4 u_matrix;
-        uniform mat4 u_normalMatrix;
-        varying vec3 v_normal;
-        varying vec3 v_position;
-        
-        void main() {
-          gl_Position = u_matrix * a_position;
-          v_normal = mat3(u_normalMatrix) * a_normal;
-          v_position = a_position.xyz;
+    return { min, max, center, radius };
+  }
+
+  // Line-list indices for a wireframe: every edge once, minus quad diagonals (an edge
+  // that is the longest side of two coplanar triangles) so quads read as quads. Vertices
+  // split for hard normals or UV seams are welded by position first, so those edges
+  // don't double up either.
+  function computeEdges(positions, indices) {
+    const welded = new Uint32Array(positions.length / 3);
+    const firstAt = new Map();
+    const snap = (value) => Math.round(value * 1e5); // cos(2π) and cos(0) differ in the last bits
+    for (let v = 0; v < welded.length; v++) {
+      const key = `${snap(positions[v * 3])},${snap(positions[v * 3 + 1])},${snap(positions[v * 3 + 2])}`;
+      if (!firstAt.has(key)) firstAt.set(key, v);
+      welded[v] = firstAt.get(key);
+    }
+
+    const edges = new Map();
+    for (let i = 0; i < indices.length; i += 3) {
+      const corners = [welded[indices[i]], welded[indices[i + 1]], welded[indices[i + 2]]];
+      const [a, b, c] = corners.map(v => v * 3);
+      const abx = positions[b] - positions[a], aby = positions[b + 1] - positions[a + 1], abz = positions[b + 2] - positions[a + 2];
+      const acx = positions[c] - positions[a], acy = positions[c + 1] - positions[a + 1], acz = positions[c + 2] - positions[a + 2];
+      const nx = aby * acz - abz * acy, ny = abz * acx - abx * acz, nz = abx * acy - aby * acx;
+      const length = Math.hypot(nx, ny, nz) || 1;
+      const normal = [nx / length, ny / length, nz / length];
+      const sides = [Math.hypot(abx, aby, abz), Math.hypot(positions[c] - positions[b], positions[c + 1] - positions[b + 1], positions[c + 2] - positions[b + 2]), Math.hypot(acx, acy, acz)];
+      const longest = Math.max(...sides) * (1 - 1e-6);
+
+      for (let k = 0; k < 3; k++) {
+        const from = Math.min(corners[k], corners[(k + 1) % 3]);
+        const to = Math.max(corners[k], corners[(k + 1) % 3]);
+        if (from === to) continue; // Degenerate triangle
+
+        const key = from * welded.length + to;
+        const edge = edges.get(key);
+        if (!edge) {
+          edges.set(key, { from, to, normal, faces: 1, diagonal: sides[k] >= longest });
+        } else {
+          edge.faces++;
+          const coplanar = edge.normal[0] * normal[0] + edge.normal[1] * normal[1] + edge.normal[2] * normal[2] > 0.999;
+          edge.diagonal = edge.diagonal && coplanar && sides[k] >= longest;
         }
-      `;
+      }
+    }
 
-      const fragmentShaderSource = `
-        precision mediump float;
-        varying vec3 v_normal;
-        varying vec3 v_position;
-        uniform vec3 u_lightDirection;
-        uniform vec3 u_color;
-        uniform bool u_wireframe;
-        
-        void main() {
-          if (u_wireframe) {
-            gl_FragColor = vec4(u_color, 1.0);
-          } else {
-            vec3 normal = normalize(v_normal);
-            float light = dot(normal, u_lightDirection) * 0.5 + 0.5;
-            gl_FragColor = vec4(u_color * light, 1.0);
+    const lines = [];
+    edges.forEach(edge => {
+      if (edge.faces === 2 && edge.diagonal) return;
+      lines.push(edge.from, edge.to);
+    });
+    return new indices.constructor(lines);
+  }
+
+  const MESH_PRIMITIVES = {
+    cube: {
+      label: 'Cube',
+      create() {
+        const faces = [
+          // normal, then the two axes spanning the face
+          [[0, 0, 1], [1, 0, 0], [0, 1, 0]],
+          [[0, 0, -1], [-1, 0, 0], [0, 1, 0]],
+          [[0, 1, 0], [1, 0, 0], [0, 0, -1]],
+          [[0, -1, 0], [1, 0, 0], [0, 0, 1]],
+          [[1, 0, 0], [0, 0, -1], [0, 1, 0]],
+          [[-1, 0, 0], [0, 0, 1], [0, 1, 0]]
+        ];
+        const positions = [];
+        const normals = [];
+        const indices = [];
+
+        faces.forEach(([n, u, v], face) => {
+          [[-1, -1], [1, -1], [1, 1], [-1, 1]].forEach(([su, sv]) => {
+            positions.push(n[0] + u[0] * su + v[0] * sv, n[1] + u[1] * su + v[1] * sv, n[2] + u[2] * su + v[2] * sv);
+            normals.push(...n);
+          });
+          const base = face * 4;
+          indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+        });
+
+        return createMesh(positions, normals, indices);
+      }
+    },
+    sphere: {
+      label: 'Sphere',
+      create(rings = 32, segments = 48) {
+        const positions = [];
+        const indices = [];
+
+        for (let ring = 0; ring <= rings; ring++) {
+          const phi = (ring / rings) * Math.PI;
+          for (let segment = 0; segment <= segments; segment++) {
+            const theta = (segment / segments) * Math.PI * 2;
+            positions.push(Math.sin(phi) * Math.cos(theta), Math.cos(phi), Math.sin(phi) * Math.sin(theta));
           }
         }
-      `;
 
-      const vertexShader = this.createShader(this.gl.VERTEX_SHADER, vertexShaderSource);
-      const fragmentShader = this.createShader(this.gl.FRAGMENT_SHADER, fragmentShaderSource);
-      
-      this.program = this.createProgram(vertexShader, fragmentShader);
-      
-      this.setupGeometry();
-      this.setupUniforms();
-    }
+        for (let ring = 0; ring < rings; ring++) {
+          for (let segment = 0; segment < segments; segment++) {
+            const a = ring * (segments + 1) + segment;
+            const b = a + segments + 1;
+            indices.push(a, a + 1, b, b, a + 1, b + 1);
+          }
+        }
 
-    createShader(type, source) {
-      const shader = this.gl.createShader(type);
-      this.gl.shaderSource(shader, source);
-      this.gl.compileShader(shader);
-      
-      if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
-        console.error('Shader compilation error:', this.gl.getShaderInfoLog(shader));
-        this.gl.deleteShader(shader);
-        return null;
+        // On a unit sphere the normal is the position
+        return createMesh(positions, positions, indices);
       }
-      
-      return shader;
-    }
+    },
+    torus: {
+      label: 'Torus',
+      create(radius = 1, tube = 0.4, radialSegments = 24, tubularSegments = 48) {
+        const positions = [];
+        const normals = [];
+        const indices = [];
+
+        for (let i = 0; i <= radialSegments; i++) {
+          const v = (i / radialSegments) * Math.PI * 2;
+          for (let j = 0; j <= tubularSegments; j++) {
+            const u = (j / tubularSegments) * Math.PI * 2;
+            positions.push(
+              (radius + tube * Math.cos(v)) * Math.cos(u),
+              tube * Math.sin(v),
+              (radius + tube * Math.cos(v)) * Math.sin(u)
+            );
+            normals.push(Math.cos(v) * Math.cos(u), Math.sin(v), Math.cos(v) * Math.sin(u));
+          }
+        }
 
-    createProgram(vertexShader, fragmentShader) {
-      const program = this.gl.createProgram();
-      this.gl.attachShader(program, vertexShader);
-      this.gl.attachShader(program, fragmentShader);
-      this.gl.linkProgram(program);
-      
-      if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
-        console.error('Program linking error:', this.gl.getProgramInfoLog(program));
-        this.gl.deleteProgram(program);
-        return null;
-      }
-      
-      return program;
-    }
+        for (let i = 0; i < radialSegments; i++) {
+          for (let j = 0; j < tubularSegments; j++) {
+            const a = i * (tubularSegments + 1) + j;
+            const b = a + tubularSegments + 1;
+            indices.push(a, b, a + 1, b, b + 1, a + 1);
+          }
+        }
 
-    setupGeometry() {
-      // Create a cube
-      const positions = [
-        // Front face
-        -1, -1,  1,   1, -1,  1,   1,  1,  1,  -1,  1,  1,
-        // Back face
-        -1, -1, -1,  -1,  1, -1,   1,  1, -1,   1, -1, -1,
-        // Top face
-        -1,  1, -1,  -1,  1,  1,   1,  1,  1,   1,  1, -1,
-        // Bottom face
-        -1, -1, -1,   1, -1, -1,   1, -1,  1,  -1, -1,  1,
-        // Right face
-         1, -1, -1,   1,  1, -1,   1,  1,  1,   1, -1,  1,
-        // Left face
-        -1, -1, -1,  -1, -1,  1,  -1,  1,  1,  -1,  1, -1
-      ];
+        return createMesh(positions, normals, indices);
+      }
+    },
+    cylinder: {
+      label: 'Cylinder',
+      create(radius = 1, height = 2, segments = 48) {
+        const positions = [];
+        const normals = [];
+        const indices = [];
+        const half = height / 2;
+
+        // Side wall
+        for (let i = 0; i <= segments; i++) {
+          const theta = (i / segments) * Math.PI * 2;
+          const x = Math.cos(theta), z = Math.sin(theta);
+          positions.push(x * radius, half, z * radius, x * radius, -half, z * radius);
+          normals.push(x, 0, z, x, 0, z);
+        }
+        for (let i = 0; i < segments; i++) {
+          const a = i * 2;
+          indices.push(a, a + 2, a + 1, a + 1, a + 2, a + 3);
+        }
 
-      const normals = [
-        // Front face
-         0,  0,  1,   0,  0,  1,   0,  0,  1,   0,  0,  1,
-        // Back face
-         0,  0, -1,   0,  0, -1,   0,  0, -1,   0,  0, -1,
-        // Top face
-         0,  1,  0,   0,  1,  0,   0,  1,  0,   0,  1,  0,
-        // Bottom face
-         0, -1,  0,   0, -1,  0,   0, -1,  0,   0, -1,  0,
-        // Right face
-         1,  0,  0,   1,  0,  0,   1,  0,  0,   1,  0,  0,
-        // Left face
-        -1,  0,  0,  -1,  0,  0,  -1,  0,  0,  -1,  0,  0
-      ];
+        // Caps get their own vertices so the rim stays a hard edge
+        [half, -half].forEach(y => {
+          const ny = Math.sign(y);
+          const center = positions.length / 3;
+          positions.push(0, y, 0);
+          normals.push(0, ny, 0);
+          for (let i = 0; i <= segments; i++) {
+            const theta = (i / segments) * Math.PI * 2;
+            positions.push(Math.cos(theta) * radius, y, Math.sin(theta) * radius);
+            normals.push(0, ny, 0);
+          }
+          for (let i = 0; i < segments; i++) {
+            const a = center + 1 + i;
+            if (ny > 0) {
+              indices.push(center, a + 1, a);
+            } else {
+              indices.push(center, a, a + 1);
+            }
+          }
+        });
 
-      const indices = [
-         0,  1,  2,    0,  2,  3,    // front
-         4,  5,  6,    4,  6,  7,    // back
-         8,  9, 10,    8, 10, 11,    // top
-        12, 13, 14,   12, 14, 15,    // bottom
-        16, 17, 18,   16, 18, 19,    // right
-        20, 21, 22,   20, 22, 23     // left
-      ];
+        return createMesh(positions, normals, indices);
+      }
+    },
+    icosphere: {
+      label: 'Icosphere',
+      create(subdivisions = 3) {
+        const t = (1 + Math.sqrt(5)) / 2;
+        const vertices = [
+          [-1, t, 0], [1, t, 0], [-1, -t, 0], [1, -t, 0],
+          [0, -1, t], [0, 1, t], [0, -1, -t], [0, 1, -t],
+          [t, 0, -1], [t, 0, 1], [-t, 0, -1], [-t, 0, 1]
+        ].map(v => {
+          const length = Math.hypot(...v);
+          return v.map(c => c / length);
+        });
+        let faces = [
+          [0, 11, 5], [0, 5, 1], [0, 1, 7], [0, 7, 10], [0, 10, 11],
+          [1, 5, 9], [5, 11, 4], [11, 10, 2], [10, 7, 6], [7, 1, 8],
+          [3, 9, 4], [3, 4, 2], [3, 2, 6], [3, 6, 8], [3, 8, 9],
+          [4, 9, 5], [2, 4, 11], [6, 2, 10], [8, 6, 7], [9, 8, 1]
+        ];
+
+        for (let level = 0; level < subdivisions; level++) {
+          const midpoints = new Map();
+          const midpoint = (a, b) => {
+            const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+            if (!midpoints.has(key)) {
+              const m = [0, 1, 2].map(axis => (vertices[a][axis] + vertices[b][axis]) / 2);
+              const length = Math.hypot(...m);
+              vertices.push(m.map(c => c / length));
+              midpoints.set(key, vertices.length - 1);
+            }
+            return midpoints.get(key);
+          };
 
-      // Position buffer
-      this.positionBuffer = this.gl.createBuffer();
-      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.positionBuffer);
-      this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array(positions), this.gl.STATIC_DRAW);
+          faces = faces.flatMap(([a, b, c]) => {
+            const ab = midpoint(a, b), bc = midpoint(b, c), ca = midpoint(c, a);
+            return [[a, ab, ca], [b, bc, ab], [c, ca, bc], [ab, bc, ca]];
+          });
+        }
 
-      // Normal buffer
-      this.normalBuffer = this.gl.createBuffer();
-      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.normalBuffer);
-      this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array(normals), this.gl.STATIC_DRAW);
+        const positions = vertices.flat();
+        return createMesh(positions, positions, faces.flat());
+      }
+    },
+    plane: {
+      label: 'Plane',
+      create(size = 2, subdivisions = 10) {
+        const positions = [];
+        const normals = [];
+        const indices = [];
+        const step = size / subdivisions;
+
+        for (let row = 0; row <= subdivisions; row++) {
+          for (let col = 0; col <= subdivisions; col++) {
+            positions.push(-size / 2 + col * step, 0, -size / 2 + row * step);
+            normals.push(0, 1, 0);
+          }
+        }
 
-      // Index buffer
-      this.indexBuffer = this.gl.createBuffer();
-      this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
-      this.gl.bufferData(this.gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(indices), this.gl.STATIC_DRAW);
+        for (let row = 0; row < subdivisions; row++) {
+          for (let col = 0; col < subdivisions; col++) {
+            const a = row * (subdivisions + 1) + col;
+            const b = a + subdivisions + 1;
+            indices.push(a, b, a + 1, a + 1, b, b + 1);
+          }
+        }
 
-      this.indexCount = indices.length;
+        return createMesh(positions, normals, indices);
+      }
     }
+  };
 
-    setupUniforms() {
-      this.gl.useProgram(this.program);
-      
-      this.locations = {
-        position: this.gl.getAttribLocation(this.program, 'a_position'),
-        normal: this.gl.getAttribLocation(this.program, 'a_normal'),
-        matrix: this.gl.getUniformLocation(this.program, 'u_matrix'),
-        normalMatrix: this.gl.getUniformLocation(this.program, 'u_normalMatrix'),
-        lightDirection: this.gl.getUniformLocation(this.program, 'u_lightDirection'),
-        color: this.gl.getUniformLocation(this.program, 'u_color'),
-        wireframe: this.gl.getUniformLocation(this.program, 'u_wireframe')
+  // Model Loader
+  // Parses Wavefront OBJ and binary glTF 2.0 (.glb) files into a single mesh
+  const GLB_MAGIC = 0x46546C67; // 'glTF'
+  const GLB_CHUNK_JSON = 0x4E4F534A;
+  const GLB_CHUNK_BIN = 0x004E4942;
+  const GLTF_COMPONENTS = {
+    5120: Int8Array,
+    5121: Uint8Array,
+    5122: Int16Array,
+    5123: Uint16Array,
+    5125: Uint32Array,
+    5126: Float32Array
+  };
+  const GLTF_TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT4: 16 };
+
+  class ModelLoader {
+    async load(file) {
+      const extension = file.name.split('.').pop().toLowerCase();
+
+      if (extension === 'obj') {
+        return this.parseOBJ(await file.text());
+      }
+      if (extension === 'glb') {
+        return this.parseGLB(await file.arrayBuffer());
+      }
+      throw new Error(`Unsupported model format ".${extension}". Use .obj or .glb.`);
+    }
+
+    parseOBJ(text) {
+      const sourcePositions = [];
+      const sourceNormals = [];
+      const positions = [];
+      const normals = [];
+      const indices = [];
+      const corners = new Map();
+      let hasNormals = true;
+
+      // OBJ indices are 1-based and may be negative (relative to the end)
+      const resolve = (value, length) => {
+        const index = parseInt(value, 10);
+        return index < 0 ? length + index : index - 1;
+      };
+
+      const corner = (token) => {
+        const [v, , n] = token.split('/');
+        const vi = resolve(v, sourcePositions.length);
+        const ni = n ? resolve(n, sourceNormals.length) : -1;
+        const key = `${vi}/${ni}`;
+        const cached = corners.get(key);
+        if (cached !== undefined) return cached;
+
+        const position = sourcePositions[vi];
+        if (!position) throw new Error(`OBJ face references missing vertex ${v}.`);
+
+        positions.push(...position);
+        const normal = sourceNormals[ni];
+        if (normal) {
+          normals.push(...normal);
+        } else {
+          normals.push(0, 0, 0);
+          hasNormals = false;
+        }
+
+        const index = positions.length / 3 - 1;
+        corners.set(key, index);
+        return index;
       };
+
+      text.split('\n').forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line || line[0] === '#') return;
+
+        const parts = line.split(/\s+/);
+        switch (parts[0]) {
+          case 'v':
+            sourcePositions.push(parts.slice(1, 4).map(Number));
+            break;
+          case 'vn':
+            sourceNormals.push(parts.slice(1, 4).map(Number));
+            break;
+          case 'f': {
+            // Polygons are triangulated as a fan around the first corner
+            const face = parts.slice(1).map(corner);
+            for (let i = 1; i < face.length - 1; i++) {
+              indices.push(face[0], face[i], face[i + 1]);
+            }
+            break;
+          }
+        }
+      });
+
+      if (indices.length === 0) throw new Error('The OBJ file contains no faces.');
+
+      const positionArray = new Float32Array(positions);
+      return createMesh(positionArray, hasNormals ? normals : computeNormals(positionArray, indices), indices);
     }
 
-    setupEventListeners() {
-      const toggleBtn = document.getElementById('webglToggle');
-      const speedSlider = document.getElementById('rotationSpeed');
-      const wireframeToggle = document.getElementById('wireframeToggle');
+    parseGLB(buffer) {
+      const view = new DataView(buffer);
+      if (buffer.byteLength < 20 || view.getUint32(0, true) !== GLB_MAGIC) {
+        throw new Error('This is not a binary glTF (.glb) file.');
+      }
+      if (view.getUint32(4, true) !== 2) {
+        throw new Error('Only glTF 2.0 files are supported.');
+      }
 
-      if (toggleBtn) {
-        toggleBtn.addEventListener('click', () => this.toggle());
+      let json = null;
+      let bin = null;
+      let offset = 12;
+      while (offset + 8 <= buffer.byteLength) {
+        const length = view.getUint32(offset, true);
+        const type = view.getUint32(offset + 4, true);
+        const start = offset + 8;
+        if (type === GLB_CHUNK_JSON) {
+          json = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, start, length)));
+        } else if (type === GLB_CHUNK_BIN) {
+          bin = buffer.slice(start, start + length);
+        }
+        offset = start + length;
       }
 
-      if (speedSlider) {
-        speedSlider.addEventListener('input', (e) => {
-          this.rotationSpeed = parseFloat(e.target.value);
-        });
+      if (!json || !bin) throw new Error('The .glb file is missing its JSON or binary chunk.');
+      if ((json.extensionsRequired || []).length) {
+        throw new Error(`Unsupported glTF extensions: ${json.extensionsRequired.join(', ')}.`);
       }
 
-      if (wireframeToggle) {
-        wireframeToggle.addEventListener('change', (e) => {
-          this.wireframe = e.target.checked;
-        });
+      const positions = [];
+      const normals = [];
+      const indices = [];
+      const scene = json.scenes ? json.scenes[json.scene || 0] : null;
+      const roots = scene ? scene.nodes : (json.nodes || []).map((node, index) => index);
+
+      const visit = (nodeIndex, parentMatrix) => {
+        const node = json.nodes[nodeIndex];
+        const matrix = mat4.multiply(parentMatrix, this.nodeMatrix(node));
+
+        if (node.mesh !== undefined) {
+          json.meshes[node.mesh].primitives.forEach(primitive => {
+            this.appendPrimitive(json, bin, primitive, matrix, positions, normals, indices);
+          });
+        }
+        (node.children || []).forEach(child => visit(child, matrix));
+      };
+
+      roots.forEach(root => visit(root, mat4.identity()));
+
+      if (indices.length === 0) throw new Error('The .glb file contains no triangle meshes.');
+
+      const positionArray = new Float32Array(positions);
+      const normalArray = normals.length === positions.length ? normals : computeNormals(positionArray, indices);
+      return createMesh(positionArray, normalArray, indices);
+    }
+
+    appendPrimitive(json, bin, primitive, matrix, positions, normals, indices) {
+      // Mode 4 is TRIANGLES, the default; points and lines are skipped
+      if (primitive.mode !== undefined && primitive.mode !== 4) return;
+      if (primitive.attributes.POSITION === undefined) return;
+
+      const base = positions.length / 3;
+      const source = this.readAccessor(json, bin, primitive.attributes.POSITION);
+      const normalSource = primitive.attributes.NORMAL !== undefined
+        ? this.readAccessor(json, bin, primitive.attributes.NORMAL)
+        : null;
+      const normalMatrix = mat4.normalMatrix(matrix);
+
+      for (let i = 0; i < source.length; i += 3) {
+        const x = source[i], y = source[i + 1], z = source[i + 2];
+        positions.push(
+          matrix[0] * x + matrix[4] * y + matrix[8] * z + matrix[12],
+          matrix[1] * x + matrix[5] * y + matrix[9] * z + matrix[13],
+          matrix[2] * x + matrix[6] * y + matrix[10] * z + matrix[14]
+        );
+
+        if (normalSource) {
+          const nx = normalSource[i], ny = normalSource[i + 1], nz = normalSource[i + 2];
+          const tx = normalMatrix[0] * nx + normalMatrix[3] * ny + normalMatrix[6] * nz;
+          const ty = normalMatrix[1] * nx + normalMatrix[4] * ny + normalMatrix[7] * nz;
+          const tz = normalMatrix[2] * nx + normalMatrix[5] * ny + normalMatrix[8] * nz;
+          const length = Math.hypot(tx, ty, tz) || 1;
+          normals.push(tx / length, ty / length, tz / length);
+        }
       }
 
-      if (this.canvas) {
-        this.canvas.addEventListener('mousemove', (e) => {
-          const rect = this.canvas.getBoundingClientRect();
-          this.mouseX = ((e.clientX - rect.left) / rect.width) * 2 - 1;
-          this.mouseY = -((e.clientY - rect.top) / rect.height) * 2 + 1;
-        });
+      // Once one primitive lacks normals they are recomputed for the whole model
+      if (!normalSource) normals.length = 0;
+
+      if (primitive.indices !== undefined) {
+        this.readAccessor(json, bin, primitive.indices).forEach(index => indices.push(base + index));
+      } else {
+        for (let i = 0; i < source.length / 3; i++) indices.push(base + i);
       }
     }
 
-    toggle() {
-      if (this.isRunning) {
-        this.stop();
-      } else {
-        this.start();
+    readAccessor(json, bin, index) {
+      const accessor = json.accessors[index];
+      const ComponentArray = GLTF_COMPONENTS[accessor.componentType];
+      const size = GLTF_TYPE_SIZES[accessor.type];
+      if (!ComponentArray || !size) throw new Error('The .glb file uses an unsupported accessor type.');
+      if (accessor.bufferView === undefined) throw new Error('Sparse glTF accessors are not supported.');
+
+      const bufferView = json.bufferViews[accessor.bufferView];
+      const byteOffset = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+      const elementBytes = ComponentArray.BYTES_PER_ELEMENT * size;
+      const stride = bufferView.byteStride || elementBytes;
+      const out = new Float64Array(accessor.count * size);
+      const view = new DataView(bin);
+      const getter = {
+        5120: 'getInt8', 5121: 'getUint8', 5122: 'getInt16',
+        5123: 'getUint16', 5125: 'getUint32', 5126: 'getFloat32'
+      }[accessor.componentType];
+
+      // DataView copes with interleaved and unaligned data alike
+      for (let i = 0; i < accessor.count; i++) {
+        for (let c = 0; c < size; c++) {
+          out[i * size + c] = view[getter](byteOffset + i * stride + c * ComponentArray.BYTES_PER_ELEMENT, true);
+        }
       }
-      utils.vibrate(30);
+
+      return out;
     }
 
-    start() {
-      if (this.isRunning || !this.gl) return;
-      
-      this.isRunning = true;
-      const toggleBtn = document.getElementById('webglToggle');
-      if (toggleBtn) toggleBtn.textContent = 'Stop 3D Scene';
-      
-      this.render();
+    nodeMatrix(node) {
+      if (node.matrix) return node.matrix;
+
+      const [tx, ty, tz] = node.translation || [0, 0, 0];
+      const [qx, qy, qz, qw] = node.rotation || [0, 0, 0, 1];
+      const [sx, sy, sz] = node.scale || [1, 1, 1];
+
+      // Column-major T * R * S, as glTF defines it
+      return [
+        (1 - 2 * (qy * qy + qz * qz)) * sx, 2 * (qx * qy + qz * qw) * sx, 2 * (qx * qz - qy * qw) * sx, 0,
+        2 * (qx * qy - qz * qw) * sy, (1 - 2 * (qx * qx + qz * qz)) * sy, 2 * (qy * qz + qx * qw) * sy, 0,
+        2 * (qx * qz + qy * qw) * sz, 2 * (qy * qz - qx * qw) * sz, (1 - 2 * (qx * qx + qy * qy)) * sz, 0,
+        tx, ty, tz, 1
+      ];
     }
+  }
 
-    stop() {
-      this.isRunning = false;
-      const toggleBtn = document.getElementById('webglToggle');
-      if (toggleBtn) toggleBtn.textContent = 'Start 3D Scene';
-      
-      if (this.animationId) {
-        cancelAnimationFrame(this.animationId);
-        this.animationId = null;
+  // Geometry Export
+  // Parts are { name, mesh, matrix } with a column-major model matrix; vertices are
+  // written in world space so the file matches what's on screen.
+  function transformPart({ mesh, matrix: m }) {
+    const { positions, normals } = mesh;
+    const worldPositions = new Float32Array(positions.length);
+    const worldNormals = new Float32Array(normals.length);
+
+    const n = mat4.normalMatrix(m);
+
+    for (let i = 0; i < positions.length; i += 3) {
+      const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+      worldPositions[i] = m[0] * x + m[4] * y + m[8] * z + m[12];
+      worldPositions[i + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+      worldPositions[i + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+
+      const nx = normals[i], ny = normals[i + 1], nz = normals[i + 2];
+      const tx = n[0] * nx + n[3] * ny + n[6] * nz;
+      const ty = n[1] * nx + n[4] * ny + n[7] * nz;
+      const tz = n[2] * nx + n[5] * ny + n[8] * nz;
+      const length = Math.hypot(tx, ty, tz) || 1;
+      worldNormals[i] = tx / length;
+      worldNormals[i + 1] = ty / length;
+      worldNormals[i + 2] = tz / length;
+    }
+
+    // A mirroring transform also flips the winding
+    return { positions: worldPositions, normals: worldNormals, indices: mesh.indices, flip: mat4.determinant3(m) < 0 };
+  }
+
+  function formatNumber(value) {
+    return String(Math.round(value * 1e5) / 1e5);
+  }
+
+  function partsToOBJ(parts) {
+    const lines = ['# Exported from the WebGL 3D scene'];
+    let offset = 1; // OBJ indices are 1-based and global across objects
+
+    parts.forEach(part => {
+      const { positions, normals, indices, flip } = transformPart(part);
+      lines.push(`o ${part.name.replace(/\s+/g, '_')}`);
+      for (let i = 0; i < positions.length; i += 3) {
+        lines.push(`v ${formatNumber(positions[i])} ${formatNumber(positions[i + 1])} ${formatNumber(positions[i + 2])}`);
       }
-    }
+      for (let i = 0; i < normals.length; i += 3) {
+        lines.push(`vn ${formatNumber(normals[i])} ${formatNumber(normals[i + 1])} ${formatNumber(normals[i + 2])}`);
+      }
+      for (let i = 0; i < indices.length; i += 3) {
+        const [a, b, c] = flip ? [indices[i], indices[i + 2], indices[i + 1]] : [indices[i], indices[i + 1], indices[i + 2]];
+        lines.push(`f ${a + offset}//${a + offset} ${b + offset}//${b + offset} ${c + offset}//${c + offset}`);
+      }
+      offset += positions.length / 3;
+    });
 
-    render() {
-      if (!this.isRunning || !this.gl) return;
+    return lines.join('\n') + '\n';
+  }
 
-      this.rotation += 0.01 * this.rotationSpeed;
+  function partsToSTL(parts, name = 'scene') {
+    const lines = [`solid ${name}`];
+
+    parts.forEach(part => {
+      const { positions, indices, flip } = transformPart(part);
+      for (let i = 0; i < indices.length; i += 3) {
+        const corners = (flip ? [indices[i], indices[i + 2], indices[i + 1]] : [indices[i], indices[i + 1], indices[i + 2]]).map(v => v * 3);
+        const [a, b, c] = corners;
+
+        // STL wants the facet normal, not the smoothed vertex normals
+        const ab = [positions[b] - positions[a], positions[b + 1] - positions[a + 1], positions[b + 2] - positions[a + 2]];
+        const ac = [positions[c] - positions[a], positions[c + 1] - positions[a + 1], positions[c + 2] - positions[a + 2]];
+        const normal = [ab[1] * ac[2] - ab[2] * ac[1], ab[2] * ac[0] - ab[0] * ac[2], ab[0] * ac[1] - ab[1] * ac[0]];
+        const length = Math.hypot(...normal) || 1;
+
+        lines.push(`  facet normal ${normal.map(v => formatNumber(v / length)).join(' ')}`);
+        lines.push('    outer loop');
+        corners.forEach(v => {
+          lines.push(`      vertex ${formatNumber(positions[v])} ${formatNumber(positions[v + 1])} ${formatNumber(positions[v + 2])}`);
+        });
+        lines.push('    endloop');
+        lines.push('  endfacet');
+      }
+    });
 
-      // Clear canvas
-      this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
-      this.gl.clearColor(0, 0, 0, 0);
-      this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
-      this.gl.enable(this.gl.DEPTH_TEST);
+    lines.push(`endsolid ${name}`);
+    return lines.join('\n') + '\n';
+  }
 
-      // Use shader program
-      this.gl.useProgram(this.program);
+  // GIF Encoder
+  // Animated GIF89a written in the browser: one palette of up to 256 colours chosen by
+  // median cut over every frame, then LZW-compressed frames that loop forever.
+  class GifEncoder {
+    constructor(width, height, { delay = 6 } = {}) {
+      this.width = width;
+      this.height = height;
+      this.delay = delay; // Hundredths of a second per frame
+      this.frames = [];
+    }
+
+    // RGBA pixels, top row first, fully opaque
+    addFrame(pixels) {
+      this.frames.push(pixels);
+    }
+
+    async encode(onProgress = () => {}) {
+      const palette = this.buildPalette();
+      const bytes = [];
+      const push = (...values) => values.forEach(v => bytes.push(v));
+      const word = (value) => push(value & 255, (value >> 8) & 255);
+      const text = (value) => push(...[...value].map(c => c.charCodeAt(0)));
+
+      text('GIF89a');
+      word(this.width);
+      word(this.height);
+      push(0xf7, 0, 0); // Global colour table of 256 entries, 8 bits per channel
+      for (let i = 0; i < 256; i++) {
+        const color = palette.colors[i] || [0, 0, 0];
+        push(color[0], color[1], color[2]);
+      }
+
+      // NETSCAPE2.0 extension: loop forever
+      push(0x21, 0xff, 11);
+      text('NETSCAPE2.0');
+      push(3, 1, 0, 0, 0);
+
+      for (let f = 0; f < this.frames.length; f++) {
+        push(0x21, 0xf9, 4, 0x04); // Graphic control: leave the frame in place
+        word(this.delay);
+        push(0, 0);
+
+        push(0x2c);
+        word(0);
+        word(0);
+        word(this.width);
+        word(this.height);
+        push(0);
+
+        const indices = this.mapFrame(this.frames[f], palette);
+        const data = this.compress(indices, 8);
+        push(8);
+        for (let i = 0; i < data.length; i += 255) {
+          const block = data.slice(i, i + 255);
+          push(block.length, ...block);
+        }
+        push(0);
 
-      // Bind position buffer
-      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.positionBuffer);
-      this.gl.enableVertexAttribArray(this.locations.position);
-      this.gl.vertexAttribPointer(this.locations.position, 3, this.gl.FLOAT, false, 0, 0);
+        onProgress((f + 1) / this.frames.length);
+        // Yield between frames so the page stays responsive
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
 
-      // Bind normal buffer
-      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.normalBuffer);
-      this.gl.enableVertexAttribArray(this.locations.normal);
-      this.gl.vertexAttribPointer(this.locations.normal, 3, this.gl.FLOAT, false, 0, 0);
+      push(0x3b);
+      return new Blob([new Uint8Array(bytes)], { type: 'image/gif' });
+    }
 
-      // Bind index buffer
-      this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+    buildPalette() {
+      // Histogram over 5 bits per channel keeps the median cut small
+      const histogram = new Uint32Array(32768);
+      this.frames.forEach(pixels => {
+        for (let i = 0; i < pixels.length; i += 4) {
+          histogram[((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3)]++;
+        }
+      });
 
-      // Create transformation matrix
-      const matrix = this.createMatrix();
-      this.gl.uniformMatrix4fv(this.locations.matrix, false, matrix);
+      const entries = [];
+      histogram.forEach((count, key) => {
+        if (count) entries.push({ rgb: [key >> 10, (key >> 5) & 31, key & 31], count });
+      });
 
-      // Create normal matrix
-      const normalMatrix = this.createNormalMatrix(matrix);
-      this.gl.uniformMatrix4fv(this.locations.normalMatrix, false, normalMatrix);
+      let boxes = [this.box(entries)];
+      while (boxes.length < 256) {
+        // Split the box with the widest channel range, weighted by how many pixels it holds
+        let best = -1;
+        let bestScore = 0;
+        boxes.forEach((box, i) => {
+          if (box.entries.length < 2) return;
+          const score = Math.max(...box.ranges) * Math.log2(box.total + 1);
+          if (score > bestScore) {
+            bestScore = score;
+            best = i;
+          }
+        });
+        if (best === -1) break;
 
-      // Set uniforms
-      this.gl.uniform3fv(this.locations.lightDirection, [0.5, 0.7, 1]);
-      this.gl.uniform3fv(this.locations.color, [0.2, 0.7, 1.0]);
-      this.gl.uniform1i(this.locations.wireframe, this.wireframe);
+        const { entries: sorted, ranges, total } = boxes[best];
+        const channel = ranges.indexOf(Math.max(...ranges));
+        sorted.sort((a, b) => a.rgb[channel] - b.rgb[channel]);
 
-      // Draw
-      if (this.wireframe) {
-        for (let i = 0; i < this.indexCount; i += 3) {
-          this.gl.drawElements(this.gl.LINE_LOOP, 3, this.gl.UNSIGNED_SHORT, i * 2);
+        let split = 0;
+        for (let seen = 0; split < sorted.length - 1 && seen + sorted[split].count < total / 2; split++) {
+          seen += sorted[split].count;
         }
-      } else {
-        this.gl.drawElements(this.gl.TRIANGLES, this.indexCount, this.gl.UNSIGNED_SHORT, 0);
+        split = Math.max(split, 1);
+        boxes.splice(best, 1, this.box(sorted.slice(0, split)), this.box(sorted.slice(split)));
       }
 
-      this.animationId = requestAnimationFrame(() => this.render());
-    }
+      const colors = boxes.map(({ entries: box, total }) => {
+        return [0, 1, 2].map(c => Math.round(box.reduce((sum, e) => sum + e.rgb[c] * e.count, 0) / total * 255 / 31));
+      });
 
-    createMatrix() {
-      const aspect = this.canvas.width / this.canvas.height;
-      const matrix = new Float32Array(16);
-      
-      // Create perspective matrix
-      const perspective = this.createPerspectiveMatrix(Math.PI / 4, aspect, 0.1, 100);
-      
-      // Create view matrix
-      const view = this.createLookAtMatrix([0, 0, 5], [0, 0, 0], [0, 1, 0]);
-      
-      // Create model matrix with rotation and mouse interaction
-      const model = this.createRotationMatrix(this.rotation + this.mouseX, this.rotation * 0.7 + this.mouseY, this.rotation * 0.3);
-      
-      // Combine matrices: perspective * view * model
-      this.multiplyMatrices(perspective, view, matrix);
-      this.multiplyMatrices(matrix, model, matrix);
-      
-      return matrix;
+      return { colors, lookup: new Int16Array(32768).fill(-1) };
     }
 
-    createPerspectiveMatrix(fov, aspect, near, far) {
-      const f = Math.tan(Math.PI * 0.5 - 0.5 * fov);
-      const rangeInv = 1.0 / (near - far);
+    box(entries) {
+      const min = [31, 31, 31];
+      const max = [0, 0, 0];
+      let total = 0;
+      entries.forEach(({ rgb, count }) => {
+        for (let c = 0; c < 3; c++) {
+          if (rgb[c] < min[c]) min[c] = rgb[c];
+          if (rgb[c] > max[c]) max[c] = rgb[c];
+        }
+        total += count;
+      });
+      return { entries, ranges: max.map((m, c) => m - min[c]), total };
+    }
+
+    mapFrame(pixels, palette) {
+      const indices = new Uint8Array(pixels.length / 4);
+      for (let p = 0, i = 0; i < pixels.length; i += 4, p++) {
+        const key = ((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3);
+        if (palette.lookup[key] === -1) {
+          // Nearest palette colour, cached per histogram bin
+          const r = (key >> 10) * 255 / 31, g = ((key >> 5) & 31) * 255 / 31, b = (key & 31) * 255 / 31;
+          let nearest = 0;
+          let nearestDistance = Infinity;
+          palette.colors.forEach((color, index) => {
+            const distance = (color[0] - r) ** 2 + (color[1] - g) ** 2 + (color[2] - b) ** 2;
+            if (distance < nearestDistance) {
+              nearestDistance = distance;
+              nearest = index;
+            }
+          });
+          palette.lookup[key] = nearest;
+        }
+        indices[p] = palette.lookup[key];
+      }
+      return indices;
+    }
+
+    compress(indices, minCodeSize) {
+      const clearCode = 1 << minCodeSize;
+      const endCode = clearCode + 1;
+      let codeSize = minCodeSize + 1;
+      let nextCode = endCode + 1;
+      let table = new Map();
+      const output = [];
+      let buffer = 0;
+      let bits = 0;
+
+      const emit = (code) => {
+        buffer |= code << bits;
+        bits += codeSize;
+        while (bits >= 8) {
+          output.push(buffer & 255);
+          buffer >>>= 8;
+          bits -= 8;
+        }
+      };
 
-      return new Float32Array([
-        f / aspect, 0, 0, 0,
-        0, f, 0, 0,
-        0, 0, (near + far) * rangeInv, -1,
-        0, 0, near * far * rangeInv * 2, 0
-      ]);
+      emit(clearCode);
+      let prefix = indices[0];
+      for (let i = 1; i < indices.length; i++) {
+        const key = (prefix << 8) | indices[i];
+        const code = table.get(key);
+        if (code !== undefined) {
+          prefix = code;
+          continue;
+        }
+
+        emit(prefix);
+        if (nextCode === 4096) {
+          // Table full: start over
+          emit(clearCode);
+          table = new Map();
+          codeSize = minCodeSize + 1;
+          nextCode = endCode + 1;
+        } else {
+          // Grow the code size just before the first code that needs the extra bit
+          if (nextCode >= 1 << codeSize) codeSize++;
+          table.set(key, nextCode++);
+        }
+        prefix = indices[i];
+      }
+
+      emit(prefix);
+      emit(endCode);
+      if (bits > 0) output.push(buffer & 255);
+      return output;
     }
+  }
 
-    createLookAtMatrix(eye, target, up) {
-      const zAxis = this.normalize([eye[0] - target[0], eye[1] - target[1], eye[2] - target[2]]);
-      const xAxis = this.normalize(this.cross(up, zAxis));
-      const yAxis = this.cross(zAxis, xAxis);
+  // Scene Graph
+  // Nodes hold a local position, rotation (radians, applied X then Y then Z) and scale,
+  // plus an optional mesh and material. Children inherit their parent's transform.
+  class SceneNode {
+    constructor(name, { mesh = null, material = null, position = [0, 0, 0], rotation = [0, 0, 0], scale = 1, spin = null } = {}) {
+      this.name = name;
+      this.mesh = mesh;
+      this.material = material;
+      this.position = position;
+      this.rotation = rotation;
+      this.scale = typeof scale === 'number' ? [scale, scale, scale] : scale;
+      this.spin = spin; // Radians per second around each axis
+      this.parent = null;
+      this.children = [];
+      this.local = new Float32Array(16);
+      this.world = new Float32Array(16);
+    }
+
+    add(child) {
+      if (child.parent) child.parent.remove(child);
+      child.parent = this;
+      this.children.push(child);
+      return child;
+    }
+
+    remove(child) {
+      const index = this.children.indexOf(child);
+      if (index !== -1) this.children.splice(index, 1);
+      child.parent = null;
+    }
+
+    traverse(callback) {
+      callback(this);
+      this.children.forEach(child => child.traverse(callback));
+    }
+
+    update(seconds, parentWorld = null) {
+      if (this.spin) {
+        this.rotation = this.rotation.map((r, i) => r + this.spin[i] * seconds);
+      }
 
-      return new Float32Array([
-        xAxis[0], xAxis[1], xAxis[2], 0,
-        yAxis[0], yAxis[1], yAxis[2], 0,
-        zAxis[0], zAxis[1], zAxis[2], 0,
-        eye[0], eye[1], eye[2], 1
-      ]);
+      this.compose();
+      if (parentWorld) {
+        mat4.multiply(parentWorld, this.local, this.world);
+      } else {
+        this.world.set(this.local);
+      }
+
+      this.children.forEach(child => child.update(seconds, this.world));
     }
 
-    createRotationMatrix(rx, ry, rz) {
-      const cx = Math.cos(rx), sx = Math.sin(rx);
-      const cy = Math.cos(ry), sy = Math.sin(ry);
-      const cz = Math.cos(rz), sz = Math.sin(rz);
+    compose() {
+      // Column-major translation * rotation (Z * Y * X) * scale
+      const [rx, ry, rz] = this.rotation;
+      const [sx, sy, sz] = this.scale;
+      const cx = Math.cos(rx), snx = Math.sin(rx);
+      const cy = Math.cos(ry), sny = Math.sin(ry);
+      const cz = Math.cos(rz), snz = Math.sin(rz);
 
-      return new Float32Array([
-        cy * cz, -cy * sz, sy, 0,
-        sx * sy * cz + cx * sz, -sx * sy * sz + cx * cz, -sx * cy, 0,
-        -cx * sy * cz + sx * sz, cx * sy * sz + sx * cz, cx * cy, 0,
-        0, 0, 0, 1
+      this.local.set([
+        cz * cy * sx, snz * cy * sx, -sny * sx, 0,
+        (cz * sny * snx - snz * cx) * sy, (snz * sny * snx + cz * cx) * sy, cy * snx * sy, 0,
+        (cz * sny * cx + snz * snx) * sz, (snz * sny * cx - cz * snx) * sz, cy * cx * sz, 0,
+        this.position[0], this.position[1], this.position[2], 1
       ]);
     }
+  }
 
-    createNormalMatrix(matrix) {
-      // Extract 3x3 rotation part and invert/transpose
-      const m = matrix;
-      return new Float32Array([
-        m[0], m[4], m[8], 0,
-        m[1], m[5], m[9], 0,
-        m[2], m[6], m[10], 0,
-        0, 0, 0, 1
-      ]);
+  // Orbit Camera
+  // Spherical camera around a target: one pointer rotates, two pointers pinch-zoom and
+  // pan, the wheel zooms. Rotation keeps drifting briefly after release.
+  class OrbitCamera {
+    constructor({ distance = 5, yaw = 0, pitch = 0, minDistance = 1.5, maxDistance = 20 } = {}) {
+      this.home = { distance, yaw, pitch };
+      this.minDistance = minDistance;
+      this.maxDistance = maxDistance;
+      this.pointers = new Map();
+      this.gesture = null;
+      this.element = null;
+      this.reset();
+    }
+
+    reset() {
+      this.distance = this.home.distance;
+      this.yaw = this.home.yaw;
+      this.pitch = this.home.pitch;
+      this.target = [0, 0, 0];
+      this.velocity = { yaw: 0, pitch: 0 };
+    }
+
+    attach(element) {
+      this.element = element;
+      element.style.touchAction = 'none'; // Gestures are handled here, not by the page
+
+      element.addEventListener('pointerdown', (e) => {
+        element.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY, time: e.timeStamp });
+        this.velocity = { yaw: 0, pitch: 0 };
+        this.gesture = null;
+      });
+
+      element.addEventListener('pointermove', (e) => {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer) return;
+
+        if (this.pointers.size === 1) {
+          const dx = e.clientX - pointer.x;
+          const dy = e.clientY - pointer.y;
+          const elapsed = Math.max(e.timeStamp - pointer.time, 1);
+
+          // Right button or Shift pans with a mouse
+          if (e.buttons === 2 || e.shiftKey) {
+            this.pan(dx, dy);
+          } else {
+            this.rotate(dx, dy);
+            // Smoothed so a single jittery event doesn't decide the fling
+            this.velocity = {
+              yaw: (this.velocity.yaw - dx * 0.01 / elapsed) / 2,
+              pitch: (this.velocity.pitch + dy * 0.01 / elapsed) / 2
+            };
+          }
+        }
+
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+        pointer.time = e.timeStamp;
+
+        if (this.pointers.size === 2) this.pinch();
+      });
+
+      const release = (e) => {
+        const pointer = this.pointers.get(e.pointerId);
+        this.pointers.delete(e.pointerId);
+        this.gesture = null;
+        // Only a moving release flings; lifting one finger of a pinch never does
+        if (this.pointers.size > 0 || !pointer || e.timeStamp - pointer.time > 80) {
+          this.velocity = { yaw: 0, pitch: 0 };
+        }
+      };
+      element.addEventListener('pointerup', release);
+      element.addEventListener('pointercancel', release);
+      element.addEventListener('contextmenu', (e) => e.preventDefault());
+
+      element.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        this.zoom(Math.exp(e.deltaY * 0.001));
+      }, { passive: false });
+
+      element.addEventListener('keydown', (e) => {
+        const actions = {
+          ArrowLeft: () => this.orbit(0.1, 0),
+          ArrowRight: () => this.orbit(-0.1, 0),
+          ArrowUp: () => this.orbit(0, -0.1),
+          ArrowDown: () => this.orbit(0, 0.1),
+          '+': () => this.zoom(0.9),
+          '=': () => this.zoom(0.9),
+          '-': () => this.zoom(1.1)
+        };
+        if (!actions[e.key]) return;
+        e.preventDefault();
+        actions[e.key]();
+      });
     }
 
-    multiplyMatrices(a, b, result) {
-      const a00 = a[0], a01 = a[1], a02 = a[2], a03 = a[3];
-      const a10 = a[4], a11 = a[5], a12 = a[6], a13 = a[7];
-      const a20 = a[8], a21 = a[9], a22 = a[10], a23 = a[11];
-      const a30 = a[12], a31 = a[13], a32 = a[14], a33 = a[15];
-
-      const b00 = b[0], b01 = b[1], b02 = b[2], b03 = b[3];
-      const b10 = b[4], b11 = b[5], b12 = b[6], b13 = b[7];
-      const b20 = b[8], b21 = b[9], b22 = b[10], b23 = b[11];
-      const b30 = b[12], b31 = b[13], b32 = b[14], b33 = b[15];
-
-      result[0] = a00 * b00 + a01 * b10 + a02 * b20 + a03 * b30;
-      result[1] = a00 * b01 + a01 * b11 + a02 * b21 + a03 * b31;
-      result[2] = a00 * b02 + a01 * b12 + a02 * b22 + a03 * b32;
-      result[3] = a00 * b03 + a01 * b13 + a02 * b23 + a03 * b33;
-      result[4] = a10 * b00 + a11 * b10 + a12 * b20 + a13 * b30;
-      result[5] = a10 * b01 + a11 * b11 + a12 * b21 + a13 * b31;
-      result[6] = a10 * b02 + a11 * b12 + a12 * b22 + a13 * b32;
-      result[7] = a10 * b03 + a11 * b13 + a12 * b23 + a13 * b33;
-      result[8] = a20 * b00 + a21 * b10 + a22 * b20 + a23 * b30;
-      result[9] = a20 * b01 + a21 * b11 + a22 * b21 + a23 * b31;
-      result[10] = a20 * b02 + a21 * b12 + a22 * b22 + a23 * b32;
-      result[11] = a20 * b03 + a21 * b13 + a22 * b23 + a23 * b33;
-      result[12] = a30 * b00 + a31 * b10 + a32 * b20 + a33 * b30;
-      result[13] = a30 * b01 + a31 * b11 + a32 * b21 + a33 * b31;
-      result[14] = a30 * b02 + a31 * b12 + a32 * b22 + a33 * b32;
-      result[15] = a30 * b03 + a31 * b13 + a32 * b23 + a33 * b33;
+    rotate(dx, dy) {
+      this.orbit(-dx * 0.01, dy * 0.01);
     }
 
-    normalize(v) {
-      const length = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
-      return length > 0 ? [v[0] / length, v[1] / length, v[2] / length] : [0, 0, 0];
+    orbit(yaw, pitch) {
+      this.yaw += yaw;
+      // Stop just short of the poles so the up vector stays valid
+      this.pitch = utils.clamp(this.pitch + pitch, -1.55, 1.55);
     }
 
-    cross(a, b) {
-      return [
-        a[1] * b[2] - a[2] * b[1],
-        a[2] * b[0] - a[0] * b[2],
-        a[0] * b[1] - a[1] * b[0]
-      ];
+    zoom(factor) {
+      this.distance = utils.clamp(this.distance * factor, this.minDistance, this.maxDistance);
     }
 
-    showFallback() {
-      const container = document.querySelector('.webgl-container');
-      if (container) {
-        container.innerHTML = '<p style="color: var(--muted); text-align: center; padding: 2rem;">WebGL is not supported in this browser. Please try a modern browser with WebGL enabled.</p>';
+    pan(dx, dy) {
+      const rect = this.element.getBoundingClientRect();
+      // Scale so the target tracks the finger at the target's depth (45° field of view)
+      const scale = (2 * this.distance * Math.tan(Math.PI / 8)) / (rect.height || 1);
+      const { right, up } = this.basis();
+
+      for (let i = 0; i < 3; i++) {
+        this.target[i] -= (right[i] * dx - up[i] * dy) * scale;
       }
     }
-  }
 
-  // Audio Visualization
-  class AudioVisualizer {
-    constructor() {
-      this.canvas = null;
-      this.ctx = null;
-      this.audioContext = null;
-      this.analyser = null;
-      this.dataArray = null;
-      this.source = null;
-      this.animationId = null;
-      this.isRunning = false;
-      this.sensitivity = 1;
-      this.micStream = null;
-      this.init();
-    }
+    pinch() {
+      const [a, b] = [...this.pointers.values()];
+      const spread = Math.hypot(a.x - b.x, a.y - b.y);
+      const center = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
 
-    init() {
-      if (!features.webAudio) {
-        this.showFallback();
-        return;
+      if (this.gesture && spread > 0) {
+        this.zoom(this.gesture.spread / spread);
+        this.pan(center.x - this.gesture.center.x, center.y - this.gesture.center.y);
       }
-
-      this.createCanvas();
-      this.setupEventListeners();
+      this.gesture = { spread, center };
     }
 
-    createCanvas() {
-      const container = document.querySelector('.audio-container');
-      if (!container) return;
+    update(dt) {
+      if (this.pointers.size > 0) return;
 
-      this.canvas = document.createElement('canvas');
-      this.canvas.width = 600;
-      this.canvas.height = 300;
-      this.canvas.style.maxWidth = '100%';
-      this.canvas.style.height = 'auto';
-      
-      container.appendChild(this.canvas);
-      this.ctx = this.canvas.getContext('2d');
+      this.orbit(this.velocity.yaw * dt, this.velocity.pitch * dt);
+
+      // Inertia fades out over roughly a third of a second
+      const decay = Math.exp(-dt / 100);
+      this.velocity.yaw *= decay;
+      this.velocity.pitch *= decay;
+    }
+
+    basis() {
+      const forward = [
+        -Math.cos(this.pitch) * Math.sin(this.yaw),
+        -Math.sin(this.pitch),
+        -Math.cos(this.pitch) * Math.cos(this.yaw)
+      ];
+      const right = [Math.cos(this.yaw), 0, -Math.sin(this.yaw)];
+      const up = [
+        right[1] * forward[2] - right[2] * forward[1],
+        right[2] * forward[0] - right[0] * forward[2],
+        right[0] * forward[1] - right[1] * forward[0]
+      ];
+      return { forward, right, up };
+    }
+
+    eye() {
+      const { forward } = this.basis();
+      return this.target.map((t, i) => t - forward[i] * this.distance);
+    }
+  }
+
+  // Lighting presets for WebGL3D. Directional lights point towards the light; orbiting
+  // point lights circle the scene. The first directional light casts the shadows.
+  const LIGHTING_PRESETS = {
+    studio: {
+      label: 'Studio',
+      ambient: [0.03, 0.03, 0.035],
+      lights: [
+        { type: 'directional', direction: [0.5, 0.8, 0.6], color: [1, 0.95, 0.9], intensity: 3 },
+        { type: 'point', position: [-3, 1, 2], color: [0.6, 0.75, 1], intensity: 4 },
+        { type: 'directional', direction: [-0.3, 0.4, -1], color: [1, 1, 1], intensity: 1.5 }
+      ]
+    },
+    sun: {
+      label: 'Sunlight',
+      ambient: [0.05, 0.06, 0.08],
+      lights: [
+        { type: 'directional', direction: [0.4, 1, 0.3], color: [1, 0.93, 0.8], intensity: 4 }
+      ]
+    },
+    orbiting: {
+      label: 'Orbiting point lights',
+      ambient: [0.02, 0.02, 0.02],
+      lights: [
+        { type: 'directional', direction: [0.2, 1, 0.2], color: [1, 1, 1], intensity: 0.8 },
+        { type: 'point', orbit: { radius: 3, height: 1, speed: 0.9, phase: 0 }, color: [1, 0.3, 0.2], intensity: 6 },
+        { type: 'point', orbit: { radius: 3, height: 0, speed: 0.9, phase: 2.09 }, color: [0.2, 1, 0.3], intensity: 6 },
+        { type: 'point', orbit: { radius: 3, height: -1, speed: 0.9, phase: 4.19 }, color: [0.3, 0.4, 1], intensity: 6 }
+      ]
+    },
+    solar: {
+      label: 'Sun at the centre',
+      ambient: [0.01, 0.01, 0.015],
+      lights: [
+        { type: 'point', position: [0, 0, 0], color: [1, 0.95, 0.85], intensity: 25 }
+      ]
+    }
+  };
+
+  const MAX_LIGHTS = 4;
+  const SHADOW_MAP_SIZE = 1024;
+  const CAMERA_NEAR = 0.1;
+  const CAMERA_FAR = 100;
+  const MAX_PIXEL_RATIO = 2; // Past this, 3x phone screens cost far more fill rate than they show
+
+  // Every WebGL3D program binds its attributes to these slots before linking, so one
+  // vertex array object per mesh works with any of them
+  const ATTRIBUTE_LOCATIONS = { a_position: 0, a_normal: 1, a_offset: 2, a_axis: 3, a_spin: 4, a_color: 5 };
+
+  // Per-instance cube data: offset (3), rotation axis (3), spin speed and phase (2), colour (3)
+  const INSTANCE_FLOATS = 11;
+  const INSTANCE_SPACING = 0.6;
+
+  // Debug views for WebGL3D. `shader` picks what the fragment shader outputs
+  // (0 lit, 1 flat colour, 2 normals, 3 depth); the flags draw overlays on top.
+  const VIEW_MODES = {
+    shaded: { shader: 0 },
+    wireframe: { shader: 1 },
+    normals: { shader: 2 },
+    depth: { shader: 3 },
+    vertexNormals: { shader: 0, vertexNormals: true },
+    axes: { shader: 0, gizmo: true }
+  };
+
+  // Shader playground presets. Sources are shown in the editor as is, so they're kept
+  // unindented and line numbers in error messages match what the user sees.
+  const PLAYGROUND_VERTEX = [
+    'attribute vec3 a_position;',
+    'attribute vec3 a_normal;',
+    'uniform mat4 u_model;',
+    'uniform mat4 u_viewProjection;',
+    'uniform mat3 u_normalMatrix;',
+    'varying vec3 v_normal;',
+    'varying vec3 v_worldPosition;',
+    '',
+    'void main() {',
+    '  vec4 world = u_model * vec4(a_position, 1.0);',
+    '  v_worldPosition = world.xyz;',
+    '  v_normal = u_normalMatrix * a_normal;',
+    '  gl_Position = u_viewProjection * world;',
+    '}'
+  ].join('\n');
+
+  const SHADER_PRESETS = {
+    normals: {
+      label: 'Rainbow normals',
+      vertex: PLAYGROUND_VERTEX,
+      fragment: [
+        'precision mediump float;',
+        'uniform float u_time;',
+        'varying vec3 v_normal;',
+        '',
+        'void main() {',
+        '  vec3 n = normalize(v_normal);',
+        '  vec3 color = 0.5 + 0.5 * cos(u_time + n * 3.0 + vec3(0.0, 2.0, 4.0));',
+        '  gl_FragColor = vec4(color, 1.0);',
+        '}'
+      ].join('\n')
+    },
+    toon: {
+      label: 'Toon shading',
+      vertex: PLAYGROUND_VERTEX,
+      fragment: [
+        'precision mediump float;',
+        'uniform vec3 u_color;',
+        'uniform vec3 u_cameraPosition;',
+        'varying vec3 v_normal;',
+        'varying vec3 v_worldPosition;',
+        '',
+        'void main() {',
+        '  vec3 n = normalize(v_normal);',
+        '  vec3 light = normalize(vec3(0.5, 1.0, 0.8));',
+        '  float diffuse = max(dot(n, light), 0.0);',
+        '  float band = floor(diffuse * 4.0) / 3.0;',
+        '  vec3 view = normalize(u_cameraPosition - v_worldPosition);',
+        '  float rim = smoothstep(0.6, 0.7, 1.0 - max(dot(n, view), 0.0));',
+        '  vec3 color = pow(u_color, vec3(1.0 / 2.2)) * (0.3 + 0.7 * band) + rim * 0.4;',
+        '  gl_FragColor = vec4(color, 1.0);',
+        '}'
+      ].join('\n')
+    },
+    wobble: {
+      label: 'Wobbling vertices',
+      vertex: [
+        'attribute vec3 a_position;',
+        'attribute vec3 a_normal;',
+        'uniform mat4 u_model;',
+        'uniform mat4 u_viewProjection;',
+        'uniform mat3 u_normalMatrix;',
+        'uniform float u_time;',
+        'varying vec3 v_normal;',
+        'varying float v_offset;',
+        '',
+        'void main() {',
+        '  // Push each vertex along its normal by a travelling wave',
+        '  v_offset = sin(a_position.y * 6.0 + u_time * 3.0) * 0.5 + 0.5;',
+        '  vec3 position = a_position + a_normal * v_offset * 0.15;',
+        '  v_normal = u_normalMatrix * a_normal;',
+        '  gl_Position = u_viewProjection * u_model * vec4(position, 1.0);',
+        '}'
+      ].join('\n'),
+      fragment: [
+        'precision mediump float;',
+        'varying vec3 v_normal;',
+        'varying float v_offset;',
+        '',
+        'void main() {',
+        '  float light = max(dot(normalize(v_normal), normalize(vec3(0.3, 1.0, 0.6))), 0.0);',
+        '  vec3 color = mix(vec3(0.1, 0.3, 0.9), vec3(1.0, 0.4, 0.2), v_offset);',
+        '  gl_FragColor = vec4(color * (0.25 + 0.75 * light), 1.0);',
+        '}'
+      ].join('\n')
+    },
+    plasma: {
+      label: 'Screen-space plasma',
+      vertex: PLAYGROUND_VERTEX,
+      fragment: [
+        'precision mediump float;',
+        'uniform float u_time;',
+        'uniform vec2 u_resolution;',
+        '',
+        'void main() {',
+        '  vec2 uv = gl_FragCoord.xy / u_resolution;',
+        '  float v = sin(uv.x * 10.0 + u_time);',
+        '  v += sin((uv.y * 10.0 + u_time) * 0.5);',
+        '  v += sin(length(uv - 0.5) * 20.0 - u_time * 2.0);',
+        '  vec3 color = 0.5 + 0.5 * sin(v * 3.14159 + vec3(0.0, 2.1, 4.2));',
+        '  gl_FragColor = vec4(color, 1.0);',
+        '}'
+      ].join('\n')
+    },
+    spotlight: {
+      label: 'Mouse spotlight',
+      vertex: PLAYGROUND_VERTEX,
+      fragment: [
+        'precision mediump float;',
+        'uniform vec3 u_color;',
+        'uniform vec2 u_mouse;',
+        'uniform vec2 u_resolution;',
+        'varying vec3 v_normal;',
+        '',
+        'void main() {',
+        '  // u_mouse is in canvas pixels with the origin at the bottom left, like gl_FragCoord',
+        '  float distance = length(gl_FragCoord.xy - u_mouse) / u_resolution.y;',
+        '  float spot = smoothstep(0.35, 0.05, distance);',
+        '  float facing = abs(normalize(v_normal).z);',
+        '  vec3 color = pow(u_color, vec3(1.0 / 2.2)) * (0.08 + spot * (0.4 + 0.6 * facing));',
+        '  gl_FragColor = vec4(color, 1.0);',
+        '}'
+      ].join('\n')
+    }
+  };
+
+  const PLAYGROUND_UNIFORMS = [
+    'u_model', 'u_viewProjection', 'u_normalMatrix', 'u_cameraPosition', 'u_color', 'u_time', 'u_resolution', 'u_mouse'
+  ];
+
+  // Post-processing effects for WebGL3D, applied in this order when enabled. As with
+  // CAMERA_FILTERS, numeric params map in order onto u_params.xyzw; a param with options
+  // is shown as a select and passes the chosen index.
+  const POST_EFFECTS = {
+    bloom: {
+      label: 'Bloom',
+      params: [
+        { name: 'threshold', label: 'Threshold', min: 0, max: 2, step: 0.05, value: 0.8 },
+        { name: 'intensity', label: 'Intensity', min: 0, max: 3, step: 0.05, value: 1 },
+        { name: 'radius', label: 'Radius', min: 1, max: 4, step: 0.5, value: 2 }
+      ],
+      bloom: true, // Reads the blurred bright pass from u_bloom
+      glsl: `
+        vec4 c = texture2D(u_texture, v_uv);
+        vec3 glow = texture2D(u_bloom, v_uv).rgb * u_params.y;
+        // Glow over the transparent background needs coverage too
+        gl_FragColor = vec4(c.rgb + glow, max(c.a, min(1.0, max(glow.r, max(glow.g, glow.b)))));
+      `
+    },
+
+    toneMapping: {
+      label: 'Tone mapping',
+      params: [
+        { name: 'exposure', label: 'Exposure', min: 0.1, max: 4, step: 0.05, value: 1 },
+        { name: 'curve', label: 'Curve', options: ['ACES filmic', 'Reinhard'], value: 0 }
+      ],
+      hdr: true, // The scene hands over linear colour instead of tone mapping itself
+      glsl: `
+        vec4 c = texture2D(u_texture, v_uv);
+        vec3 x = c.rgb * u_params.x;
+        // Narkowicz's fit of the ACES curve
+        vec3 aces = clamp(x * (2.51 * x + 0.03) / (x * (2.43 * x + 0.59) + 0.14), 0.0, 1.0);
+        vec3 mapped = u_params.y < 0.5 ? aces : x / (x + 1.0);
+        gl_FragColor = vec4(pow(mapped, vec3(1.0 / 2.2)), c.a);
+      `
+    },
+
+    fxaa: {
+      label: 'FXAA',
+      params: [{ name: 'span', label: 'Span', min: 2, max: 16, step: 1, value: 8 }],
+      glsl: `
+        vec4 center = texture2D(u_texture, v_uv);
+        vec4 nw = texture2D(u_texture, v_uv + vec2(-1.0, -1.0) * u_texel);
+        vec4 ne = texture2D(u_texture, v_uv + vec2(1.0, -1.0) * u_texel);
+        vec4 sw = texture2D(u_texture, v_uv + vec2(-1.0, 1.0) * u_texel);
+        vec4 se = texture2D(u_texture, v_uv + vec2(1.0, 1.0) * u_texel);
+        vec3 weights = vec3(0.299, 0.587, 0.114);
+        float lumaNW = dot(nw.rgb, weights);
+        float lumaNE = dot(ne.rgb, weights);
+        float lumaSW = dot(sw.rgb, weights);
+        float lumaSE = dot(se.rgb, weights);
+        float lumaM = dot(center.rgb, weights);
+        float lumaMin = min(lumaM, min(min(lumaNW, lumaNE), min(lumaSW, lumaSE)));
+        float lumaMax = max(lumaM, max(max(lumaNW, lumaNE), max(lumaSW, lumaSE)));
+
+        // Blur along the edge, found from the luma gradient across the corners
+        vec2 dir = vec2((lumaSW + lumaSE) - (lumaNW + lumaNE), (lumaNW + lumaSW) - (lumaNE + lumaSE));
+        float reduce = max((lumaNW + lumaNE + lumaSW + lumaSE) * 0.03125, 1.0 / 128.0);
+        dir = clamp(dir / (min(abs(dir.x), abs(dir.y)) + reduce), -u_params.x, u_params.x) * u_texel;
+
+        vec4 a = 0.5 * (texture2D(u_texture, v_uv - dir / 6.0) + texture2D(u_texture, v_uv + dir / 6.0));
+        vec4 b = 0.5 * a + 0.25 * (texture2D(u_texture, v_uv - dir * 0.5) + texture2D(u_texture, v_uv + dir * 0.5));
+        float lumaB = dot(b.rgb, weights);
+        // The wider sample strayed past the local range, so it crossed another edge
+        gl_FragColor = lumaB < lumaMin || lumaB > lumaMax ? a : b;
+      `
+    },
+
+    chromaticAberration: {
+      label: 'Chromatic aberration',
+      params: [{ name: 'strength', label: 'Strength', min: 0, max: 12, step: 0.5, value: 3 }],
+      glsl: `
+        // Red and blue drift apart towards the edges, by up to strength pixels
+        vec2 shift = (v_uv - 0.5) * 2.0 * u_params.x * u_texel;
+        vec4 r = texture2D(u_texture, v_uv + shift);
+        vec4 g = texture2D(u_texture, v_uv);
+        vec4 b = texture2D(u_texture, v_uv - shift);
+        gl_FragColor = vec4(r.r, g.g, b.b, max(g.a, max(r.a, b.a)));
+      `
+    },
+
+    vignette: {
+      label: 'Vignette',
+      params: [
+        { name: 'strength', label: 'Strength', min: 0, max: 1, step: 0.05, value: 0.5 },
+        { name: 'softness', label: 'Softness', min: 0.05, max: 1, step: 0.05, value: 0.6 }
+      ],
+      glsl: `
+        vec4 c = texture2D(u_texture, v_uv);
+        float d = length(v_uv - 0.5) * 1.4142; // 1.0 in the corners
+        float shade = 1.0 - u_params.x * smoothstep(1.0 - u_params.y, 1.0, d);
+        gl_FragColor = vec4(c.rgb * shade, c.a);
+      `
+    }
+  };
+
+  // Internal bloom passes: keep what's above the threshold, then a separable Gaussian
+  // blur whose taps are spread by the radius
+  const BLOOM_PASSES = {
+    brightPass: `
+      vec3 c = texture2D(u_texture, v_uv).rgb;
+      float brightness = max(c.r, max(c.g, c.b));
+      gl_FragColor = vec4(c * max(brightness - u_params.x, 0.0) / max(brightness, 0.0001), 1.0);
+    `,
+    blur: `
+      vec2 dir = (u_pass < 0.5 ? vec2(u_texel.x, 0.0) : vec2(0.0, u_texel.y)) * u_params.z;
+      vec3 sum = texture2D(u_texture, v_uv).rgb * 0.227027;
+      sum += (texture2D(u_texture, v_uv + dir).rgb + texture2D(u_texture, v_uv - dir).rgb) * 0.1945946;
+      sum += (texture2D(u_texture, v_uv + dir * 2.0).rgb + texture2D(u_texture, v_uv - dir * 2.0).rgb) * 0.1216216;
+      sum += (texture2D(u_texture, v_uv + dir * 3.0).rgb + texture2D(u_texture, v_uv - dir * 3.0).rgb) * 0.054054;
+      sum += (texture2D(u_texture, v_uv + dir * 4.0).rgb + texture2D(u_texture, v_uv - dir * 4.0).rgb) * 0.016216;
+      gl_FragColor = vec4(sum, 1.0);
+    `
+  };
+
+  // Post-processing Stack
+  // WebGL3D draws into an offscreen target, then the enabled effects run as fullscreen
+  // passes ping-ponging between two more, the last one writing to the real output
+  class PostProcessor {
+    constructor(gl, isWebGL2) {
+      this.gl = gl;
+      this.programs = new Map();
+      this.scene = null;
+      this.targets = [];
+      this.bloomTargets = [];
+      this.width = 0;
+      this.height = 0;
+      this.format = this.detectFormat(isWebGL2);
+
+      this.quad = gl.createBuffer();
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+      gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+    }
+
+    // Half-float targets keep highlights above 1.0 for bloom and tone mapping. Without
+    // them everything clips at white but the chain still works.
+    detectFormat(isWebGL2) {
+      const gl = this.gl;
+      if (isWebGL2 && gl.getExtension('EXT_color_buffer_float')) {
+        return { internalFormat: gl.RGBA16F, type: gl.HALF_FLOAT, filter: gl.LINEAR, hdr: true };
+      }
+
+      const halfFloat = !isWebGL2 && gl.getExtension('OES_texture_half_float');
+      if (halfFloat) {
+        // Rendering to it may still be refused; createTarget checks and falls back
+        gl.getExtension('EXT_color_buffer_half_float');
+        const filter = gl.getExtension('OES_texture_half_float_linear') ? gl.LINEAR : gl.NEAREST;
+        return { internalFormat: gl.RGBA, type: halfFloat.HALF_FLOAT_OES, filter, hdr: true };
+      }
+
+      return this.byteFormat();
+    }
+
+    byteFormat() {
+      const gl = this.gl;
+      return { internalFormat: gl.RGBA, type: gl.UNSIGNED_BYTE, filter: gl.LINEAR, hdr: false };
+    }
+
+    createTarget(width, height, withDepth = false) {
+      const gl = this.gl;
+      const { internalFormat, type, filter } = this.format;
+
+      const texture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0, gl.RGBA, type, null);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+      const framebuffer = gl.createFramebuffer();
+      gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+
+      let depth = null;
+      if (withDepth) {
+        depth = gl.createRenderbuffer();
+        gl.bindRenderbuffer(gl.RENDERBUFFER, depth);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depth);
+      }
+
+      const complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+      const target = { framebuffer, texture, depth, width, height };
+      if (!complete && this.format.hdr) {
+        this.deleteTarget(target);
+        this.format = this.byteFormat();
+        return this.createTarget(width, height, withDepth);
+      }
+      return target;
+    }
+
+    deleteTarget(target) {
+      const gl = this.gl;
+      gl.deleteFramebuffer(target.framebuffer);
+      gl.deleteTexture(target.texture);
+      if (target.depth) gl.deleteRenderbuffer(target.depth);
+    }
+
+    deleteTargets() {
+      [this.scene, ...this.targets, ...this.bloomTargets].forEach(target => {
+        if (target) this.deleteTarget(target);
+      });
+      this.scene = null;
+      this.targets = [];
+      this.bloomTargets = [];
+    }
+
+    resize(width, height) {
+      if (width === this.width && height === this.height && this.scene) return;
+
+      this.deleteTargets();
+      this.width = width;
+      this.height = height;
+
+      // Created after the others so a format fallback applies to every target
+      const halfWidth = Math.max(1, Math.floor(width / 2));
+      const halfHeight = Math.max(1, Math.floor(height / 2));
+      this.scene = this.createTarget(width, height, true);
+      this.targets = [0, 1].map(() => this.createTarget(width, height));
+      this.bloomTargets = [0, 1].map(() => this.createTarget(halfWidth, halfHeight));
+    }
+
+    getProgram(key, glsl) {
+      if (this.programs.has(key)) return this.programs.get(key);
+
+      const gl = this.gl;
+      const vertexSource = `
+        attribute vec2 a_position;
+        varying vec2 v_uv;
+        void main() {
+          v_uv = a_position * 0.5 + 0.5;
+          gl_Position = vec4(a_position, 0.0, 1.0);
+        }
+      `;
+      const fragmentSource = `
+        precision mediump float;
+        uniform sampler2D u_texture;
+        uniform sampler2D u_bloom;
+        uniform vec2 u_texel;
+        uniform vec4 u_params;
+        uniform float u_pass;
+        varying vec2 v_uv;
+
+        void main() {
+          ${glsl}
+        }
+      `;
+
+      const compile = (kind, source) => {
+        const shader = gl.createShader(kind);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+          throw new Error(`Post effect "${key}" failed to compile: ${gl.getShaderInfoLog(shader)}`);
+        }
+        return shader;
+      };
+
+      const program = gl.createProgram();
+      const shaders = [compile(gl.VERTEX_SHADER, vertexSource), compile(gl.FRAGMENT_SHADER, fragmentSource)];
+      shaders.forEach(shader => gl.attachShader(program, shader));
+      gl.bindAttribLocation(program, ATTRIBUTE_LOCATIONS.a_position, 'a_position');
+      gl.linkProgram(program);
+      shaders.forEach(shader => gl.deleteShader(shader));
+      if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        throw new Error(`Post effect "${key}" failed to link: ${gl.getProgramInfoLog(program)}`);
+      }
+
+      const entry = {
+        program,
+        texture: gl.getUniformLocation(program, 'u_texture'),
+        bloom: gl.getUniformLocation(program, 'u_bloom'),
+        texel: gl.getUniformLocation(program, 'u_texel'),
+        params: gl.getUniformLocation(program, 'u_params'),
+        pass: gl.getUniformLocation(program, 'u_pass')
+      };
+      this.programs.set(key, entry);
+      return entry;
+    }
+
+    draw(key, glsl, input, output, params, pass = 0) {
+      const gl = this.gl;
+      const entry = this.getProgram(key, glsl);
+
+      gl.bindFramebuffer(gl.FRAMEBUFFER, output.framebuffer);
+      gl.viewport(0, 0, output.width, output.height);
+      gl.useProgram(entry.program);
+
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+      gl.enableVertexAttribArray(ATTRIBUTE_LOCATIONS.a_position);
+      gl.vertexAttribPointer(ATTRIBUTE_LOCATIONS.a_position, 2, gl.FLOAT, false, 0, 0);
+
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, input);
+      gl.uniform1i(entry.texture, 0);
+      gl.uniform1i(entry.bloom, 1);
+      gl.uniform2f(entry.texel, 1 / output.width, 1 / output.height);
+      gl.uniform4fv(entry.params, params);
+      gl.uniform1f(entry.pass, pass);
+
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+
+    renderBloom(input, params) {
+      const [bright, blurred] = this.bloomTargets;
+      this.draw('brightPass', BLOOM_PASSES.brightPass, input, bright, params);
+      // Twice over for a wider, smoother falloff
+      for (let i = 0; i < 2; i++) {
+        this.draw('blur', BLOOM_PASSES.blur, bright.texture, blurred, params, 0);
+        this.draw('blur', BLOOM_PASSES.blur, blurred.texture, bright, params, 1);
+      }
+
+      const gl = this.gl;
+      gl.activeTexture(gl.TEXTURE1);
+      gl.bindTexture(gl.TEXTURE_2D, bright.texture);
+      gl.activeTexture(gl.TEXTURE0);
+    }
+
+    // Runs the stages over the scene target and writes the result to output
+    render(stages, output) {
+      const gl = this.gl;
+      gl.disable(gl.DEPTH_TEST);
+
+      let input = this.scene.texture;
+      stages.forEach((stage, index) => {
+        const effect = POST_EFFECTS[stage.type];
+        const params = effect.params.map(param => stage.params[param.name]);
+        while (params.length < 4) params.push(0);
+
+        if (effect.bloom) this.renderBloom(input, params);
+
+        const target = index === stages.length - 1 ? output : this.targets[index % 2];
+        this.draw(stage.type, effect.glsl, input, target, params);
+        input = target.texture;
+      });
+
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      gl.enable(gl.DEPTH_TEST);
+    }
+
+    dispose() {
+      const gl = this.gl;
+      this.deleteTargets();
+      this.programs.forEach(entry => gl.deleteProgram(entry.program));
+      this.programs.clear();
+      gl.deleteBuffer(this.quad);
+      this.width = this.height = 0;
+    }
+  }
+
+  // WebGL 3D Graphics
+  class WebGL3D {
+    constructor() {
+      this.canvas = null;
+      this.gl = null;
+      this.program = null;
+      this.frame = scheduler.register('3D scene', (dt) => this.render(dt), { onError: () => this.stop() });
+      this.isRunning = false;
+      this.rotationSpeed = 1;
+      this.viewMode = 'shaded';
+      this.camera = new OrbitCamera({ maxDistance: 40 });
+      this.loader = new ModelLoader();
+      this.loadedMesh = null;
+      this.uintIndices = false;
+      this.material = { color: utils.hexToRgb('#33b3ff'), roughness: 0.4, metalness: 0 };
+      this.scene = null;
+      this.sceneName = 'model';
+      this.modelNode = null;
+      this.primitives = {};
+      this.selected = null;
+      this.isWebGL2 = false;
+      this.vao = null;
+      this.instancing = null;
+      this.instances = null;
+      this.instanced = true;
+      this.instanceCount = 5000;
+      this.animationTime = 0;
+      this.drawCalls = 0;
+      this.stats = { frameTime: 16.7, elapsed: 0 };
+      this.contextLost = false;
+      this.resizeObserver = null;
+      this.exporting = false;
+      this.postProcessor = null;
+      this.effects = {};
+      Object.entries(POST_EFFECTS).forEach(([type, effect]) => {
+        const params = {};
+        effect.params.forEach(param => { params[param.name] = param.value; });
+        this.effects[type] = { enabled: false, params };
+      });
+      this.playground = { enabled: false, program: null, locations: null, pointer: [0, 0], timer: null };
+      this.lighting = LIGHTING_PRESETS.studio;
+      this.shadows = false;
+      this.shadowMap = null;
+      this.time = 0;
+      this.init();
+    }
+
+    init() {
+      if (!features.webGL) {
+        this.showFallback();
+        return;
+      }
+
+      this.createCanvas();
+      this.setupEventListeners();
+    }
+
+    createCanvas() {
+      const container = document.querySelector('.webgl-container');
+      if (!container) return;
+
+      this.canvas = document.createElement('canvas');
+      this.canvas.className = 'webgl-canvas';
+      this.canvas.width = 600;
+      this.canvas.height = 400;
+      
+      container.appendChild(this.canvas);
+
+      // WebGL2 where available; the GLSL ES 1.00 shaders below run on either
+      this.gl = (features.webGL2 && this.canvas.getContext('webgl2')) || this.canvas.getContext('webgl');
+      if (!this.gl) {
+        this.showFallback();
+        return;
+      }
+
+      this.isWebGL2 = typeof WebGL2RenderingContext !== 'undefined' && this.gl instanceof WebGL2RenderingContext;
+      this.setupExtensions();
+      this.setupWebGL();
+      this.setupResizing();
+      lifecycle.register(this, container);
+
+      this.canvas.addEventListener('webglcontextlost', (e) => {
+        e.preventDefault(); // Without this the browser never offers the context back
+        this.contextLost = true;
+        notifications.warning('The 3D scene lost its graphics context. It will come back as soon as the browser restores it.');
+      });
+      this.canvas.addEventListener('webglcontextrestored', () => this.restoreContext());
+    }
+
+    setupResizing() {
+      // The stylesheet sizes the canvas; its backing store follows at the device's pixel ratio
+      if (features.resizeObserver) {
+        this.resizeObserver = new ResizeObserver(() => this.resize());
+        this.resizeObserver.observe(this.canvas);
+      } else {
+        window.addEventListener('resize', utils.debounce(() => this.resize(), 150));
+      }
+
+      // Dragging the window to another screen or zooming changes the ratio, not always the size
+      const watchPixelRatio = () => {
+        const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        query.addEventListener('change', () => {
+          this.resize();
+          watchPixelRatio();
+        }, { once: true });
+      };
+      if (window.matchMedia) watchPixelRatio();
+
+      this.resize();
+    }
+
+    resize() {
+      const rect = this.canvas.getBoundingClientRect();
+      if (!rect.width || !rect.height) return;
+
+      const ratio = Math.min(window.devicePixelRatio || 1, MAX_PIXEL_RATIO);
+      const width = Math.round(rect.width * ratio);
+      const height = Math.round(rect.height * ratio);
+      if (this.canvas.width === width && this.canvas.height === height) return;
+
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+
+    restoreContext() {
+      // Every handle from the old context is dead. The CPU-side state (scene, meshes,
+      // materials, camera, editor sources) survived, so rebuild the GPU side from it.
+      this.contextLost = false;
+      this.shadowMap = null;
+      this.postProcessor = null; // Rebuilt on the next frame that needs it
+      const hadPlayground = !!this.playground.program;
+      this.playground.program = null;
+
+      try {
+        this.setupExtensions();
+        this.setupWebGL();
+        if (this.shadows) this.setShadows(true);
+        if (hadPlayground) this.compilePlayground();
+      } catch (err) {
+        notifications.error('The 3D scene could not be restored.', {
+          error: err,
+          actions: [{ label: 'Reload', onClick: () => window.location.reload() }]
+        });
+      }
+    }
+
+    setupExtensions() {
+      const gl = this.gl;
+
+      // WebGL2 has these built in; WebGL1 may offer them as extensions, or not at all
+      if (this.isWebGL2) {
+        this.vao = {
+          create: () => gl.createVertexArray(),
+          bind: (vao) => gl.bindVertexArray(vao),
+          remove: (vao) => gl.deleteVertexArray(vao)
+        };
+        this.instancing = {
+          divisor: (index, divisor) => gl.vertexAttribDivisor(index, divisor),
+          drawElements: (mode, count, type, offset, instances) => gl.drawElementsInstanced(mode, count, type, offset, instances)
+        };
+        this.uintIndices = true;
+        return;
+      }
+
+      const vaoExtension = gl.getExtension('OES_vertex_array_object');
+      if (vaoExtension) {
+        this.vao = {
+          create: () => vaoExtension.createVertexArrayOES(),
+          bind: (vao) => vaoExtension.bindVertexArrayOES(vao),
+          remove: (vao) => vaoExtension.deleteVertexArrayOES(vao)
+        };
+      }
+
+      const instancedExtension = gl.getExtension('ANGLE_instanced_arrays');
+      if (instancedExtension) {
+        this.instancing = {
+          divisor: (index, divisor) => instancedExtension.vertexAttribDivisorANGLE(index, divisor),
+          drawElements: (mode, count, type, offset, instances) => instancedExtension.drawElementsInstancedANGLE(mode, count, type, offset, instances)
+        };
+      }
+
+      // Needed for meshes with more than 65,535 vertices
+      this.uintIndices = !!gl.getExtension('OES_element_index_uint');
+    }
+
+    setupWebGL() {
+      const vertexShaderSource = `
+        attribute vec3 a_position;
+        attribute vec3 a_normal;
+        uniform mat4 u_model;
+        uniform mat4 u_viewProjection;
+        uniform mat3 u_normalMatrix;
+        varying vec3 v_normal;
+        varying vec3 v_worldPosition;
+        
+        void main() {
+          vec4 world = u_model * vec4(a_position, 1.0);
+          v_worldPosition = world.xyz;
+          v_normal = u_normalMatrix * a_normal;
+          gl_Position = u_viewProjection * world;
+        }
+      `;
+
+      // Cook-Torrance (GGX distribution, Schlick-GGX geometry, Schlick Fresnel) per light
+      const fragmentShaderSource = `
+        #ifdef GL_FRAGMENT_PRECISION_HIGH
+        precision highp float;
+        #else
+        precision mediump float;
+        #endif
+
+        #define MAX_LIGHTS ${MAX_LIGHTS}
+        const float PI = 3.14159265;
+
+        varying vec3 v_normal;
+        varying vec3 v_worldPosition;
+        uniform vec3 u_color;
+        uniform vec3 u_emissive;
+        uniform float u_roughness;
+        uniform float u_metalness;
+        uniform vec3 u_ambient;
+        uniform vec3 u_cameraPosition;
+        uniform int u_lightCount;
+        uniform vec4 u_lightPosition[MAX_LIGHTS]; // w = 0: direction to the light, w = 1: position
+        uniform vec3 u_lightColor[MAX_LIGHTS];    // colour times intensity
+        uniform int u_viewMode;
+        uniform vec2 u_clipPlanes;  // near, far
+        uniform vec2 u_depthRange;  // eye distances shown as white and black
+        uniform bool u_shadows;
+        uniform sampler2D u_shadowMap;
+        uniform mat4 u_lightMatrix;
+        uniform float u_shadowTexel;
+        uniform bool u_hdrOutput;   // Leave tone mapping to the post-processing pass
+
+        float unpackDepth(vec4 rgba) {
+          return dot(rgba, vec4(1.0, 1.0 / 255.0, 1.0 / 65025.0, 1.0 / 16581375.0));
+        }
+
+        float shadowFactor(vec3 normal, vec3 lightDirection) {
+          vec4 lightSpace = u_lightMatrix * vec4(v_worldPosition, 1.0);
+          vec3 coord = lightSpace.xyz / lightSpace.w * 0.5 + 0.5;
+          if (coord.x < 0.0 || coord.x > 1.0 || coord.y < 0.0 || coord.y > 1.0 || coord.z > 1.0) return 1.0;
+
+          // Slope-scaled bias against acne, 3x3 PCF for soft edges
+          float bias = max(0.004 * (1.0 - dot(normal, lightDirection)), 0.001);
+          float lit = 0.0;
+          for (int x = -1; x <= 1; x++) {
+            for (int y = -1; y <= 1; y++) {
+              float depth = unpackDepth(texture2D(u_shadowMap, coord.xy + vec2(float(x), float(y)) * u_shadowTexel));
+              lit += coord.z - bias > depth ? 0.0 : 1.0;
+            }
+          }
+          return lit / 9.0;
+        }
+        
+        void main() {
+          if (u_viewMode == 1) {
+            vec3 base = min(u_color + u_emissive, vec3(1.0));
+            gl_FragColor = vec4(u_hdrOutput ? base : pow(base, vec3(1.0 / 2.2)), 1.0);
+            return;
+          }
+
+          vec3 N = normalize(v_normal);
+          if (!gl_FrontFacing) N = -N; // Planes and open meshes are lit from both sides
+
+          if (u_viewMode == 2) {
+            gl_FragColor = vec4(N * 0.5 + 0.5, 1.0);
+            return;
+          }
+
+          if (u_viewMode == 3) {
+            // Undo the perspective divide to get linear eye-space depth from the depth buffer
+            float near = u_clipPlanes.x;
+            float far = u_clipPlanes.y;
+            float z = gl_FragCoord.z * 2.0 - 1.0;
+            float depth = 2.0 * near * far / (far + near - z * (far - near));
+            float shade = 1.0 - clamp((depth - u_depthRange.x) / (u_depthRange.y - u_depthRange.x), 0.0, 1.0);
+            gl_FragColor = vec4(vec3(shade), 1.0);
+            return;
+          }
+          vec3 V = normalize(u_cameraPosition - v_worldPosition);
+          float roughness = clamp(u_roughness, 0.04, 1.0);
+          float alpha2 = roughness * roughness * roughness * roughness;
+          float k = (roughness + 1.0) * (roughness + 1.0) / 8.0;
+          float NdotV = max(dot(N, V), 0.0001);
+          vec3 F0 = mix(vec3(0.04), u_color, u_metalness);
+
+          vec3 color = u_ambient * mix(u_color, F0, u_metalness);
+
+          for (int i = 0; i < MAX_LIGHTS; i++) {
+            if (i >= u_lightCount) break;
+
+            vec4 light = u_lightPosition[i];
+            vec3 L = normalize(light.xyz);
+            float attenuation = 1.0;
+            if (light.w > 0.5) {
+              vec3 toLight = light.xyz - v_worldPosition;
+              float distance = length(toLight);
+              L = toLight / distance;
+              attenuation = 1.0 / (1.0 + 0.1 * distance * distance);
+            }
+
+            float NdotL = max(dot(N, L), 0.0);
+            if (NdotL <= 0.0) continue;
+
+            vec3 H = normalize(L + V);
+            float NdotH = max(dot(N, H), 0.0);
+            float VdotH = max(dot(V, H), 0.0);
+
+            float d = NdotH * NdotH * (alpha2 - 1.0) + 1.0;
+            float D = alpha2 / (PI * d * d);
+            float G = (NdotV / (NdotV * (1.0 - k) + k)) * (NdotL / (NdotL * (1.0 - k) + k));
+            vec3 F = F0 + (1.0 - F0) * pow(1.0 - VdotH, 5.0);
+
+            vec3 specular = D * G * F / (4.0 * NdotV * NdotL + 0.0001);
+            vec3 diffuse = (1.0 - F) * (1.0 - u_metalness) * u_color / PI;
+            float shadow = (i == 0 && u_shadows && light.w < 0.5) ? shadowFactor(N, L) : 1.0;
+
+            color += (diffuse + specular) * u_lightColor[i] * NdotL * attenuation * shadow;
+          }
+
+          color += u_emissive;
+          if (u_hdrOutput) {
+            gl_FragColor = vec4(color, 1.0);
+            return;
+          }
+
+          // Reinhard tone mapping, then back to sRGB
+          color = color / (color + 1.0);
+          gl_FragColor = vec4(pow(color, vec3(1.0 / 2.2)), 1.0);
+        }
+      `;
+
+      // Depth from the light's point of view, packed into RGBA so no extension is needed
+      const shadowVertexSource = `
+        attribute vec3 a_position;
+        uniform mat4 u_model;
+        uniform mat4 u_lightMatrix;
+
+        void main() {
+          gl_Position = u_lightMatrix * u_model * vec4(a_position, 1.0);
+        }
+      `;
+
+      const shadowFragmentSource = `
+        #ifdef GL_FRAGMENT_PRECISION_HIGH
+        precision highp float;
+        #else
+        precision mediump float;
+        #endif
+
+        void main() {
+          vec4 depth = fract(gl_FragCoord.z * vec4(1.0, 255.0, 65025.0, 16581375.0));
+          depth -= depth.yzww * vec4(1.0 / 255.0, 1.0 / 255.0, 1.0 / 255.0, 0.0);
+          gl_FragColor = depth;
+        }
+      `;
+
+      // Cubes whose transform and colour come from per-instance attributes. The spin is
+      // applied here so thousands of them animate without touching the buffer.
+      const instanceVertexSource = `
+        attribute vec3 a_position;
+        attribute vec3 a_normal;
+        attribute vec3 a_offset;
+        attribute vec3 a_axis;
+        attribute vec2 a_spin; // radians per second, phase
+        attribute vec3 a_color;
+        uniform mat4 u_viewProjection;
+        uniform float u_time;
+        uniform float u_scale;
+        varying vec3 v_normal;
+        varying vec3 v_color;
+
+        // Rodrigues' rotation formula
+        vec3 rotate(vec3 v, vec3 axis, float angle) {
+          float c = cos(angle);
+          float s = sin(angle);
+          return v * c + cross(axis, v) * s + axis * dot(axis, v) * (1.0 - c);
+        }
+
+        void main() {
+          float angle = u_time * a_spin.x + a_spin.y;
+          v_normal = rotate(a_normal, a_axis, angle);
+          v_color = a_color;
+          gl_Position = u_viewProjection * vec4(a_offset + rotate(a_position * u_scale, a_axis, angle), 1.0);
+        }
+      `;
+
+      const instanceFragmentSource = `
+        precision mediump float;
+        varying vec3 v_normal;
+        varying vec3 v_color;
+
+        void main() {
+          float light = max(dot(normalize(v_normal), normalize(vec3(0.4, 1.0, 0.6))), 0.0);
+          gl_FragColor = vec4(v_color * (0.3 + 0.7 * light), 1.0);
+        }
+      `;
+
+      const vertexShader = this.createShader(this.gl.VERTEX_SHADER, vertexShaderSource);
+      const fragmentShader = this.createShader(this.gl.FRAGMENT_SHADER, fragmentShaderSource);
+      
+      this.program = this.createProgram(vertexShader, fragmentShader);
+      this.shadowProgram = this.createProgram(
+        this.createShader(this.gl.VERTEX_SHADER, shadowVertexSource),
+        this.createShader(this.gl.FRAGMENT_SHADER, shadowFragmentSource)
+      );
+      this.instanceProgram = this.createProgram(
+        this.createShader(this.gl.VERTEX_SHADER, instanceVertexSource),
+        this.createShader(this.gl.FRAGMENT_SHADER, instanceFragmentSource)
+      );
+      
+      this.setupGeometry();
+      this.setupUniforms();
+    }
+
+    createShader(type, source) {
+      const { shader, log } = this.compileShader(type, source);
+      if (!shader) notifications.error('The 3D scene shader failed to compile.', { error: log });
+      return shader;
+    }
+
+    createProgram(vertexShader, fragmentShader) {
+      if (!vertexShader || !fragmentShader) return null;
+
+      const { program, log } = this.linkProgram(vertexShader, fragmentShader);
+      if (!program) notifications.error('The 3D scene shaders failed to link.', { error: log });
+      return program;
+    }
+
+    // The two below report failures through their return value so the playground can
+    // show them inline; createShader/createProgram turn them into notifications.
+    compileShader(type, source) {
+      const shader = this.gl.createShader(type);
+      this.gl.shaderSource(shader, source);
+      this.gl.compileShader(shader);
+      
+      if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
+        const log = this.gl.getShaderInfoLog(shader) || 'The shader failed to compile.';
+        this.gl.deleteShader(shader);
+        return { shader: null, log };
+      }
+      
+      return { shader, log: '' };
+    }
+
+    linkProgram(vertexShader, fragmentShader) {
+      const program = this.gl.createProgram();
+      this.gl.attachShader(program, vertexShader);
+      this.gl.attachShader(program, fragmentShader);
+      Object.entries(ATTRIBUTE_LOCATIONS).forEach(([name, index]) => this.gl.bindAttribLocation(program, index, name));
+      this.gl.linkProgram(program);
+      
+      if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
+        const log = this.gl.getProgramInfoLog(program) || 'The shaders failed to link.';
+        this.gl.deleteProgram(program);
+        return { program: null, log };
+      }
+      
+      return { program, log: '' };
+    }
+
+    compilePlayground() {
+      const vertexEditor = document.getElementById('vertexSource');
+      const fragmentEditor = document.getElementById('fragmentSource');
+      if (!this.gl || this.contextLost || !vertexEditor || !fragmentEditor) return;
+
+      const gl = this.gl;
+      const vertex = this.compileShader(gl.VERTEX_SHADER, vertexEditor.value);
+      const fragment = this.compileShader(gl.FRAGMENT_SHADER, fragmentEditor.value);
+      const errors = {
+        vertex: this.parseShaderLog(vertex.log),
+        fragment: this.parseShaderLog(fragment.log),
+        link: []
+      };
+
+      let program = null;
+      if (vertex.shader && fragment.shader) {
+        const linked = this.linkProgram(vertex.shader, fragment.shader);
+        program = linked.program;
+        errors.link = this.parseShaderLog(linked.log);
+      }
+      // Attached shaders live on with the program; the rest are freed now
+      if (vertex.shader) gl.deleteShader(vertex.shader);
+      if (fragment.shader) gl.deleteShader(fragment.shader);
+
+      // A failed edit keeps the last program that worked on screen
+      if (program) {
+        if (this.playground.program) gl.deleteProgram(this.playground.program);
+        this.playground.program = program;
+        this.playground.locations = this.getLocations(program, PLAYGROUND_UNIFORMS);
+      }
+
+      this.showShaderErrors(errors, !!program);
+    }
+
+    parseShaderLog(log) {
+      // Drivers differ: "ERROR: 0:12: message" (ANGLE, Mesa) or "0(12) : error C0000: message"
+      return log.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+        const match = line.match(/^(?:ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/i) ||
+          line.match(/^\d+\((\d+)\)\s*:\s*(?:error|warning)[^:]*:\s*(.*)$/i);
+        return match ? { line: parseInt(match[1], 10), message: match[2] } : { line: null, message: line };
+      });
+    }
+
+    showShaderErrors(errors, compiled) {
+      ['vertex', 'fragment'].forEach(stage => {
+        const list = document.getElementById(`${stage}Errors`);
+        const editor = document.getElementById(`${stage}Source`);
+        if (editor) editor.setAttribute('aria-invalid', errors[stage].length > 0);
+        if (!list) return;
+
+        list.innerHTML = '';
+        errors[stage].forEach(({ line, message }) => {
+          const item = document.createElement('li');
+          if (line && editor) {
+            // Each error jumps to its line in the editor
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'shader-error-line';
+            button.textContent = `Line ${line}`;
+            button.addEventListener('click', () => this.selectLine(editor, line));
+            item.append(button, ` ${message}`);
+          } else {
+            item.textContent = message;
+          }
+          list.appendChild(item);
+        });
+      });
+
+      const status = document.getElementById('shaderStatus');
+      if (status) {
+        const count = errors.vertex.length + errors.fragment.length + errors.link.length;
+        if (compiled) {
+          status.textContent = 'Compiled';
+        } else if (errors.link.length) {
+          status.textContent = `Link failed: ${errors.link.map(e => e.message).join(' ')}`;
+        } else {
+          const fallback = this.playground.program ? 'the last version that compiled' : 'the built-in shader';
+          status.textContent = `${count} error${count === 1 ? '' : 's'}, showing ${fallback}`;
+        }
+        status.classList.toggle('shader-status-error', !compiled);
+      }
+    }
+
+    selectLine(editor, line) {
+      const lines = editor.value.split('\n');
+      const start = lines.slice(0, line - 1).reduce((total, text) => total + text.length + 1, 0);
+      const end = start + (lines[line - 1] || '').length;
+      editor.focus();
+      editor.setSelectionRange(start, end);
+    }
+
+    setPlayground(enabled) {
+      this.playground.enabled = enabled;
+
+      const toggle = document.getElementById('shaderToggle');
+      if (toggle) toggle.checked = enabled;
+    }
+
+    loadShaderPreset(name) {
+      const preset = SHADER_PRESETS[name];
+      const vertexEditor = document.getElementById('vertexSource');
+      const fragmentEditor = document.getElementById('fragmentSource');
+      if (!preset || !vertexEditor || !fragmentEditor) return;
+
+      vertexEditor.value = preset.vertex;
+      fragmentEditor.value = preset.fragment;
+      this.compilePlayground();
+    }
+
+    setupGeometry() {
+      this.mesh = {};
+      this.floor = this.uploadMesh(MESH_PRIMITIVES.plane.create(8, 1));
+
+      this.axes = this.gl.createBuffer();
+      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.axes);
+      this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array([0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 1]), this.gl.STATIC_DRAW);
+
+      if (this.modelNode) {
+        this.restoreGeometry();
+        return;
+      }
+
+      this.modelNode = new SceneNode('Model', { material: this.material });
+      this.setMesh(MESH_PRIMITIVES.cube.create());
+      this.setScene(this.sceneName);
+    }
+
+    restoreGeometry() {
+      // Re-upload what the current scene uses; nodes keep pointing at the same resources
+      Object.values(this.primitives).forEach(resource => {
+        resource.buffers = this.uploadMesh(resource.data);
+        resource.normalLines = null;
+      });
+      this.modelNode.mesh.normalLines = null;
+      this.setMesh(this.modelNode.mesh.data);
+      if (this.instances) this.uploadInstances(this.instances);
+    }
+
+    uploadMesh(mesh, target = {}) {
+      if (mesh.indices instanceof Uint32Array && !this.uintIndices) {
+        throw new Error('This device can only draw models with up to 65,535 vertices.');
+      }
+
+      // Element buffer bindings are vertex array state; keep them out of the last mesh's
+      if (this.vao) this.vao.bind(null);
+
+      target.positionBuffer = target.positionBuffer || this.gl.createBuffer();
+      target.normalBuffer = target.normalBuffer || this.gl.createBuffer();
+      target.indexBuffer = target.indexBuffer || this.gl.createBuffer();
+      target.edgeBuffer = target.edgeBuffer || this.gl.createBuffer();
+
+      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, target.positionBuffer);
+      this.gl.bufferData(this.gl.ARRAY_BUFFER, mesh.positions, this.gl.STATIC_DRAW);
+
+      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, target.normalBuffer);
+      this.gl.bufferData(this.gl.ARRAY_BUFFER, mesh.normals, this.gl.STATIC_DRAW);
+
+      this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, target.indexBuffer);
+      this.gl.bufferData(this.gl.ELEMENT_ARRAY_BUFFER, mesh.indices, this.gl.STATIC_DRAW);
+
+      const edges = computeEdges(mesh.positions, mesh.indices);
+      this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, target.edgeBuffer);
+      this.gl.bufferData(this.gl.ELEMENT_ARRAY_BUFFER, edges, this.gl.STATIC_DRAW);
+
+      target.edgeCount = edges.length;
+      target.indexCount = mesh.indices.length;
+      target.indexType = mesh.indices instanceof Uint32Array ? this.gl.UNSIGNED_INT : this.gl.UNSIGNED_SHORT;
+
+      if (this.vao) {
+        target.vao = target.vao || this.vao.create();
+        this.vao.bind(target.vao);
+        this.bindMeshAttributes(target);
+        this.vao.bind(null);
+      }
+      return target;
+    }
+
+    bindMeshAttributes(buffers) {
+      const gl = this.gl;
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffers.positionBuffer);
+      gl.enableVertexAttribArray(ATTRIBUTE_LOCATIONS.a_position);
+      gl.vertexAttribPointer(ATTRIBUTE_LOCATIONS.a_position, 3, gl.FLOAT, false, 0, 0);
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffers.normalBuffer);
+      gl.enableVertexAttribArray(ATTRIBUTE_LOCATIONS.a_normal);
+      gl.vertexAttribPointer(ATTRIBUTE_LOCATIONS.a_normal, 3, gl.FLOAT, false, 0, 0);
+    }
+
+    setupInstances(count) {
+      const gl = this.gl;
+      if (this.instances) {
+        gl.deleteBuffer(this.instances.buffer);
+        if (this.instances.vao) this.vao.remove(this.instances.vao);
+      }
+
+      // A cube of cubes, coloured by position, each spinning about its own random axis
+      const side = Math.ceil(Math.cbrt(count));
+      const middle = (side - 1) / 2;
+      const data = new Float32Array(count * INSTANCE_FLOATS);
+      for (let i = 0; i < count; i++) {
+        const x = i % side;
+        const y = Math.floor(i / side) % side;
+        const z = Math.floor(i / (side * side));
+        const axis = this.normalize([Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5]);
+        data.set([
+          (x - middle) * INSTANCE_SPACING, (y - middle) * INSTANCE_SPACING, (z - middle) * INSTANCE_SPACING,
+          ...axis,
+          0.5 + Math.random() * 2, Math.random() * Math.PI * 2,
+          0.2 + 0.8 * x / side, 0.3 + 0.7 * y / side, 1 - 0.7 * z / side
+        ], i * INSTANCE_FLOATS);
+      }
+
+      this.uploadInstances({ count, side, data });
+    }
+
+    uploadInstances(instances) {
+      const gl = this.gl;
+      if (this.vao) this.vao.bind(null);
+      instances.buffer = gl.createBuffer();
+      gl.bindBuffer(gl.ARRAY_BUFFER, instances.buffer);
+      gl.bufferData(gl.ARRAY_BUFFER, instances.data, gl.STATIC_DRAW);
+
+      instances.vao = null;
+      if (this.vao && this.instancing) {
+        instances.vao = this.vao.create();
+        this.vao.bind(instances.vao);
+        this.bindInstanceAttributes(this.primitiveMesh('cube').buffers, instances.buffer);
+        this.vao.bind(null);
+      }
+
+      this.instances = instances;
+    }
+
+    bindInstanceAttributes(buffers, instanceBuffer) {
+      const gl = this.gl;
+      const stride = INSTANCE_FLOATS * 4;
+      this.bindMeshAttributes(buffers);
+
+      gl.bindBuffer(gl.ARRAY_BUFFER, instanceBuffer);
+      [['a_offset', 3, 0], ['a_axis', 3, 3], ['a_spin', 2, 6], ['a_color', 3, 8]].forEach(([name, size, offset]) => {
+        const index = ATTRIBUTE_LOCATIONS[name];
+        gl.enableVertexAttribArray(index);
+        gl.vertexAttribPointer(index, size, gl.FLOAT, false, stride, offset * 4);
+        this.instancing.divisor(index, 1);
+      });
+    }
+
+    unbindInstanceAttributes() {
+      // WebGL1 without vertex array objects: put the shared attribute state back
+      ['a_offset', 'a_axis', 'a_spin', 'a_color'].forEach(name => {
+        this.instancing.divisor(ATTRIBUTE_LOCATIONS[name], 0);
+        this.gl.disableVertexAttribArray(ATTRIBUTE_LOCATIONS[name]);
+      });
+    }
+
+    setMesh(mesh) {
+      this.uploadMesh(mesh, this.mesh);
+
+      // Frame the model by fitting its bounding sphere to the size of the original cube
+      const bounds = computeBounds(mesh.positions);
+      const scale = bounds.radius > 0 ? Math.sqrt(3) / bounds.radius : 1;
+      const previous = this.modelNode.mesh;
+      if (previous && previous.normalLines) this.gl.deleteBuffer(previous.normalLines.buffer);
+      this.modelNode.mesh = { buffers: this.mesh, data: mesh, bounds };
+      this.modelNode.position = bounds.center.map(c => -c * scale);
+      this.modelNode.scale = [scale, scale, scale];
+
+      const stats = document.getElementById('meshStats');
+      if (stats) {
+        stats.textContent = `${mesh.vertexCount.toLocaleString()} vertices · ${(this.mesh.indexCount / 3).toLocaleString()} triangles`;
+      }
+    }
+
+    primitiveMesh(name) {
+      // Shared by every node that uses the same primitive
+      if (!this.primitives[name]) {
+        const mesh = MESH_PRIMITIVES[name].create();
+        this.primitives[name] = { buffers: this.uploadMesh(mesh), data: mesh, bounds: computeBounds(mesh.positions) };
+      }
+      return this.primitives[name];
+    }
+
+    setScene(name) {
+      this.sceneName = ['solar', 'instances'].includes(name) ? name : 'model';
+      this.scene = new SceneNode('Scene');
+      this.select(null);
+
+      if (this.sceneName === 'solar') {
+        this.buildSolarSystem();
+        this.camera.home = { distance: 20, yaw: 0, pitch: 0.45 };
+      } else if (this.sceneName === 'instances') {
+        // Drawn by renderInstances rather than as scene nodes
+        this.setupInstances(this.instanceCount);
+        this.camera.home = { distance: this.instances.side * INSTANCE_SPACING * 1.8 + 3, yaw: 0.6, pitch: 0.5 };
+      } else {
+        this.buildModelScene();
+        this.camera.home = { distance: 5, yaw: 0, pitch: 0 };
+      }
+      this.camera.reset();
+
+      // Each scene comes with the lighting it was designed for
+      const preset = this.sceneName === 'solar' ? 'solar' : 'studio';
+      this.lighting = LIGHTING_PRESETS[preset];
+      const lightingSelect = document.getElementById('lightingPreset');
+      if (lightingSelect) lightingSelect.value = preset;
+      const sceneSelect = document.getElementById('sceneSelect');
+      if (sceneSelect) sceneSelect.value = this.sceneName;
+      document.querySelectorAll('.instance-control').forEach(control => {
+        control.hidden = this.sceneName !== 'instances';
+      });
+    }
+
+    buildModelScene() {
+      const turntable = this.scene.add(new SceneNode('Turntable', { spin: [0.6, 0.42, 0.18] }));
+      turntable.add(this.modelNode);
+    }
+
+    buildSolarSystem() {
+      const sphere = this.primitiveMesh('sphere');
+      const planet = (color, roughness = 0.8) => ({ color: utils.hexToRgb(color), roughness, metalness: 0 });
+
+      this.scene.add(new SceneNode('Sun', {
+        mesh: sphere,
+        scale: 1.3,
+        spin: [0, 0.1, 0],
+        material: { ...planet('#ffb347', 1), emissive: [1.8, 0.9, 0.25] }
+      }));
+
+      // Orbits are empty pivots at the centre; spinning one carries its children around
+      const mercuryOrbit = this.scene.add(new SceneNode('Mercury orbit', { spin: [0, 1.2, 0] }));
+      mercuryOrbit.add(new SceneNode('Mercury', { mesh: sphere, position: [2.4, 0, 0], scale: 0.18, material: planet('#9c8f84') }));
+
+      const earthOrbit = this.scene.add(new SceneNode('Earth orbit', { spin: [0, 0.5, 0], rotation: [0, 2, 0] }));
+      earthOrbit.add(new SceneNode('Earth', {
+        mesh: this.primitiveMesh('icosphere'),
+        position: [4.2, 0, 0],
+        rotation: [0, 0, 0.41],
+        scale: 0.4,
+        spin: [0, 1.5, 0],
+        material: planet('#3f7fd9', 0.5)
+      }));
+
+      // The moon's orbit follows the Earth because it hangs off the same pivot
+      const moonOrbit = earthOrbit.add(new SceneNode('Moon orbit', { position: [4.2, 0, 0], spin: [0, 2.4, 0] }));
+      moonOrbit.add(new SceneNode('Moon', { mesh: sphere, position: [0.8, 0, 0], scale: 0.12, material: planet('#c8c8c8', 0.9) }));
+
+      const saturnOrbit = this.scene.add(new SceneNode('Saturn orbit', { spin: [0, 0.2, 0], rotation: [0, 4, 0] }));
+      const saturn = saturnOrbit.add(new SceneNode('Saturn', {
+        mesh: sphere,
+        position: [7.5, 0, 0],
+        rotation: [0, 0, 0.45],
+        scale: 0.65,
+        spin: [0, 0.8, 0],
+        material: planet('#e3c586', 0.7)
+      }));
+      saturn.add(new SceneNode('Rings', {
+        mesh: this.primitiveMesh('torus'),
+        scale: [1.8, 0.08, 1.8],
+        material: planet('#cdb891', 0.6)
+      }));
+    }
+
+    async loadModelFile(file) {
+      if (!file || !this.gl) return;
+
+      try {
+        const mesh = await this.loader.load(file);
+        this.setMesh(mesh);
+        if (this.sceneName !== 'model') this.setScene('model');
+        this.loadedMesh = mesh;
+
+        const meshSelect = document.getElementById('meshSelect');
+        if (meshSelect) {
+          let option = meshSelect.querySelector('option[value="model"]');
+          if (!option) {
+            option = document.createElement('option');
+            option.value = 'model';
+            meshSelect.appendChild(option);
+          }
+          option.textContent = file.name;
+          meshSelect.value = 'model';
+        }
+
+        this.start();
+        utils.vibrate(30);
+      } catch (err) {
+        notifications.error(`${file.name} could not be loaded. ${err.message}`, { error: err });
+      }
+    }
+
+    select(node) {
+      this.selected = node;
+
+      const label = document.getElementById('sceneSelection');
+      if (label) label.textContent = node ? `Selected: ${node.name}` : 'Click an object to select it';
+
+      // The material panel edits whatever is selected, or the model when nothing is
+      const material = (node && node.material) || this.material;
+      const colorInput = document.getElementById('materialColor');
+      const roughnessSlider = document.getElementById('materialRoughness');
+      const metalnessSlider = document.getElementById('materialMetalness');
+      if (colorInput) colorInput.value = utils.rgbToHex(material.color);
+      if (roughnessSlider) roughnessSlider.value = material.roughness;
+      if (metalnessSlider) metalnessSlider.value = material.metalness;
+    }
+
+    pick(clientX, clientY) {
+      if (!this.scene) return;
+
+      // Ray from the eye through the pointer, built from the camera basis and the 45° field of view
+      const rect = this.canvas.getBoundingClientRect();
+      const x = ((clientX - rect.left) / rect.width) * 2 - 1;
+      const y = 1 - ((clientY - rect.top) / rect.height) * 2;
+      const tanHalf = Math.tan(Math.PI / 8);
+      const aspect = this.canvas.width / this.canvas.height;
+      const { forward, right, up } = this.camera.basis();
+      const origin = this.camera.eye();
+      const direction = forward.map((f, i) => f + right[i] * x * tanHalf * aspect + up[i] * y * tanHalf);
+
+      let nearest = Infinity;
+      let hit = null;
+      this.scene.traverse(node => {
+        if (!node.mesh) return;
+        const distance = this.intersectNode(node, origin, direction);
+        if (distance !== null && distance < nearest) {
+          nearest = distance;
+          hit = node;
+        }
+      });
+
+      this.select(hit);
+      if (hit) utils.vibrate(20);
+    }
+
+    intersectNode(node, origin, direction) {
+      const inverse = this.invertMatrix(node.world);
+      if (!inverse) return null;
+
+      // Work in the node's local space so the mesh data can be used as is. The direction
+      // isn't renormalised, which keeps distances comparable between nodes.
+      const m = inverse;
+      const o = [0, 1, 2].map(i => m[i] * origin[0] + m[4 + i] * origin[1] + m[8 + i] * origin[2] + m[12 + i]);
+      const d = [0, 1, 2].map(i => m[i] * direction[0] + m[4 + i] * direction[1] + m[8 + i] * direction[2]);
+
+      // Cheap bounding-sphere rejection before testing every triangle
+      const { center, radius } = node.mesh.bounds;
+      const oc = [o[0] - center[0], o[1] - center[1], o[2] - center[2]];
+      const a = this.dot(d, d);
+      const b = this.dot(oc, d);
+      if (b * b - a * (this.dot(oc, oc) - radius * radius) < 0) return null;
+
+      // Möller–Trumbore against each triangle, from either side
+      const { positions, indices } = node.mesh.data;
+      let nearest = null;
+      for (let i = 0; i < indices.length; i += 3) {
+        const p0 = indices[i] * 3, p1 = indices[i + 1] * 3, p2 = indices[i + 2] * 3;
+        const e1 = [positions[p1] - positions[p0], positions[p1 + 1] - positions[p0 + 1], positions[p1 + 2] - positions[p0 + 2]];
+        const e2 = [positions[p2] - positions[p0], positions[p2 + 1] - positions[p0 + 1], positions[p2 + 2] - positions[p0 + 2]];
+        const p = this.cross(d, e2);
+        const determinant = this.dot(e1, p);
+        if (Math.abs(determinant) < 1e-12) continue;
+
+        const s = [o[0] - positions[p0], o[1] - positions[p0 + 1], o[2] - positions[p0 + 2]];
+        const u = this.dot(s, p) / determinant;
+        if (u < 0 || u > 1) continue;
+        const q = this.cross(s, e1);
+        const v = this.dot(d, q) / determinant;
+        if (v < 0 || u + v > 1) continue;
+
+        const t = this.dot(e2, q) / determinant;
+        if (t > 0 && (nearest === null || t < nearest)) nearest = t;
+      }
+      return nearest;
+    }
+
+    setupUniforms() {
+      this.locations = this.getLocations(this.program, [
+        'u_model', 'u_viewProjection', 'u_normalMatrix', 'u_color', 'u_emissive', 'u_roughness', 'u_metalness',
+        'u_ambient', 'u_cameraPosition', 'u_lightCount', 'u_lightPosition', 'u_lightColor',
+        'u_viewMode', 'u_clipPlanes', 'u_depthRange', 'u_shadows', 'u_shadowMap', 'u_lightMatrix', 'u_shadowTexel',
+        'u_hdrOutput'
+      ]);
+      this.shadowLocations = this.getLocations(this.shadowProgram, ['u_model', 'u_lightMatrix']);
+      this.instanceLocations = this.getLocations(this.instanceProgram, ['u_viewProjection', 'u_time', 'u_scale']);
+    }
+
+    getLocations(program, uniforms) {
+      const locations = {};
+      if (!program) return locations;
+
+      locations.position = this.gl.getAttribLocation(program, 'a_position');
+      locations.normal = this.gl.getAttribLocation(program, 'a_normal');
+      uniforms.forEach(name => {
+        locations[name.slice(2)] = this.gl.getUniformLocation(program, name); // u_model -> model
+      });
+      return locations;
+    }
+
+    setupShadowMap() {
+      const gl = this.gl;
+      const texture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, SHADOW_MAP_SIZE, SHADOW_MAP_SIZE, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+      const depth = gl.createRenderbuffer();
+      gl.bindRenderbuffer(gl.RENDERBUFFER, depth);
+      gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, SHADOW_MAP_SIZE, SHADOW_MAP_SIZE);
+
+      const framebuffer = gl.createFramebuffer();
+      gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+      gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depth);
+      const complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+      if (!complete) {
+        gl.deleteFramebuffer(framebuffer);
+        gl.deleteRenderbuffer(depth);
+        gl.deleteTexture(texture);
+        throw new Error('Shadow map framebuffer is incomplete');
+      }
+
+      this.shadowMap = { texture, depth, framebuffer };
+    }
+
+    setupEventListeners() {
+      const toggleBtn = document.getElementById('webglToggle');
+      const speedSlider = document.getElementById('rotationSpeed');
+      const viewModeSelect = document.getElementById('viewMode');
+      const meshSelect = document.getElementById('meshSelect');
+      const modelFile = document.getElementById('modelFile');
+      const container = document.querySelector('.webgl-container');
+      const resetViewBtn = document.getElementById('resetView');
+
+      if (toggleBtn) {
+        toggleBtn.addEventListener('click', () => this.toggle());
+      }
+
+      if (meshSelect) {
+        meshSelect.addEventListener('change', (e) => {
+          if (!this.gl) return;
+          const primitive = MESH_PRIMITIVES[e.target.value];
+          this.setMesh(primitive ? primitive.create() : this.loadedMesh);
+          if (this.sceneName !== 'model') this.setScene('model');
+        });
+      }
+
+      const sceneSelect = document.getElementById('sceneSelect');
+      if (sceneSelect) {
+        sceneSelect.addEventListener('change', (e) => {
+          if (!this.gl) return;
+          this.setScene(e.target.value);
+          this.start();
+        });
+      }
+
+      const instanceCount = document.getElementById('instanceCount');
+      const instancingToggle = document.getElementById('instancingToggle');
+
+      if (instanceCount) {
+        instanceCount.addEventListener('change', (e) => {
+          this.instanceCount = parseInt(e.target.value, 10) || 5000;
+          if (this.gl && this.sceneName === 'instances') this.setScene('instances');
+        });
+      }
+
+      if (instancingToggle) {
+        if (this.gl && !this.instancing) {
+          // WebGL1 without ANGLE_instanced_arrays: one draw call per cube is all there is
+          instancingToggle.checked = false;
+          instancingToggle.disabled = true;
+          this.instanced = false;
+        }
+        instancingToggle.addEventListener('change', (e) => {
+          this.instanced = e.target.checked;
+        });
+      }
+
+      if (modelFile) {
+        modelFile.addEventListener('change', (e) => {
+          this.loadModelFile(e.target.files[0]);
+          e.target.value = '';
+        });
+      }
+
+      if (container && this.gl) {
+        container.addEventListener('dragover', (e) => {
+          e.preventDefault();
+          container.classList.add('dragging');
+        });
+        container.addEventListener('dragleave', () => container.classList.remove('dragging'));
+        container.addEventListener('drop', (e) => {
+          e.preventDefault();
+          container.classList.remove('dragging');
+          this.loadModelFile(e.dataTransfer.files[0]);
+        });
+      }
+
+      if (speedSlider) {
+        speedSlider.addEventListener('input', (e) => {
+          this.rotationSpeed = parseFloat(e.target.value);
+        });
+      }
+
+      if (viewModeSelect) {
+        viewModeSelect.addEventListener('change', (e) => {
+          this.viewMode = VIEW_MODES[e.target.value] ? e.target.value : 'shaded';
+        });
+      }
+
+      const colorInput = document.getElementById('materialColor');
+      const roughnessSlider = document.getElementById('materialRoughness');
+      const metalnessSlider = document.getElementById('materialMetalness');
+      const lightingSelect = document.getElementById('lightingPreset');
+      const shadowToggle = document.getElementById('shadowToggle');
+
+      const editedMaterial = () => (this.selected && this.selected.material) || this.material;
+
+      if (colorInput) {
+        colorInput.addEventListener('input', (e) => {
+          editedMaterial().color = utils.hexToRgb(e.target.value);
+        });
+      }
+
+      if (roughnessSlider) {
+        roughnessSlider.addEventListener('input', (e) => {
+          editedMaterial().roughness = parseFloat(e.target.value);
+        });
+      }
+
+      if (metalnessSlider) {
+        metalnessSlider.addEventListener('input', (e) => {
+          editedMaterial().metalness = parseFloat(e.target.value);
+        });
+      }
+
+      if (lightingSelect) {
+        lightingSelect.addEventListener('change', (e) => {
+          this.lighting = LIGHTING_PRESETS[e.target.value] || LIGHTING_PRESETS.studio;
+        });
+      }
+
+      if (shadowToggle) {
+        shadowToggle.addEventListener('change', (e) => this.setShadows(e.target.checked));
+      }
+
+      const exportSize = document.getElementById('exportSize');
+      const exportPng = document.getElementById('exportPng');
+      const exportGif = document.getElementById('exportGif');
+      const exportObj = document.getElementById('exportObj');
+      const exportStl = document.getElementById('exportStl');
+
+      if (exportPng) {
+        exportPng.addEventListener('click', () => {
+          const [width, height] = (exportSize ? exportSize.value : '2400x1600').split('x').map(Number);
+          this.exportImage(width, height);
+        });
+      }
+
+      if (exportGif) {
+        exportGif.addEventListener('click', () => this.exportAnimation(exportGif));
+      }
+
+      if (exportObj) {
+        exportObj.addEventListener('click', () => this.exportGeometry('obj'));
+      }
+
+      if (exportStl) {
+        exportStl.addEventListener('click', () => this.exportGeometry('stl'));
+      }
+
+      this.renderEffectControls();
+
+      const shaderToggle = document.getElementById('shaderToggle');
+      const shaderPreset = document.getElementById('shaderPreset');
+      const vertexEditor = document.getElementById('vertexSource');
+      const fragmentEditor = document.getElementById('fragmentSource');
+
+      if (vertexEditor && fragmentEditor && !vertexEditor.value) {
+        vertexEditor.value = SHADER_PRESETS.normals.vertex;
+        fragmentEditor.value = SHADER_PRESETS.normals.fragment;
+      }
+
+      if (shaderToggle) {
+        shaderToggle.addEventListener('change', (e) => {
+          if (e.target.checked && !this.playground.program) this.compilePlayground();
+          this.setPlayground(e.target.checked);
+          if (e.target.checked) this.start();
+        });
+      }
+
+      if (shaderPreset) {
+        shaderPreset.addEventListener('change', (e) => {
+          this.loadShaderPreset(e.target.value);
+          this.setPlayground(true);
+          this.start();
+        });
+      }
+
+      // Recompile once typing pauses; editing turns the playground on
+      [vertexEditor, fragmentEditor].forEach(editor => {
+        if (!editor) return;
+        editor.addEventListener('input', () => {
+          clearTimeout(this.playground.timer);
+          this.playground.timer = setTimeout(() => {
+            this.compilePlayground();
+            this.setPlayground(true);
+          }, 400);
+        });
+      });
+
+      if (this.canvas) {
+        this.canvas.addEventListener('pointermove', (e) => {
+          // u_mouse is in canvas pixels with a bottom-left origin, matching gl_FragCoord
+          const rect = this.canvas.getBoundingClientRect();
+          this.playground.pointer = [
+            (e.clientX - rect.left) * (this.canvas.width / rect.width),
+            (rect.bottom - e.clientY) * (this.canvas.height / rect.height)
+          ];
+        });
+      }
+
+      if (this.canvas) {
+        this.canvas.tabIndex = 0;
+        this.canvas.setAttribute('aria-label', '3D scene. Drag to rotate, pinch or scroll to zoom, two fingers or Shift-drag to pan. Arrow keys rotate. Click an object to select it, Escape clears the selection.');
+        this.camera.attach(this.canvas);
+
+        // A short press that barely moves is a click; anything longer belongs to the camera
+        let press = null;
+        this.canvas.addEventListener('pointerdown', (e) => {
+          press = e.isPrimary && e.button === 0 ? { x: e.clientX, y: e.clientY, time: e.timeStamp } : null;
+        });
+        this.canvas.addEventListener('pointerup', (e) => {
+          if (press && e.isPrimary && Math.hypot(e.clientX - press.x, e.clientY - press.y) < 6 && e.timeStamp - press.time < 400) {
+            this.pick(e.clientX, e.clientY);
+          }
+          press = null;
+        });
+        this.canvas.addEventListener('keydown', (e) => {
+          if (e.key === 'Escape' && this.selected) this.select(null);
+        });
+      }
+
+      if (resetViewBtn) {
+        resetViewBtn.addEventListener('click', () => {
+          this.camera.reset();
+          utils.vibrate(25);
+        });
+      }
+    }
+
+    renderEffectControls() {
+      const list = document.getElementById('postEffects');
+      if (!list) return;
+
+      list.innerHTML = '';
+      Object.entries(POST_EFFECTS).forEach(([type, effect]) => {
+        const state = this.effects[type];
+        const item = document.createElement('li');
+        item.className = 'post-effect';
+
+        const toggle = document.createElement('label');
+        toggle.className = 'control-label post-effect-toggle';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'checkbox';
+        checkbox.checked = state.enabled;
+        checkbox.addEventListener('change', (e) => {
+          state.enabled = e.target.checked;
+          // Nothing left to run: free the offscreen targets
+          if (!Object.values(this.effects).some(effect => effect.enabled)) this.disposePostProcessing();
+          utils.vibrate(20);
+        });
+        toggle.append(checkbox, ` ${effect.label}`);
+        item.appendChild(toggle);
+
+        effect.params.forEach(param => {
+          const label = document.createElement('label');
+          label.className = 'control-label';
+          label.append(`${param.label}: `);
+
+          if (param.options) {
+            const select = document.createElement('select');
+            select.className = 'select';
+            param.options.forEach((option, index) => select.add(new Option(option, index)));
+            select.value = state.params[param.name];
+            select.addEventListener('change', (e) => {
+              state.params[param.name] = parseInt(e.target.value, 10);
+            });
+            label.appendChild(select);
+          } else {
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.className = 'slider';
+            input.min = param.min;
+            input.max = param.max;
+            input.step = param.step;
+            input.value = state.params[param.name];
+
+            const value = document.createElement('span');
+            value.textContent = state.params[param.name];
+
+            input.addEventListener('input', (e) => {
+              state.params[param.name] = parseFloat(e.target.value);
+              value.textContent = e.target.value;
+            });
+            label.appendChild(input);
+            label.appendChild(value);
+          }
+
+          item.appendChild(label);
+        });
+
+        list.appendChild(item);
+      });
+    }
+
+    setShadows(enabled) {
+      if (enabled && !this.shadowMap && this.gl) {
+        try {
+          this.setupShadowMap();
+        } catch (err) {
+          notifications.warning('Shadows are not supported on this device.', { error: err });
+          const shadowToggle = document.getElementById('shadowToggle');
+          if (shadowToggle) shadowToggle.checked = false;
+          return;
+        }
+      }
+      this.shadows = enabled;
+    }
+
+    toggle() {
+      if (this.isRunning) {
+        this.stop();
+      } else {
+        this.start();
+      }
+      utils.vibrate(30);
+    }
+
+    start() {
+      if (this.isRunning || !this.gl) return;
+      
+      this.isRunning = true;
+      const toggleBtn = document.getElementById('webglToggle');
+      if (toggleBtn) toggleBtn.textContent = 'Stop 3D Scene';
+      
+      this.frame.start();
+    }
+
+    stop() {
+      this.isRunning = false;
+      const toggleBtn = document.getElementById('webglToggle');
+      if (toggleBtn) toggleBtn.textContent = 'Start 3D Scene';
+      
+      this.frame.stop();
+      // Offscreen targets for post-processing are the largest allocations here
+      this.disposePostProcessing();
+    }
+
+    render(dt) {
+      if (!this.isRunning || !this.gl || !this.program || this.contextLost) return;
+
+      this.time += dt / 1000;
+      this.animationTime += dt / 1000 * this.rotationSpeed;
+      this.drawCalls = 0;
+      this.camera.update(dt);
+      this.scene.update(dt / 1000 * this.rotationSpeed);
+
+      this.renderFrame({ framebuffer: null, width: this.canvas.width, height: this.canvas.height });
+      this.updateStats(dt);
+    }
+
+    // Draws the scene straight into target, or through the enabled post-processing passes
+    renderFrame(target) {
+      // Only the lit built-in shader can hand over linear HDR colour; debug views, the
+      // playground and the instanced cubes are already display-ready
+      const hdr = VIEW_MODES[this.viewMode].shader === 0 && !this.playground.enabled && this.sceneName !== 'instances';
+      const stages = Object.keys(POST_EFFECTS)
+        .filter(type => this.effects[type].enabled && (hdr || !POST_EFFECTS[type].hdr))
+        .map(type => ({ type, params: this.effects[type].params }));
+
+      if (stages.length === 0) {
+        this.drawScene(target);
+        return;
+      }
+
+      try {
+        if (!this.postProcessor) this.postProcessor = new PostProcessor(this.gl, this.isWebGL2);
+        const post = this.postProcessor;
+        post.resize(target.width, target.height);
+        this.drawScene({
+          framebuffer: post.scene.framebuffer,
+          width: target.width,
+          height: target.height,
+          hdr: stages.some(stage => POST_EFFECTS[stage.type].hdr)
+        });
+        post.render(stages, target);
+        this.drawCalls += stages.length;
+      } catch (err) {
+        notifications.warning('Post-processing failed, so the 3D scene is drawn without it.', { error: err });
+        this.disposePostProcessing();
+        Object.values(this.effects).forEach(effect => { effect.enabled = false; });
+        this.renderEffectControls();
+        this.drawScene(target);
+      }
+    }
+
+    disposePostProcessing() {
+      if (!this.postProcessor) return;
+      this.postProcessor.dispose();
+      this.postProcessor = null;
+    }
+
+    // Draws the current state into the canvas or an offscreen target of any size
+    drawScene(target) {
+      const gl = this.gl;
+      const scene = this.computeMatrices(target.width / target.height);
+      const lights = this.computeLights();
+
+      const objects = [];
+      this.scene.traverse(node => {
+        if (!node.mesh) return;
+        const material = this.linearMaterial(node.material || this.material);
+        if (node === this.selected) material.emissive = this.highlight(material.emissive);
+        objects.push({ buffers: node.mesh.buffers, mesh: node.mesh, model: node.world, material });
+      });
+
+      // Only shadows need a floor to land on
+      if (this.shadows && this.sceneName === 'model') {
+        objects.push({
+          buffers: this.floor,
+          model: new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, -1.9, 0, 1]),
+          material: { color: [0.3, 0.3, 0.3], roughness: 0.9, metalness: 0 }
+        });
+      }
+
+      if (this.shadows && this.shadowProgram && lights.shadowMatrix) {
+        this.renderShadowMap(objects, lights.shadowMatrix);
+      }
+
+      gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+      gl.viewport(0, 0, target.width, target.height);
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+      gl.enable(gl.DEPTH_TEST);
+
+      gl.useProgram(this.program);
+      const loc = this.locations;
+      gl.uniformMatrix4fv(loc.viewProjection, false, scene.viewProjection);
+      gl.uniform3fv(loc.cameraPosition, scene.eye);
+      gl.uniform3fv(loc.ambient, this.lighting.ambient);
+      gl.uniform1i(loc.lightCount, lights.count);
+      gl.uniform4fv(loc.lightPosition, lights.positions);
+      gl.uniform3fv(loc.lightColor, lights.colors);
+      const mode = VIEW_MODES[this.viewMode];
+      gl.uniform1i(loc.viewMode, mode.shader);
+      gl.uniform2f(loc.clipPlanes, CAMERA_NEAR, CAMERA_FAR);
+      gl.uniform2f(loc.depthRange, this.camera.distance * 0.5, this.camera.distance * 1.5);
+      gl.uniform1i(loc.hdrOutput, !!target.hdr);
+
+      const shadowsOn = this.shadows && !!lights.shadowMatrix;
+      gl.uniform1i(loc.shadows, shadowsOn);
+      if (shadowsOn) {
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.shadowMap.texture);
+        gl.uniform1i(loc.shadowMap, 0);
+        gl.uniformMatrix4fv(loc.lightMatrix, false, lights.shadowMatrix);
+        gl.uniform1f(loc.shadowTexel, 1 / SHADOW_MAP_SIZE);
+      }
+
+      if (this.playground.enabled && this.playground.program) {
+        this.renderPlayground(objects, scene, target, mode.shader === 1);
+      } else {
+        objects.forEach(({ buffers, model, material }) => {
+          gl.uniformMatrix4fv(loc.model, false, model);
+          gl.uniformMatrix3fv(loc.normalMatrix, false, mat4.normalMatrix(model));
+          gl.uniform3fv(loc.color, material.color);
+          gl.uniform3fv(loc.emissive, material.emissive || [0, 0, 0]);
+          gl.uniform1f(loc.roughness, material.roughness);
+          gl.uniform1f(loc.metalness, material.metalness);
+          this.drawMesh(buffers, loc, mode.shader === 1);
+        });
+      }
+
+      if (this.sceneName === 'instances' && this.instanceProgram) this.renderInstances(scene);
+      if (mode.vertexNormals) this.renderVertexNormals(objects);
+      if (mode.gizmo) this.renderGizmo(target);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    renderInstances(scene) {
+      const gl = this.gl;
+      const loc = this.instanceLocations;
+      const { buffers } = this.primitiveMesh('cube');
+      const { count, data, buffer, vao } = this.instances;
+
+      gl.useProgram(this.instanceProgram);
+      gl.uniformMatrix4fv(loc.viewProjection, false, scene.viewProjection);
+      gl.uniform1f(loc.time, this.animationTime);
+      gl.uniform1f(loc.scale, 0.2);
+
+      if (this.instanced && this.instancing) {
+        if (vao) {
+          this.vao.bind(vao);
+        } else {
+          this.bindInstanceAttributes(buffers, buffer);
+        }
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffers.indexBuffer);
+        this.instancing.drawElements(gl.TRIANGLES, buffers.indexCount, buffers.indexType, 0, count);
+        this.drawCalls++;
+
+        if (vao) {
+          this.vao.bind(null);
+        } else {
+          this.unbindInstanceAttributes();
+        }
+      } else {
+        // The same shader, one cube per draw call: with their arrays disabled the
+        // instance attributes read the constant values set here
+        for (let i = 0; i < count; i++) {
+          const offset = i * INSTANCE_FLOATS;
+          gl.vertexAttrib3f(ATTRIBUTE_LOCATIONS.a_offset, data[offset], data[offset + 1], data[offset + 2]);
+          gl.vertexAttrib3f(ATTRIBUTE_LOCATIONS.a_axis, data[offset + 3], data[offset + 4], data[offset + 5]);
+          gl.vertexAttrib2f(ATTRIBUTE_LOCATIONS.a_spin, data[offset + 6], data[offset + 7]);
+          gl.vertexAttrib3f(ATTRIBUTE_LOCATIONS.a_color, data[offset + 8], data[offset + 9], data[offset + 10]);
+          this.drawMesh(buffers, loc, false);
+        }
+      }
+
+      gl.useProgram(this.program);
+    }
+
+    updateStats(dt) {
+      this.stats.frameTime += (dt - this.stats.frameTime) * 0.1;
+      this.stats.elapsed += dt;
+      if (this.stats.elapsed < 250) return;
+      this.stats.elapsed = 0;
+
+      const readout = document.getElementById('webglStats');
+      if (readout) {
+        const calls = `${this.drawCalls.toLocaleString()} draw call${this.drawCalls === 1 ? '' : 's'}`;
+        readout.textContent = `${this.isWebGL2 ? 'WebGL2' : 'WebGL1'} · ${calls} · ${Math.round(1000 / this.stats.frameTime)} FPS`;
+      }
+    }
+
+    // Offscreen colour + depth framebuffer for exports, clamped to what the GPU allows
+    createRenderTarget(width, height) {
+      const gl = this.gl;
+      const viewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+      const limit = Math.min(
+        gl.getParameter(gl.MAX_TEXTURE_SIZE),
+        gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+        viewport[0],
+        viewport[1]
+      );
+      const scale = Math.min(1, limit / Math.max(width, height));
+      width = Math.floor(width * scale);
+      height = Math.floor(height * scale);
+
+      const texture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+      const depth = gl.createRenderbuffer();
+      gl.bindRenderbuffer(gl.RENDERBUFFER, depth);
+      gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
+
+      const framebuffer = gl.createFramebuffer();
+      gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+      gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depth);
+      const complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+      const target = { framebuffer, texture, depth, width, height, reduced: scale < 1 };
+      if (!complete) {
+        this.deleteRenderTarget(target);
+        return null;
+      }
+      return target;
+    }
+
+    deleteRenderTarget(target) {
+      const gl = this.gl;
+      gl.deleteFramebuffer(target.framebuffer);
+      gl.deleteTexture(target.texture);
+      gl.deleteRenderbuffer(target.depth);
+    }
+
+    // Rows come back bottom first from readPixels; flip them for ImageData
+    readPixels(target) {
+      const gl = this.gl;
+      const { width, height } = target;
+      const pixels = new Uint8ClampedArray(width * height * 4);
+      const row = width * 4;
+      const flipped = new Uint8ClampedArray(pixels.length);
+
+      gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+      gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+      for (let y = 0; y < height; y++) {
+        flipped.set(pixels.subarray(y * row, (y + 1) * row), (height - 1 - y) * row);
+      }
+      return new ImageData(flipped, width, height);
+    }
+
+    canExport() {
+      if (this.gl && !this.contextLost && this.program) return true;
+      notifications.info('Start the 3D scene before exporting.');
+      return false;
+    }
+
+    exportImage(width, height) {
+      if (!this.canExport()) return;
+
+      const target = this.createRenderTarget(width, height);
+      if (!target) {
+        notifications.error('This device cannot render an image of that size.');
+        return;
+      }
+      if (target.reduced) {
+        notifications.info(`Exported at ${target.width}×${target.height}, the largest size this GPU supports.`);
+      }
+
+      this.scene.update(0);
+      this.renderFrame(target);
+      const image = this.readPixels(target);
+      this.deleteRenderTarget(target);
+      if (!this.isRunning) this.disposePostProcessing();
+
+      const canvas = document.createElement('canvas');
+      canvas.width = image.width;
+      canvas.height = image.height;
+      canvas.getContext('2d').putImageData(image, 0, 0);
+      canvas.toBlob((blob) => {
+        if (blob) {
+          utils.downloadBlob(blob, `scene-${image.width}x${image.height}.png`);
+        } else {
+          notifications.error('The image could not be encoded.');
+        }
+      }, 'image/png');
+      utils.vibrate(50);
+    }
+
+    async exportAnimation(button) {
+      if (!this.canExport() || this.exporting) return;
+
+      const width = 480;
+      const height = 320;
+      const frameCount = 36;
+      const target = this.createRenderTarget(width, height);
+      if (!target) {
+        notifications.error('This device cannot render the animation.');
+        return;
+      }
+
+      // GIF has no partial transparency, so frames sit on the card's own background
+      const canvas = document.createElement('canvas');
+      canvas.width = target.width;
+      canvas.height = target.height;
+      const context = canvas.getContext('2d');
+      const layer = document.createElement('canvas');
+      layer.width = target.width;
+      layer.height = target.height;
+      const container = document.querySelector('.webgl-container');
+      const background = container ? getComputedStyle(container).backgroundColor : '#000';
+
+      // One full turn of the camera around the scene; each frame is drawn and read
+      // back synchronously so the live view never shows the borrowed camera
+      const encoder = new GifEncoder(target.width, target.height, { delay: 6 });
+      const yaw = this.camera.yaw;
+      this.scene.update(0);
+      for (let i = 0; i < frameCount; i++) {
+        this.camera.yaw = yaw + i / frameCount * Math.PI * 2;
+        this.renderFrame(target);
+        layer.getContext('2d').putImageData(this.readPixels(target), 0, 0);
+        context.fillStyle = background;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(layer, 0, 0);
+        encoder.addFrame(context.getImageData(0, 0, canvas.width, canvas.height).data);
+      }
+      this.camera.yaw = yaw;
+      this.deleteRenderTarget(target);
+      if (!this.isRunning) this.disposePostProcessing();
+
+      this.exporting = true;
+      const label = button ? button.textContent : '';
+      if (button) button.disabled = true;
+      try {
+        const blob = await encoder.encode((progress) => {
+          if (button) button.textContent = `Encoding ${Math.round(progress * 100)}%`;
+        });
+        utils.downloadBlob(blob, 'scene.gif');
+        utils.vibrate(50);
+      } catch (error) {
+        notifications.error('The animation could not be encoded.', { error });
+      } finally {
+        this.exporting = false;
+        if (button) {
+          button.textContent = label;
+          button.disabled = false;
+        }
+      }
+    }
+
+    exportParts() {
+      const parts = [];
+      this.scene.update(0); // World matrices are stale if the scene hasn't run yet
+      this.scene.traverse(node => {
+        if (node.mesh) parts.push({ name: node.name, mesh: node.mesh.data, matrix: node.world });
+      });
+
+      if (this.sceneName === 'instances' && this.instances) {
+        // The cubes only exist on the GPU, so rebuild each one's transform as the
+        // instance shader does at the current animation time
+        const mesh = this.primitiveMesh('cube').data;
+        const { count, data } = this.instances;
+        for (let i = 0; i < count; i++) {
+          const offset = i * INSTANCE_FLOATS;
+          const [x, y, z, ax, ay, az, speed, phase] = data.subarray(offset, offset + 8);
+          const angle = this.animationTime * speed + phase;
+          const c = Math.cos(angle);
+          const s = Math.sin(angle);
+          const t = 1 - c;
+          const k = 0.2;
+          parts.push({
+            name: `Cube ${i + 1}`,
+            mesh,
+            matrix: new Float32Array([
+              (c + t * ax * ax) * k, (t * ax * ay + s * az) * k, (t * ax * az - s * ay) * k, 0,
+              (t * ax * ay - s * az) * k, (c + t * ay * ay) * k, (t * ay * az + s * ax) * k, 0,
+              (t * ax * az + s * ay) * k, (t * ay * az - s * ax) * k, (c + t * az * az) * k, 0,
+              x, y, z, 1
+            ])
+          });
+        }
+      }
+      return parts;
+    }
+
+    exportGeometry(format) {
+      if (!this.canExport()) return;
+
+      const parts = this.exportParts();
+      if (parts.length === 0) {
+        notifications.info('There is no geometry in this scene to export.');
+        return;
+      }
+
+      const name = this.sceneName;
+      const blob = format === 'stl'
+        ? new Blob([partsToSTL(parts, name)], { type: 'model/stl' })
+        : new Blob([partsToOBJ(parts)], { type: 'model/obj' });
+      utils.downloadBlob(blob, `${name}.${format}`);
+      utils.vibrate(50);
+    }
+
+    renderPlayground(objects, scene, target, wireframe) {
+      // User shaders may declare any subset of these; missing uniforms and attributes
+      // come back as null or -1 and are skipped, so a valid program can always draw.
+      const gl = this.gl;
+      const { program, locations: loc, pointer } = this.playground;
+
+      gl.useProgram(program);
+      gl.uniformMatrix4fv(loc.viewProjection, false, scene.viewProjection);
+      gl.uniform3fv(loc.cameraPosition, scene.eye);
+      gl.uniform1f(loc.time, this.time);
+      // Exports render larger than the canvas; keep the pointer where it was on screen
+      const scale = target.width / this.canvas.width;
+      gl.uniform2f(loc.resolution, target.width, target.height);
+      gl.uniform2f(loc.mouse, pointer[0] * scale, pointer[1] * scale);
+
+      objects.forEach(({ buffers, model, material }) => {
+        gl.uniformMatrix4fv(loc.model, false, model);
+        gl.uniformMatrix3fv(loc.normalMatrix, false, mat4.normalMatrix(model));
+        gl.uniform3fv(loc.color, material.color);
+        this.drawMesh(buffers, loc, wireframe);
+      });
+
+      // Leave no arrays enabled at indices the built-in programs don't use
+      if (loc.position >= 0) gl.disableVertexAttribArray(loc.position);
+      if (loc.normal >= 0) gl.disableVertexAttribArray(loc.normal);
+      gl.useProgram(this.program);
+    }
+
+    renderVertexNormals(objects) {
+      const gl = this.gl;
+      const loc = this.locations;
+      gl.uniform1i(loc.viewMode, 1);
+      gl.uniform3fv(loc.color, [1, 0.8, 0.1]);
+      gl.uniform3fv(loc.emissive, [0, 0, 0]);
+
+      objects.forEach(({ mesh, model }) => {
+        if (!mesh) return;
+        const lines = this.normalLines(mesh);
+        gl.uniformMatrix4fv(loc.model, false, model);
+        this.bindLines(lines.buffer, loc);
+        gl.drawArrays(gl.LINES, 0, lines.count);
+        this.drawCalls++;
+      });
+    }
+
+    normalLines(mesh) {
+      // Built on first use: a short segment from every vertex along its normal
+      if (!mesh.normalLines) {
+        const { positions, normals } = mesh.data;
+        const length = mesh.bounds.radius * 0.1;
+        const lines = new Float32Array(positions.length * 2);
+
+        for (let i = 0; i < positions.length; i += 3) {
+          for (let axis = 0; axis < 3; axis++) {
+            lines[i * 2 + axis] = positions[i + axis];
+            lines[i * 2 + 3 + axis] = positions[i + axis] + normals[i + axis] * length;
+          }
+        }
+
+        const buffer = this.gl.createBuffer();
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
+        this.gl.bufferData(this.gl.ARRAY_BUFFER, lines, this.gl.STATIC_DRAW);
+        mesh.normalLines = { buffer, count: lines.length / 3 };
+      }
+      return mesh.normalLines;
+    }
+
+    renderGizmo(target) {
+      const gl = this.gl;
+      const loc = this.locations;
+      const size = Math.round(Math.min(target.width, target.height) * 0.2);
+
+      // World axes as the camera sees them, minus the zoom and pan, in the bottom-left corner
+      const { forward, up } = this.camera.basis();
+      const view = this.createLookAtMatrix(forward.map(f => -f * 3), [0, 0, 0], up);
+      const projection = this.createOrthographicMatrix(-1.3, 1.3, -1.3, 1.3, 0.1, 10);
+      const viewProjection = new Float32Array(16);
+      mat4.multiply(projection, view, viewProjection);
+
+      gl.viewport(0, 0, size, size);
+      gl.disable(gl.DEPTH_TEST);
+      gl.uniform1i(loc.viewMode, 1);
+      gl.uniform3fv(loc.emissive, [0, 0, 0]);
+      gl.uniformMatrix4fv(loc.viewProjection, false, viewProjection);
+      gl.uniformMatrix4fv(loc.model, false, new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]));
+      this.bindLines(this.axes, loc);
+
+      // X red, Y green, Z blue
+      [[1, 0.1, 0.1], [0.1, 1, 0.1], [0.1, 0.3, 1]].forEach((color, axis) => {
+        gl.uniform3fv(loc.color, color);
+        gl.drawArrays(gl.LINES, axis * 2, 2);
+        this.drawCalls++;
+      });
+
+      gl.enable(gl.DEPTH_TEST);
+      gl.viewport(0, 0, target.width, target.height);
+    }
+
+    renderShadowMap(objects, shadowMatrix) {
+      const gl = this.gl;
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.shadowMap.framebuffer);
+      gl.viewport(0, 0, SHADOW_MAP_SIZE, SHADOW_MAP_SIZE);
+      gl.clearColor(1, 1, 1, 1); // Unpacks past the far plane, i.e. nothing occludes
+      gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+      gl.enable(gl.DEPTH_TEST);
+
+      gl.useProgram(this.shadowProgram);
+      // The depth pass has no normals; leave no stale array enabled for it
+      if (this.locations.normal >= 0) gl.disableVertexAttribArray(this.locations.normal);
+      gl.uniformMatrix4fv(this.shadowLocations.lightMatrix, false, shadowMatrix);
+      objects.forEach(({ buffers, model }) => {
+        gl.uniformMatrix4fv(this.shadowLocations.model, false, model);
+        this.drawMesh(buffers, this.shadowLocations, false);
+      });
+
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    drawMesh(buffers, locations, wireframe) {
+      const gl = this.gl;
+
+      if (buffers.vao) {
+        this.vao.bind(buffers.vao);
+      } else {
+        if (locations.position >= 0) {
+          gl.bindBuffer(gl.ARRAY_BUFFER, buffers.positionBuffer);
+          gl.enableVertexAttribArray(locations.position);
+          gl.vertexAttribPointer(locations.position, 3, gl.FLOAT, false, 0, 0);
+        }
+
+        if (locations.normal >= 0) {
+          gl.bindBuffer(gl.ARRAY_BUFFER, buffers.normalBuffer);
+          gl.enableVertexAttribArray(locations.normal);
+          gl.vertexAttribPointer(locations.normal, 3, gl.FLOAT, false, 0, 0);
+        }
+      }
+
+      if (wireframe) {
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffers.edgeBuffer);
+        gl.drawElements(gl.LINES, buffers.edgeCount, buffers.indexType, 0);
+      } else {
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffers.indexBuffer);
+        gl.drawElements(gl.TRIANGLES, buffers.indexCount, buffers.indexType, 0);
+      }
+      this.drawCalls++;
+
+      // Unbind so attribute calls elsewhere go to the default vertex array, not this mesh's
+      if (buffers.vao) this.vao.bind(null);
+    }
+
+    bindLines(buffer, locations) {
+      const gl = this.gl;
+      if (this.vao) this.vao.bind(null);
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+      gl.enableVertexAttribArray(locations.position);
+      gl.vertexAttribPointer(locations.position, 3, gl.FLOAT, false, 0, 0);
+      // Lines carry no normals; the flat colour output doesn't read them
+      if (locations.normal >= 0) gl.disableVertexAttribArray(locations.normal);
+    }
+
+    linearMaterial(material) {
+      // The colour picker works in sRGB; lighting happens in linear space
+      return { ...material, color: material.color.map(c => Math.pow(c, 2.2)) };
+    }
+
+    highlight(emissive = [0, 0, 0]) {
+      // A gentle pulse so the selection reads on both dark and bright objects
+      const glow = 0.25 + 0.15 * Math.sin(this.time * 5);
+      return emissive.map((c, i) => c + glow * [0.6, 0.8, 1][i]);
+    }
+
+    computeLights() {
+      const positions = new Float32Array(MAX_LIGHTS * 4);
+      const colors = new Float32Array(MAX_LIGHTS * 3);
+      const lights = this.lighting.lights.slice(0, MAX_LIGHTS);
+      let shadowMatrix = null;
+
+      lights.forEach((light, i) => {
+        if (light.type === 'directional') {
+          positions.set([...this.normalize(light.direction), 0], i * 4);
+        } else if (light.orbit) {
+          const { radius, height, speed, phase } = light.orbit;
+          const angle = this.time * speed + phase;
+          positions.set([Math.cos(angle) * radius, height, Math.sin(angle) * radius, 1], i * 4);
+        } else {
+          positions.set([...light.position, 1], i * 4);
+        }
+        colors.set(light.color.map(c => c * light.intensity), i * 3);
+      });
+
+      const [key] = lights;
+      if (key && key.type === 'directional') {
+        // Orthographic view from the light, sized to cover the fitted model and the floor
+        const direction = this.normalize(key.direction);
+        const eye = direction.map(c => c * 6);
+        const up = Math.abs(direction[1]) > 0.99 ? [0, 0, 1] : [0, 1, 0];
+        const view = this.createLookAtMatrix(eye, [0, 0, 0], up);
+        const projection = this.createOrthographicMatrix(-4, 4, -4, 4, 0.5, 14);
+        shadowMatrix = new Float32Array(16);
+        mat4.multiply(projection, view, shadowMatrix);
+      }
+
+      return { count: lights.length, positions, colors, shadowMatrix };
+    }
+
+    computeMatrices(aspect = this.canvas.width / this.canvas.height) {
+      const perspective = this.createPerspectiveMatrix(Math.PI / 4, aspect, CAMERA_NEAR, CAMERA_FAR);
+
+      const eye = this.camera.eye();
+      const view = this.createLookAtMatrix(eye, this.camera.target, this.camera.basis().up);
+      
+      const viewProjection = mat4.multiply(perspective, view);
+      
+      return { viewProjection, eye };
+    }
+
+    createPerspectiveMatrix(fov, aspect, near, far) {
+      const f = Math.tan(Math.PI * 0.5 - 0.5 * fov);
+      const rangeInv = 1.0 / (near - far);
+
+      return new Float32Array([
+        f / aspect, 0, 0, 0,
+        0, f, 0, 0,
+        0, 0, (near + far) * rangeInv, -1,
+        0, 0, near * far * rangeInv * 2, 0
+      ]);
+    }
+
+    createOrthographicMatrix(left, right, bottom, top, near, far) {
+      return new Float32Array([
+        2 / (right - left), 0, 0, 0,
+        0, 2 / (top - bottom), 0, 0,
+        0, 0, -2 / (far - near), 0,
+        -(right + left) / (right - left), -(top + bottom) / (top - bottom), -(far + near) / (far - near), 1
+      ]);
+    }
+
+    createLookAtMatrix(eye, target, up) {
+      const zAxis = this.normalize([eye[0] - target[0], eye[1] - target[1], eye[2] - target[2]]);
+      const xAxis = this.normalize(this.cross(up, zAxis));
+      const yAxis = this.cross(zAxis, xAxis);
+
+      // Inverse of the camera's placement, so the world moves in front of it
+      return new Float32Array([
+        xAxis[0], yAxis[0], zAxis[0], 0,
+        xAxis[1], yAxis[1], zAxis[1], 0,
+        xAxis[2], yAxis[2], zAxis[2], 0,
+        -(xAxis[0] * eye[0] + xAxis[1] * eye[1] + xAxis[2] * eye[2]),
+        -(yAxis[0] * eye[0] + yAxis[1] * eye[1] + yAxis[2] * eye[2]),
+        -(zAxis[0] * eye[0] + zAxis[1] * eye[1] + zAxis[2] * eye[2]),
+        1
+      ]);
+    }
+
+    invertMatrix(m) {
+      // General 4x4 inverse by cofactor expansion; null when singular
+      const b00 = m[0] * m[5] - m[1] * m[4], b01 = m[0] * m[6] - m[2] * m[4];
+      const b02 = m[0] * m[7] - m[3] * m[4], b03 = m[1] * m[6] - m[2] * m[5];
+      const b04 = m[1] * m[7] - m[3] * m[5], b05 = m[2] * m[7] - m[3] * m[6];
+      const b06 = m[8] * m[13] - m[9] * m[12], b07 = m[8] * m[14] - m[10] * m[12];
+      const b08 = m[8] * m[15] - m[11] * m[12], b09 = m[9] * m[14] - m[10] * m[13];
+      const b10 = m[9] * m[15] - m[11] * m[13], b11 = m[10] * m[15] - m[11] * m[14];
+
+      const determinant = b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+      if (!determinant) return null;
+      const inv = 1 / determinant;
+
+      return new Float32Array([
+        (m[5] * b11 - m[6] * b10 + m[7] * b09) * inv,
+        (m[2] * b10 - m[1] * b11 - m[3] * b09) * inv,
+        (m[13] * b05 - m[14] * b04 + m[15] * b03) * inv,
+        (m[10] * b04 - m[9] * b05 - m[11] * b03) * inv,
+        (m[6] * b08 - m[4] * b11 - m[7] * b07) * inv,
+        (m[0] * b11 - m[2] * b08 + m[3] * b07) * inv,
+        (m[14] * b02 - m[12] * b05 - m[15] * b01) * inv,
+        (m[8] * b05 - m[10] * b02 + m[11] * b01) * inv,
+        (m[4] * b10 - m[5] * b08 + m[7] * b06) * inv,
+        (m[1] * b08 - m[0] * b10 - m[3] * b06) * inv,
+        (m[12] * b04 - m[13] * b02 + m[15] * b00) * inv,
+        (m[9] * b02 - m[8] * b04 - m[11] * b00) * inv,
+        (m[5] * b07 - m[4] * b09 - m[6] * b06) * inv,
+        (m[0] * b09 - m[1] * b07 + m[2] * b06) * inv,
+        (m[13] * b01 - m[12] * b03 - m[14] * b00) * inv,
+        (m[8] * b03 - m[9] * b01 + m[10] * b00) * inv
+      ]);
+    }
+
+    normalize(v) {
+      const length = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+      return length > 0 ? [v[0] / length, v[1] / length, v[2] / length] : [0, 0, 0];
+    }
+
+    dot(a, b) {
+      return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    }
+
+    cross(a, b) {
+      return [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0]
+      ];
+    }
+
+    showFallback() {
+      const container = document.querySelector('.webgl-container');
+      if (container) {
+        container.innerHTML = '<p style="color: var(--muted); text-align: center; padding: 2rem;">WebGL is not supported in this browser. Please try a modern browser with WebGL enabled.</p>';
+      }
+    }
+  }
+
+  // Audio Visualization
+  class AudioVisualizer {
+    constructor() {
+      this.canvas = null;
+      this.ctx = null;
+      this.audioContext = null;
+      this.analyser = null;
+      this.dataArray = null;
+      this.source = null;
+      this.frame = scheduler.register('Audio visualizer', () => this.render(), { onError: () => this.stop() });
+      this.isRunning = false;
+      this.sensitivity = 1;
+      this.micStream = null;
+      this.micReleased = false;
+      this.init();
+    }
+
+    init() {
+      if (!features.webAudio) {
+        this.showFallback();
+        return;
+      }
+
+      this.createCanvas();
+      this.setupEventListeners();
+    }
+
+    createCanvas() {
+      const container = document.querySelector('.audio-container');
+      if (!container) return;
+
+      this.canvas = document.createElement('canvas');
+      this.canvas.width = 600;
+      this.canvas.height = 300;
+      this.canvas.style.maxWidth = '100%';
+      this.canvas.style.height = 'auto';
+      
+      container.appendChild(this.canvas);
+      this.ctx = this.canvas.getContext('2d');
+      lifecycle.register(this, container);
+    }
+
+    setupEventListeners() {
+      const toggleBtn = document.getElementById('audioToggle');
+      const micBtn = document.getElementById('micToggle');
+      const fileInput = document.getElementById('audioFile');
+      const sensitivitySlider = document.getElementById('audioSensitivity');
+
+      if (toggleBtn) {
+        toggleBtn.addEventListener('click', () => this.toggle());
+      }
+
+      if (micBtn) {
+        micBtn.addEventListener('click', () => this.toggleMicrophone());
+      }
+
+      if (fileInput) {
+        fileInput.addEventListener('change', (e) => this.loadAudioFile(e.target.files[0]));
+      }
+
+      if (sensitivitySlider) {
+        sensitivitySlider.addEventListener('input', (e) => {
+          this.sensitivity = parseFloat(e.target.value);
+        });
+      }
+
+      // Check microphone availability
+      this.checkMicrophoneSupport();
+    }
+
+    async checkMicrophoneSupport() {
+      if (features.getUserMedia) {
+        try {
+          const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+          stream.getTracks().forEach(track => track.stop()); // Stop immediately
+          
+          const micBtn = document.getElementById('micToggle');
+          if (micBtn) micBtn.disabled = false;
+        } catch (err) {
+          // Expected while the permissions policy blocks the microphone; the disabled
+          // button already says it's unavailable, so no toast on every page load
+        }
+      }
+    }
+
+    async setupAudioContext() {
+      try {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        this.audioContext = new AudioContext();
+        
+        if (this.audioContext.state === 'suspended') {
+          await this.audioContext.resume();
+        }
+
+        this.analyser = this.audioContext.createAnalyser();
+        this.analyser.fftSize = 256;
+        this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
+        
+        return true;
+      } catch (err) {
+        notifications.error('Audio could not be started in this browser.', { error: err });
+        return false;
+      }
+    }
+
+    async toggle() {
+      if (this.isRunning) {
+        this.stop();
+      } else {
+        await this.start();
+      }
+      utils.vibrate(30);
+    }
+
+    async start() {
+      if (this.isRunning) return;
+
+      const success = await this.setupAudioContext();
+      if (!success) return;
+
+      // Create a simple oscillator for demonstration
+      this.createOscillatorSource();
+      
+      this.isRunning = true;
+      const toggleBtn = document.getElementById('audioToggle');
+      if (toggleBtn) toggleBtn.textContent = 'Stop Audio Visualization';
+      
+      this.frame.start();
+    }
+
+    createOscillatorSource() {
+      // Create a complex audio source for visualization
+      const oscillator1 = this.audioContext.createOscillator();
+      const oscillator2 = this.audioContext.createOscillator();
+      const oscillator3 = this.audioContext.createOscillator();
+      const gainNode = this.audioContext.createGain();
+      
+      oscillator1.type = 'sine';
+      oscillator1.frequency.setValueAtTime(220, this.audioContext.currentTime);
+      
+      oscillator2.type = 'sawtooth';
+      oscillator2.frequency.setValueAtTime(110, this.audioContext.currentTime);
+      
+      oscillator3.type = 'square';
+      oscillator3.frequency.setValueAtTime(440, this.audioContext.currentTime);
+      
+      gainNode.gain.setValueAtTime(0.1, this.audioContext.currentTime);
+      
+      // Connect oscillators to analyser
+      oscillator1.connect(gainNode);
+      oscillator2.connect(gainNode);
+      oscillator3.connect(gainNode);
+      gainNode.connect(this.analyser);
+      gainNode.connect(this.audioContext.destination);
+      
+      // Add some frequency modulation for interesting visuals
+      const lfo = this.audioContext.createOscillator();
+      const lfoGain = this.audioContext.createGain();
+      lfo.frequency.setValueAtTime(0.5, this.audioContext.currentTime);
+      lfoGain.gain.setValueAtTime(50, this.audioContext.currentTime);
+      
+      lfo.connect(lfoGain);
+      lfoGain.connect(oscillator1.frequency);
+      
+      oscillator1.start();
+      oscillator2.start();
+      oscillator3.start();
+      lfo.start();
+      
+      // Store reference for cleanup
+      this.oscillators = [oscillator1, oscillator2, oscillator3, lfo];
+    }
+
+    async toggleMicrophone() {
+      if (this.micStream) {
+        this.stopMicrophone();
+      } else {
+        await this.startMicrophone();
+      }
+    }
+
+    async startMicrophone() {
+      try {
+        if (!this.audioContext) {
+          const success = await this.setupAudioContext();
+          if (!success) return;
+        }
+
+        this.micStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        this.source = this.audioContext.createMediaStreamSource(this.micStream);
+        this.source.connect(this.analyser);
+        
+        const micBtn = document.getElementById('micToggle');
+        if (micBtn) micBtn.textContent = 'Stop Microphone';
+        
+        if (!this.isRunning) {
+          this.isRunning = true;
+          const toggleBtn = document.getElementById('audioToggle');
+          if (toggleBtn) toggleBtn.textContent = 'Stop Audio Visualization';
+          this.frame.start();
+        }
+        
+        utils.vibrate(40);
+      } catch (err) {
+        const denied = err.name === 'NotAllowedError' || err.name === 'SecurityError';
+        const actions = [{ label: 'Retry', onClick: () => this.startMicrophone() }];
+        if (denied) actions.push(permissionsHelpAction());
+
+        notifications.error(
+          denied ? 'Microphone access was denied.' : 'The microphone could not be started.',
+          { error: err, actions }
+        );
+      }
+    }
+
+    stopMicrophone() {
+      if (this.micStream) {
+        this.micStream.getTracks().forEach(track => track.stop());
+        this.micStream = null;
+      }
+      
+      if (this.source) {
+        this.source.disconnect();
+        this.source = null;
+      }
+      
+      const micBtn = document.getElementById('micToggle');
+      if (micBtn) micBtn.textContent = 'Use Microphone';
+    }
+
+    loadAudioFile(file) {
+      if (!file) return;
+      
+      const reader = new FileReader();
+      reader.onload = async (e) => {
+        try {
+          if (!this.audioContext) {
+            const success = await this.setupAudioContext();
+            if (!success) return;
+          }
+
+          const arrayBuffer = e.target.result;
+          const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+          
+          // Stop any existing sources
+          this.stopAllSources();
+          
+          // Create buffer source
+          this.source = this.audioContext.createBufferSource();
+          this.source.buffer = audioBuffer;
+          this.source.loop = true;
+          this.source.connect(this.analyser);
+          this.source.connect(this.audioContext.destination);
+          this.source.start();
+          
+          if (!this.isRunning) {
+            this.isRunning = true;
+            const toggleBtn = document.getElementById('audioToggle');
+            if (toggleBtn) toggleBtn.textContent = 'Stop Audio Visualization';
+            this.frame.start();
+          }
+          
+        } catch (err) {
+          notifications.error('That audio file could not be decoded. Try an MP3, WAV or OGG file.', {
+            error: err,
+            actions: [{
+              label: 'Choose Another File',
+              onClick: () => {
+                const fileInput = document.getElementById('audioFile');
+                if (fileInput) fileInput.click();
+              }
+            }]
+          });
+        }
+      };
+      
+      reader.readAsArrayBuffer(file);
+    }
+
+    stop() {
+      this.isRunning = false;
+      
+      const toggleBtn = document.getElementById('audioToggle');
+      if (toggleBtn) toggleBtn.textContent = 'Start Audio Visualization';
+      
+      this.stopAllSources();
+      this.stopMicrophone();
+      
+      this.frame.stop();
+      
+      // Clear canvas
+      if (this.ctx) {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+      }
+    }
+
+    suspend() {
+      this.frame.stop();
+      if (this.audioContext) this.audioContext.suspend();
+    }
+
+    releaseMedia() {
+      this.micReleased = !!this.micStream;
+      if (this.micReleased) this.stopMicrophone();
+    }
+
+    async resume() {
+      if (!this.isRunning) return;
+
+      if (this.audioContext) await this.audioContext.resume();
+      if (this.micReleased) {
+        this.micReleased = false;
+        await this.startMicrophone();
+      }
+      this.frame.start();
+    }
+
+    stopAllSources() {
+      if (this.oscillators) {
+        this.oscillators.forEach(osc => {
+          try { osc.stop(); } catch (e) {}
+        });
+        this.oscillators = null;
+      }
+      
+      if (this.source && this.source.stop) {
+        try { this.source.stop(); } catch (e) {}
+        this.source = null;
+      }
+    }
+
+    render() {
+      if (!this.isRunning || !this.analyser || !this.ctx) return;
+
+      this.analyser.getByteFrequencyData(this.dataArray);
+      
+      const width = this.canvas.width;
+      const height = this.canvas.height;
+      const barWidth = width / this.dataArray.length;
+      
+      // Clear canvas with fade effect
+      this.ctx.fillStyle = 'rgba(0, 0, 0, 0.1)';
+      this.ctx.fillRect(0, 0, width, height);
+      
+      // Draw frequency bars
+      for (let i = 0; i < this.dataArray.length; i++) {
+        const barHeight = (this.dataArray[i] / 255) * height * this.sensitivity;
+        const hue = (i / this.dataArray.length) * 360;
+        
+        this.ctx.fillStyle = `hsl(${hue}, 70%, 50%)`;
+        this.ctx.fillRect(i * barWidth, height - barHeight, barWidth - 1, barHeight);
+        
+        // Add reflection effect
+        this.ctx.fillStyle = `hsla(${hue}, 70%, 50%, 0.3)`;
+        this.ctx.fillRect(i * barWidth, 0, barWidth - 1, barHeight * 0.3);
+      }
+      
+      // Draw waveform
+      this.analyser.getByteTimeDomainData(this.dataArray);
+      this.ctx.strokeStyle = '#fff';
+      this.ctx.lineWidth = 2;
+      this.ctx.beginPath();
+      
+      for (let i = 0; i < this.dataArray.length; i++) {
+        const x = (i / this.dataArray.length) * width;
+        const y = ((this.dataArray[i] - 128) / 128) * (height / 4) + height / 2;
+        
+        if (i === 0) {
+          this.ctx.moveTo(x, y);
+        } else {
+          this.ctx.lineTo(x, y);
+        }
+      }
+      
+      this.ctx.stroke();
+    }
+
+    showFallback() {
+      const container = document.querySelector('.audio-container');
+      if (container) {
+        container.innerHTML = '<p style="color: var(--muted); text-align: center; padding: 2rem;">Web Audio API is not supported in this browser.</p>';
+      }
+    }
+  }
+
+  // Rigid Body Physics
+  // Bodies are circles or convex polygons with their local vertices centred on the
+  // centroid and wound counter-clockwise (in y-down screen space that reads as clockwise).
+  // Velocities are in pixels per 60 Hz frame, angular velocity in radians per frame.
+  const PHYSICS_DENSITY = 0.004;
+  const PHYSICS_GRAVITY = 0.5; // Pixels per step per step, straight down by default
+  const PHYSICS_STEP = 1000 / 60; // Fixed step in ms, whatever the display's refresh rate
+  const PHYSICS_MAX_STEPS = 4; // Per frame, so a stalled tab doesn't spiral trying to catch up
+  const PHYSICS_CAPS = [50, 200, 1000, 3000]; // The #physicsCap options
+  const PHYSICS_MAX_SIZE = 4096; // Largest canvas side an imported session may ask for
+
+  // Shape factories take the simulation's seeded random source so spawns replay exactly
+  const PHYSICS_SHAPES = {
+    circle: { label: 'Circle', create: (size) => ({ radius: size }) },
+    box: {
+      label: 'Box',
+      create: (size, random) => {
+        const w = size * (0.8 + random() * 0.6);
+        const h = size * (0.6 + random() * 0.4);
+        return { vertices: [[-w, -h], [w, -h], [w, h], [-w, h]] };
+      }
+    },
+    triangle: { label: 'Triangle', create: (size) => ({ vertices: regularPolygon(3, size * 1.3) }) },
+    pentagon: { label: 'Pentagon', create: (size) => ({ vertices: regularPolygon(5, size * 1.1) }) },
+    polygon: {
+      label: 'Random polygon',
+      create: (size, random) => {
+        // Points on a circle are always in convex position; keep them apart so no edge
+        // is too short to give a stable normal
+        const count = 4 + Math.floor(random() * 5);
+        const angles = [];
+        for (let i = 0; i < count; i++) {
+          angles.push((i + 0.2 + random() * 0.6) / count * Math.PI * 2);
+        }
+        return { vertices: angles.map(a => [Math.cos(a) * size * 1.2, Math.sin(a) * size * 1.2]) };
+      }
+    },
+    mixed: {
+      label: 'Mixed',
+      create: (size, random) => {
+        const types = ['circle', 'box', 'triangle', 'pentagon', 'polygon'];
+        return PHYSICS_SHAPES[types[Math.floor(random() * types.length)]].create(size, random);
+      }
+    }
+  };
+
+  // Mulberry32: a tiny seedable PRNG returning floats in [0, 1) like Math.random
+  function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = Math.imul(state ^ (state >>> 15), state | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function regularPolygon(sides, radius) {
+    const vertices = [];
+    for (let i = 0; i < sides; i++) {
+      const angle = i / sides * Math.PI * 2 - Math.PI / 2;
+      vertices.push([Math.cos(angle) * radius, Math.sin(angle) * radius]);
+    }
+    return vertices;
+  }
+
+  function cross2(ax, ay, bx, by) {
+    return ax * by - ay * bx;
+  }
+
+  function createRigidBody(shape, x, y, options = {}) {
+    const body = {
+      shape: shape.vertices ? 'polygon' : 'circle',
+      x,
+      y,
+      angle: 0,
+      vx: 0,
+      vy: 0,
+      angularVelocity: 0,
+      restitution: 0.5,
+      friction: 0.4, // Coulomb coefficient at contacts
+      damping: 0.99, // Share of velocity kept each frame
+      color: '#ffffff',
+      ...options
+    };
+
+    if (body.shape === 'circle') {
+      body.radius = shape.radius;
+      body.mass = Math.PI * body.radius * body.radius * PHYSICS_DENSITY;
+      body.inertia = body.mass * body.radius * body.radius / 2;
+    } else {
+      // Area, centroid and second moment summed over triangles fanned from the origin
+      let area = 0;
+      let cx = 0;
+      let cy = 0;
+      let moment = 0;
+      shape.vertices.forEach(([x1, y1], i) => {
+        const [x2, y2] = shape.vertices[(i + 1) % shape.vertices.length];
+        const d = cross2(x1, y1, x2, y2);
+        area += d / 2;
+        cx += (x1 + x2) * d / 6;
+        cy += (y1 + y2) * d / 6;
+        moment += d / 12 * (x1 * x1 + x1 * x2 + x2 * x2 + y1 * y1 + y1 * y2 + y2 * y2);
+      });
+      cx /= area;
+      cy /= area;
+
+      body.vertices = shape.vertices.map(([vx, vy]) => [vx - cx, vy - cy]);
+      body.normals = body.vertices.map(([x1, y1], i) => {
+        const [x2, y2] = body.vertices[(i + 1) % body.vertices.length];
+        const length = Math.hypot(x2 - x1, y2 - y1);
+        return [(y2 - y1) / length, -(x2 - x1) / length];
+      });
+      body.radius = Math.max(...body.vertices.map(([vx, vy]) => Math.hypot(vx, vy)));
+      body.mass = area * PHYSICS_DENSITY;
+      // Parallel axis theorem moves the moment from the origin to the centroid
+      body.inertia = (moment - area * (cx * cx + cy * cy)) * PHYSICS_DENSITY;
+    }
+
+    body.invMass = 1 / body.mass;
+    body.invInertia = 1 / body.inertia;
+    updateWorldShape(body);
+    return body;
+  }
+
+  // Caches the polygon's world-space vertices and normals for this step
+  function updateWorldShape(body) {
+    if (body.shape !== 'polygon') return;
+    const cos = Math.cos(body.angle);
+    const sin = Math.sin(body.angle);
+    // Updated in place: this runs for every polygon on every step
+    if (!body.world) {
+      body.world = body.vertices.map(() => [0, 0]);
+      body.worldNormals = body.normals.map(() => [0, 0]);
+    }
+    for (let i = 0; i < body.vertices.length; i++) {
+      const [x, y] = body.vertices[i];
+      const [nx, ny] = body.normals[i];
+      body.world[i][0] = body.x + x * cos - y * sin;
+      body.world[i][1] = body.y + x * sin + y * cos;
+      body.worldNormals[i][0] = nx * cos - ny * sin;
+      body.worldNormals[i][1] = nx * sin + ny * cos;
+    }
+  }
+
+  // Narrow phase. Each returns null or a manifold whose normal points from a to b, with
+  // one or two contact points and the penetration depth.
+  function collideBodies(a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const reach = a.radius + b.radius;
+    if (dx * dx + dy * dy >= reach * reach) return null; // Bounding circles don't touch
+
+    if (a.shape === 'circle' && b.shape === 'circle') return collideCircles(a, b);
+    if (a.shape === 'polygon' && b.shape === 'polygon') return collidePolygons(a, b);
+    if (a.shape === 'polygon') return collidePolygonCircle(a, b);
+
+    const manifold = collidePolygonCircle(b, a);
+    if (!manifold) return null;
+    return { ...manifold, a, b, normal: [-manifold.normal[0], -manifold.normal[1]] };
+  }
+
+  function collideCircles(a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const distance = Math.hypot(dx, dy);
+    const normal = distance > 0 ? [dx / distance, dy / distance] : [0, 1];
+    return {
+      a,
+      b,
+      normal,
+      penetration: a.radius + b.radius - distance,
+      points: [[a.x + normal[0] * a.radius, a.y + normal[1] * a.radius]]
+    };
+  }
+
+  function collidePolygonCircle(polygon, circle) {
+    // Face of the polygon closest to the circle's centre
+    let best = 0;
+    let separation = -Infinity;
+    for (let i = 0; i < polygon.world.length; i++) {
+      const [vx, vy] = polygon.world[i];
+      const [nx, ny] = polygon.worldNormals[i];
+      const s = nx * (circle.x - vx) + ny * (circle.y - vy);
+      if (s > circle.radius) return null;
+      if (s > separation) {
+        separation = s;
+        best = i;
+      }
+    }
+
+    const [x1, y1] = polygon.world[best];
+    const [x2, y2] = polygon.world[(best + 1) % polygon.world.length];
+    const [fx, fy] = polygon.worldNormals[best];
+
+    // Centre inside the polygon: push out along the face normal
+    if (separation < 1e-6) {
+      return {
+        a: polygon,
+        b: circle,
+        normal: [fx, fy],
+        penetration: circle.radius - separation,
+        points: [[circle.x - fx * circle.radius, circle.y - fy * circle.radius]]
+      };
+    }
+
+    // Otherwise the closest feature is either end of that face or the face itself
+    const toFirst = (circle.x - x1) * (x2 - x1) + (circle.y - y1) * (y2 - y1);
+    const toSecond = (circle.x - x2) * (x1 - x2) + (circle.y - y2) * (y1 - y2);
+    let normal;
+    let point;
+    if (toFirst <= 0 || toSecond <= 0) {
+      point = toFirst <= 0 ? [x1, y1] : [x2, y2];
+      const distance = Math.hypot(circle.x - point[0], circle.y - point[1]);
+      if (distance > circle.radius) return null;
+      normal = distance > 0 ? [(circle.x - point[0]) / distance, (circle.y - point[1]) / distance] : [fx, fy];
+      return { a: polygon, b: circle, normal, penetration: circle.radius - distance, points: [point] };
+    }
+
+    normal = [fx, fy];
+    point = [circle.x - fx * circle.radius, circle.y - fy * circle.radius];
+    return { a: polygon, b: circle, normal, penetration: circle.radius - separation, points: [point] };
+  }
+
+  // Separating axis test over one polygon's face normals: the face with the largest
+  // separation, which is positive if that face separates the two
+  function leastPenetration(a, b) {
+    let best = 0;
+    let separation = -Infinity;
+    for (let i = 0; i < a.world.length; i++) {
+      const [nx, ny] = a.worldNormals[i];
+      const [vx, vy] = a.world[i];
+      // Deepest point of b along -n
+      let deepest = Infinity;
+      for (const [px, py] of b.world) {
+        deepest = Math.min(deepest, nx * (px - vx) + ny * (py - vy));
+      }
+      if (deepest > separation) {
+        separation = deepest;
+        best = i;
+      }
+      if (separation > 0) break; // A separating axis, no need to look further
+    }
+    return { face: best, separation };
+  }
+
+  function collidePolygons(a, b) {
+    const onA = leastPenetration(a, b);
+    if (onA.separation > 0) return null;
+    const onB = leastPenetration(b, a);
+    if (onB.separation > 0) return null;
+
+    // Prefer a's face unless b's is clearly better, so the choice doesn't flicker
+    const flip = onB.separation > onA.separation * 0.95 + 0.01;
+    const reference = flip ? b : a;
+    const incident = flip ? a : b;
+    const face = flip ? onB.face : onA.face;
+    const [nx, ny] = reference.worldNormals[face];
+
+    // Incident face: the one on the other polygon most opposed to the reference normal
+    let incidentFace = 0;
+    let minDot = Infinity;
+    incident.worldNormals.forEach(([ix, iy], i) => {
+      const d = ix * nx + iy * ny;
+      if (d < minDot) {
+        minDot = d;
+        incidentFace = i;
+      }
+    });
+
+    let points = [
+      incident.world[incidentFace],
+      incident.world[(incidentFace + 1) % incident.world.length]
+    ];
+
+    // Clip the incident face to the side planes of the reference face
+    const [r1x, r1y] = reference.world[face];
+    const [r2x, r2y] = reference.world[(face + 1) % reference.world.length];
+    const length = Math.hypot(r2x - r1x, r2y - r1y);
+    const tx = (r2x - r1x) / length;
+    const ty = (r2y - r1y) / length;
+
+    points = clipSegment(points, -tx, -ty, -(tx * r1x + ty * r1y));
+    if (points.length < 2) return null;
+    points = clipSegment(points, tx, ty, tx * r2x + ty * r2y);
+    if (points.length < 2) return null;
+
+    // Keep the points that are behind the reference face
+    const offset = nx * r1x + ny * r1y;
+    const contacts = [];
+    let penetration = 0;
+    points.forEach(([px, py]) => {
+      const depth = offset - (nx * px + ny * py);
+      if (depth >= 0) {
+        contacts.push([px, py]);
+        penetration = Math.max(penetration, depth);
+      }
+    });
+    if (contacts.length === 0) return null;
+
+    return { a, b, normal: flip ? [-nx, -ny] : [nx, ny], penetration, points: contacts };
+  }
+
+  // Keeps the part of a two-point segment where dot(n, p) <= offset
+  function clipSegment([p1, p2], nx, ny, offset) {
+    const d1 = nx * p1[0] + ny * p1[1] - offset;
+    const d2 = nx * p2[0] + ny * p2[1] - offset;
+    const out = [];
+    // Copies, since the inputs may be a body's live world vertices
+    if (d1 <= 0) out.push([p1[0], p1[1]]);
+    if (d2 <= 0) out.push([p2[0], p2[1]]);
+    if (d1 * d2 < 0) {
+      const t = d1 / (d1 - d2);
+      out.push([p1[0] + (p2[0] - p1[0]) * t, p1[1] + (p2[1] - p1[1]) * t]);
+    }
+    return out;
+  }
+
+  // Sequential impulses with accumulated, clamped totals per contact point. prepareContact
+  // runs once per step; solveContact runs on every solver pass. Impulses act at the
+  // contact points, so off-centre hits and friction spin the bodies.
+  function prepareContact(manifold, restingSpeed) {
+    const { a, b, normal: [nx, ny] } = manifold;
+    const restitution = Math.min(a.restitution, b.restitution);
+    manifold.friction = Math.sqrt(a.friction * b.friction);
+
+    manifold.constraints = manifold.points.map(([px, py]) => {
+      const rax = px - a.x, ray = py - a.y;
+      const rbx = px - b.x, rby = py - b.y;
+      const raN = cross2(rax, ray, nx, ny);
+      const rbN = cross2(rbx, rby, nx, ny);
+      const raT = cross2(rax, ray, -ny, nx);
+      const rbT = cross2(rbx, rby, -ny, nx);
+
+      // Resting contacts don't bounce, or stacks never settle
+      const approach = -relativeSpeed(a, b, { rax, ray, rbx, rby }, nx, ny);
+
+      return {
+        px, py, rax, ray, rbx, rby,
+        normalMass: 1 / (a.invMass + b.invMass + raN * raN * a.invInertia + rbN * rbN * b.invInertia),
+        tangentMass: 1 / (a.invMass + b.invMass + raT * raT * a.invInertia + rbT * rbT * b.invInertia),
+        bias: approach > restingSpeed ? restitution * approach : 0,
+        normalImpulse: 0,
+        tangentImpulse: 0
+      };
+    });
+  }
+
+  // Applies the totals from the same contact last step up front, which is what lets
+  // stacks come to rest in a handful of passes. Runs once every contact is prepared,
+  // since it changes the velocities the bounce biases are measured from.
+  function warmStartContact({ a, b, normal: [nx, ny], constraints }, previous = []) {
+    constraints.forEach(c => {
+      const match = previous.find(p => Math.abs(p.px - c.px) < 2 && Math.abs(p.py - c.py) < 2);
+      if (!match) return;
+      c.normalImpulse = match.normalImpulse;
+      c.tangentImpulse = match.tangentImpulse;
+      applyImpulse(a, b,
+        nx * c.normalImpulse - ny * c.tangentImpulse,
+        ny * c.normalImpulse + nx * c.tangentImpulse,
+        c.rax, c.ray, c.rbx, c.rby);
+    });
+  }
+
+  // The innermost loop of the simulation, so it avoids allocating
+  function solveContact(manifold) {
+    const { a, b, friction, constraints } = manifold;
+    const nx = manifold.normal[0];
+    const ny = manifold.normal[1];
+
+    for (const c of constraints) {
+      const normalSpeed = relativeSpeed(a, b, c, nx, ny);
+      const total = Math.max(c.normalImpulse + (c.bias - normalSpeed) * c.normalMass, 0);
+      const j = total - c.normalImpulse;
+      c.normalImpulse = total;
+      applyImpulse(a, b, nx * j, ny * j, c.rax, c.ray, c.rbx, c.rby);
+
+      // Coulomb friction along the tangent, bounded by the normal impulse so far
+      const tangentSpeed = relativeSpeed(a, b, c, -ny, nx);
+      const limit = c.normalImpulse * friction;
+      const tangentTotal = Math.min(Math.max(c.tangentImpulse - tangentSpeed * c.tangentMass, -limit), limit);
+      const jt = tangentTotal - c.tangentImpulse;
+      c.tangentImpulse = tangentTotal;
+      applyImpulse(a, b, -ny * jt, nx * jt, c.rax, c.ray, c.rbx, c.rby);
+    }
+  }
+
+  // Velocity of b relative to a at the contact point, along (dx, dy)
+  function relativeSpeed(a, b, { rax, ray, rbx, rby }, dx, dy) {
+    const rvx = b.vx - b.angularVelocity * rby - a.vx + a.angularVelocity * ray;
+    const rvy = b.vy + b.angularVelocity * rbx - a.vy - a.angularVelocity * rax;
+    return rvx * dx + rvy * dy;
+  }
+
+  function applyImpulse(a, b, jx, jy, rax, ray, rbx, rby) {
+    a.vx -= jx * a.invMass;
+    a.vy -= jy * a.invMass;
+    a.angularVelocity -= cross2(rax, ray, jx, jy) * a.invInertia;
+    b.vx += jx * b.invMass;
+    b.vy += jy * b.invMass;
+    b.angularVelocity += cross2(rbx, rby, jx, jy) * b.invInertia;
+  }
+
+  // Pushes overlapping bodies apart by most of the overlap, split by inverse mass, so
+  // they don't sink into each other while the impulses catch up
+  function correctPositions({ a, b, normal: [nx, ny], penetration }, percent = 0.4) {
+    const slop = 0.5;
+    const share = Math.max(penetration - slop, 0) / (a.invMass + b.invMass) * percent;
+    a.x -= nx * share * a.invMass;
+    a.y -= ny * share * a.invMass;
+    b.x += nx * share * b.invMass;
+    b.y += ny * share * b.invMass;
+  }
+
+  // Static stand-in for the canvas edges in wall contacts, and the world in joints
+  const PHYSICS_WALL = { x: 0, y: 0, angle: 0, vx: 0, vy: 0, angularVelocity: 0, invMass: 0, invInertia: 0, restitution: 0.8, friction: 0.5 };
+  const PHYSICS_ITERATIONS = 8;
+  const PHYSICS_DETAIL_LIMIT = 150;
+
+  // Joints
+  // Constraints between anchor points on two bodies, solved in the same passes as the
+  // contacts. Either body can be PHYSICS_WALL to fix its anchor in place. Springs and the
+  // pointer's drag spring are soft: they pull toward their target at a set frequency
+  // instead of snapping to it.
+  const PHYSICS_JOINTS = {
+    rod: { label: 'Rod' },     // Keeps the anchors a fixed distance apart
+    spring: { label: 'Spring', frequency: 1.5, dampingRatio: 0.1 },
+    rope: { label: 'Rope' },   // Only stops the anchors moving further apart
+    pin: { label: 'Pin' }      // Holds the anchors together; both bodies can still turn
+  };
+  const PHYSICS_DRAG = { frequency: 5, dampingRatio: 0.7, maxAcceleration: 2 };
+  const JOINT_BIAS = 0.2; // Share of a rigid joint's drift corrected each step
+
+  // Anchors are given in world space and kept in each body's local frame
+  function createJoint(kind, a, b, [ax, ay], [bx, by]) {
+    return {
+      kind,
+      a,
+      b,
+      localA: toLocal(a, ax, ay),
+      localB: toLocal(b, bx, by),
+      length: Math.hypot(bx - ax, by - ay),
+      impulse: 0,
+      impulseX: 0,
+      impulseY: 0
+    };
+  }
+
+  function toLocal(body, x, y) {
+    const cos = Math.cos(body.angle);
+    const sin = Math.sin(body.angle);
+    const dx = x - body.x;
+    const dy = y - body.y;
+    return [dx * cos + dy * sin, -dx * sin + dy * cos];
+  }
+
+  // World position of a joint's anchor on body a or b
+  function jointAnchor(joint, side) {
+    const body = joint[side];
+    const [x, y] = side === 'a' ? joint.localA : joint.localB;
+    const cos = Math.cos(body.angle);
+    const sin = Math.sin(body.angle);
+    return [body.x + x * cos - y * sin, body.y + x * sin + y * cos];
+  }
+
+  // Soft constraint coefficients for a spring of the given frequency (Hz) on an
+  // effective mass: gamma softens the constraint, the bias factor sets its pull
+  function softness(mass, frequency, dampingRatio) {
+    const omega = 2 * Math.PI * frequency * PHYSICS_STEP / 1000;
+    const stiffness = mass * omega * omega;
+    const damping = 2 * mass * dampingRatio * omega;
+    const gamma = 1 / (damping + stiffness);
+    return { gamma, biasFactor: stiffness * gamma };
+  }
+
+  // Works out anchors, effective mass and bias for this step, then applies last step's
+  // impulse as a warm start
+  function prepareJoint(joint) {
+    const { a, b } = joint;
+    const [pax, pay] = jointAnchor(joint, 'a');
+    const [pbx, pby] = jointAnchor(joint, 'b');
+    const rax = joint.rax = pax - a.x;
+    const ray = joint.ray = pay - a.y;
+    const rbx = joint.rbx = pbx - b.x;
+    const rby = joint.rby = pby - b.y;
+    const dx = pbx - pax;
+    const dy = pby - pay;
+    const invMass = a.invMass + b.invMass;
+
+    if (joint.kind === 'pin' || joint.kind === 'drag') {
+      let gamma = 0;
+      let biasFactor = JOINT_BIAS;
+      joint.maxImpulse = Infinity;
+      if (joint.kind === 'drag') {
+        ({ gamma, biasFactor } = softness(1 / invMass, PHYSICS_DRAG.frequency, PHYSICS_DRAG.dampingRatio));
+        joint.maxImpulse = PHYSICS_DRAG.maxAcceleration / invMass;
+      }
+
+      // Inverse of the 2x2 effective mass matrix for a point-to-point constraint
+      const k11 = invMass + a.invInertia * ray * ray + b.invInertia * rby * rby + gamma;
+      const k12 = -a.invInertia * rax * ray - b.invInertia * rbx * rby;
+      const k22 = invMass + a.invInertia * rax * rax + b.invInertia * rbx * rbx + gamma;
+      const det = k11 * k22 - k12 * k12;
+      const inv = det !== 0 ? 1 / det : 0;
+      joint.mass = [k22 * inv, -k12 * inv, k11 * inv];
+      joint.gamma = gamma;
+      joint.biasX = dx * biasFactor;
+      joint.biasY = dy * biasFactor;
+      applyImpulse(a, b, joint.impulseX, joint.impulseY, rax, ray, rbx, rby);
+      return;
+    }
+
+    const distance = Math.hypot(dx, dy);
+    const nx = joint.nx = distance > 1e-6 ? dx / distance : 1;
+    const ny = joint.ny = distance > 1e-6 ? dy / distance : 0;
+    const stretch = distance - joint.length;
+    const raN = cross2(rax, ray, nx, ny);
+    const rbN = cross2(rbx, rby, nx, ny);
+    const invEffective = invMass + raN * raN * a.invInertia + rbN * rbN * b.invInertia;
+
+    // A slack rope does nothing this step
+    joint.active = joint.kind !== 'rope' || stretch > 0;
+    if (!joint.active || invEffective === 0) {
+      joint.active = false;
+      joint.impulse = 0;
+      return;
+    }
+
+    let gamma = 0;
+    let biasFactor = JOINT_BIAS;
+    if (joint.kind === 'spring') {
+      const { frequency, dampingRatio } = PHYSICS_JOINTS.spring;
+      ({ gamma, biasFactor } = softness(1 / invEffective, frequency, dampingRatio));
+    }
+    joint.mass = 1 / (invEffective + gamma);
+    joint.gamma = gamma;
+    joint.bias = stretch * biasFactor;
+    applyImpulse(a, b, nx * joint.impulse, ny * joint.impulse, rax, ray, rbx, rby);
+  }
+
+  function solveJoint(joint) {
+    const { a, b } = joint;
+
+    if (joint.kind === 'pin' || joint.kind === 'drag') {
+      const rvx = b.vx - b.angularVelocity * joint.rby - a.vx + a.angularVelocity * joint.ray;
+      const rvy = b.vy + b.angularVelocity * joint.rbx - a.vy - a.angularVelocity * joint.rax;
+      const cx = rvx + joint.biasX + joint.gamma * joint.impulseX;
+      const cy = rvy + joint.biasY + joint.gamma * joint.impulseY;
+      const [m11, m12, m22] = joint.mass;
+      let totalX = joint.impulseX - (m11 * cx + m12 * cy);
+      let totalY = joint.impulseY - (m12 * cx + m22 * cy);
+
+      // The drag spring has a force limit, so a held body can't tunnel through a pile
+      const magnitude = Math.hypot(totalX, totalY);
+      if (magnitude > joint.maxImpulse) {
+        totalX *= joint.maxImpulse / magnitude;
+        totalY *= joint.maxImpulse / magnitude;
+      }
+      applyImpulse(a, b, totalX - joint.impulseX, totalY - joint.impulseY, joint.rax, joint.ray, joint.rbx, joint.rby);
+      joint.impulseX = totalX;
+      joint.impulseY = totalY;
+      return;
+    }
+
+    if (!joint.active) return;
+    const speed = relativeSpeed(a, b, joint, joint.nx, joint.ny);
+    let total = joint.impulse - (speed + joint.bias + joint.gamma * joint.impulse) * joint.mass;
+    if (joint.kind === 'rope') total = Math.min(total, 0); // Ropes pull, never push
+    const j = total - joint.impulse;
+    joint.impulse = total;
+    applyImpulse(a, b, joint.nx * j, joint.ny * j, joint.rax, joint.ray, joint.rbx, joint.rby);
+  }
+
+  // Broad Phase
+  // Uniform grid over the bodies' bounding boxes. Cells are as big as the largest body,
+  // so each box touches at most four; a pair is reported only from the cell holding the
+  // top-left corner of the two boxes' overlap, so it comes out once without a seen-set.
+  class BroadPhaseGrid {
+    constructor() {
+      this.cells = new Map();
+      this.pairs = [];
+    }
+
+    // Candidate pairs whose bounding boxes overlap, as a flat [a, b, a, b, ...] array
+    query(bodies) {
+      const cells = this.cells;
+      cells.forEach(cell => { cell.length = 0; });
+      this.pairs.length = 0;
+      if (bodies.length < 2) return this.pairs;
+
+      let size = 1;
+      for (const body of bodies) size = Math.max(size, body.radius * 2);
+      const cellOf = (value) => Math.floor(value / size);
+      const key = (cx, cy) => cx * 65536 + cy; // Unique while the canvas stays under ~65k cells wide
+
+      for (const body of bodies) {
+        const x0 = cellOf(body.x - body.radius);
+        const x1 = cellOf(body.x + body.radius);
+        const y0 = cellOf(body.y - body.radius);
+        const y1 = cellOf(body.y + body.radius);
+        for (let cx = x0; cx <= x1; cx++) {
+          for (let cy = y0; cy <= y1; cy++) {
+            const k = key(cx, cy);
+            let cell = cells.get(k);
+            if (!cell) {
+              cell = [];
+              cells.set(k, cell);
+            }
+            cell.push(body);
+          }
+        }
+      }
+
+      // Pairs come out grouped by the first body, in the bodies' order; the solver settles
+      // stacks far better when that order doesn't reshuffle as bodies cross cells
+      for (const a of bodies) {
+        const x0 = cellOf(a.x - a.radius);
+        const x1 = cellOf(a.x + a.radius);
+        const y0 = cellOf(a.y - a.radius);
+        const y1 = cellOf(a.y + a.radius);
+        for (let cx = x0; cx <= x1; cx++) {
+          for (let cy = y0; cy <= y1; cy++) {
+            const k = key(cx, cy);
+            for (const b of cells.get(k)) {
+              // Ids follow spawn order, which also keeps contact keys stable between steps
+              if (b.id <= a.id) continue;
+              if (Math.abs(a.x - b.x) > a.radius + b.radius || Math.abs(a.y - b.y) > a.radius + b.radius) continue;
+
+              const cornerX = Math.max(a.x - a.radius, b.x - b.radius);
+              const cornerY = Math.max(a.y - a.radius, b.y - b.radius);
+              if (key(cellOf(cornerX), cellOf(cornerY)) === k) this.pairs.push(a, b);
+            }
+          }
+        }
+      }
+
+      // Cells nothing touched this step are dropped so the map doesn't grow forever
+      cells.forEach((cell, k) => {
+        if (cell.length === 0) cells.delete(k);
+      });
+      return this.pairs;
+    }
+  }
+
+  // Physics Simulation
+  class PhysicsSimulation {
+    constructor() {
+      this.canvas = null;
+      this.ctx = null;
+      this.objects = [];
+      this.frame = scheduler.register('Physics', (dt) => this.render(dt), { onError: () => this.stop() });
+      this.isRunning = false;
+      this.gravity = { x: 0, y: PHYSICS_GRAVITY };
+      this.gravityEnabled = true;
+      this.objectCount = 0;
+      this.shape = 'circle';
+      this.nextId = 1;
+      this.contactCache = new Map(); // Contact key -> last step's impulses
+      this.maxObjects = 200;
+      this.broadPhase = new BroadPhaseGrid();
+      this.stats = { pairs: 0, contacts: 0, stepTime: 0, elapsed: 0 };
+      this.accumulator = 0;
+      this.replaying = null; // { cursor, log } while a recorded session plays back
+      this.joints = [];
+      this.drags = new Map(); // Pointer id -> drag joint, as recorded
+      this.pointers = new Map(); // Pointer id -> what the user's current press is doing
+      this.tool = 'spawn';
+      this.jointKind = 'rod';
+      this.tilt = null; // Sensor listeners while tilt gravity is on
+      this.reset(Math.floor(Math.random() * 1e6));
+      this.init();
+    }
+
+    init() {
+      this.createCanvas();
+      this.setupEventListeners();
+    }
+
+    createCanvas() {
+      const container = document.querySelector('.physics-container');
+      if (!container) return;
+
+      this.canvas = document.createElement('canvas');
+      this.canvas.width = 600;
+      this.canvas.height = 400;
+      this.canvas.style.maxWidth = '100%';
+      this.canvas.style.height = 'auto';
+      this.canvas.style.cursor = 'crosshair';
+      
+      container.appendChild(this.canvas);
+      this.ctx = this.canvas.getContext('2d');
+      lifecycle.register(this, container);
+    }
+
+    setupEventListeners() {
+      const toggleBtn = document.getElementById('physicsToggle');
+      const gravityBtn = document.getElementById('gravityToggle');
+      const clearBtn = document.getElementById('clearPhysics');
+
+      if (toggleBtn) {
+        toggleBtn.addEventListener('click', () => this.toggle());
+      }
+
+      if (gravityBtn) {
+        gravityBtn.addEventListener('click', () => {
+          this.record({ type: 'gravity' });
+          utils.vibrate(25);
+        });
+      }
+
+      if (clearBtn) {
+        clearBtn.addEventListener('click', () => {
+          this.record({ type: 'clear' });
+          utils.vibrate(40);
+        });
+      }
+
+      const capSelect = document.getElementById('physicsCap');
+      if (capSelect) {
+        capSelect.addEventListener('change', (e) => {
+          this.record({ type: 'cap', count: parseInt(e.target.value, 10) || 200 });
+        });
+      }
+
+      const fillBtn = document.getElementById('physicsFill');
+      if (fillBtn) {
+        fillBtn.addEventListener('click', () => {
+          this.record({ type: 'fill', shape: this.shape });
+          this.start();
+          utils.vibrate(30);
+        });
+      }
+
+      const seedInput = document.getElementById('physicsSeed');
+      const restartBtn = document.getElementById('physicsRestart');
+      if (restartBtn) {
+        restartBtn.addEventListener('click', () => {
+          const seed = parseInt(seedInput ? seedInput.value : '', 10);
+          this.reset(Number.isInteger(seed) ? seed : Math.floor(Math.random() * 1e6));
+          utils.vibrate(30);
+        });
+      }
+
+      const replayBtn = document.getElementById('physicsReplay');
+      if (replayBtn) {
+        replayBtn.addEventListener('click', () => this.replay(this.toLog()));
+      }
+
+      const saveLogBtn = document.getElementById('physicsSaveLog');
+      if (saveLogBtn) {
+        saveLogBtn.addEventListener('click', () => this.exportLog());
+      }
+
+      const logInput = document.getElementById('physicsLogFile');
+      if (logInput) {
+        logInput.addEventListener('change', (e) => {
+          this.importLog(e.target.files[0]);
+          e.target.value = '';
+        });
+      }
+
+      const shapeSelect = document.getElementById('physicsShape');
+      if (shapeSelect) {
+        shapeSelect.addEventListener('change', (e) => {
+          this.shape = PHYSICS_SHAPES[e.target.value] ? e.target.value : 'circle';
+        });
+      }
+
+      const toolSelect = document.getElementById('physicsTool');
+      if (toolSelect) {
+        toolSelect.addEventListener('change', (e) => {
+          this.tool = e.target.value === 'connect' ? 'connect' : 'spawn';
+        });
+      }
+
+      const jointSelect = document.getElementById('physicsJoint');
+      if (jointSelect) {
+        jointSelect.addEventListener('change', (e) => {
+          this.jointKind = PHYSICS_JOINTS[e.target.value] ? e.target.value : 'rod';
+        });
+      }
+
+      const tiltBtn = document.getElementById('tiltGravity');
+      if (tiltBtn) {
+        // Only worth offering where there's likely a sensor; the dial covers the rest
+        tiltBtn.hidden = !features.deviceOrientation || !window.matchMedia('(pointer: coarse)').matches;
+        tiltBtn.addEventListener('click', () => this.toggleTilt());
+      }
+
+      this.setupGravityDial();
+
+      // Pointer events cover mouse, pen and touch alike; each finger drags on its own
+      if (this.canvas) {
+        this.canvas.style.touchAction = 'none';
+        this.canvas.addEventListener('pointerdown', (e) => this.pointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.pointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.pointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.pointerUp(e, true));
+      }
+    }
+
+    // Starts a new recorded session: an empty world, a fresh PRNG and an empty input log
+    reset(seed) {
+      this.seed = seed >>> 0;
+      this.random = createRandom(this.seed);
+      this.session = {
+        seed: this.seed,
+        gravityEnabled: this.gravityEnabled,
+        gravity: { ...this.gravity },
+        maxObjects: this.maxObjects
+      };
+      this.inputs = [];
+      this.stepCount = 0;
+      this.accumulator = 0;
+      this.replaying = null;
+      this.nextId = 1;
+      this.objects = [];
+      this.joints = [];
+      this.drags.clear();
+      this.pointers.clear();
+      this.contactCache.clear();
+      this.updateObjectCount();
+
+      const seedInput = document.getElementById('physicsSeed');
+      if (seedInput) seedInput.value = this.seed;
+    }
+
+    // Everything that changes the world goes through here, stamped with the step it
+    // lands before, so a replay can apply it at the same point
+    record(input) {
+      if (this.replaying) {
+        // Taking over mid-replay keeps the log up to here and records from this point on
+        this.inputs = this.inputs.slice(0, this.replaying.cursor);
+        this.replaying = null;
+        notifications.info('Replay stopped; recording from here.');
+      }
+      const entry = { step: this.stepCount, ...input };
+      this.inputs.push(entry);
+      this.applyInput(entry);
+    }
+
+    // For streams like drags and tilt, several updates within one step only need the
+    // last one in the log
+    recordLatest(input) {
+      const last = this.inputs[this.inputs.length - 1];
+      if (!this.replaying && last && last.step === this.stepCount && last.type === input.type && last.pointer === input.pointer) {
+        Object.assign(last, input);
+        this.applyInput(last);
+      } else {
+        this.record(input);
+      }
+    }
+
+    applyInput(input) {
+      switch (input.type) {
+        case 'spawn':
+          this.spawn(input.x, input.y, input.shape);
+          break;
+        case 'fill':
+          this.fill(input.shape);
+          break;
+        case 'gravity':
+          this.setGravity(!this.gravityEnabled);
+          break;
+        case 'clear':
+          this.clearObjects();
+          break;
+        case 'cap':
+          this.setMaxObjects(input.count);
+          break;
+        case 'grab': {
+          const body = this.findObject(input.body);
+          if (body) this.drags.set(input.pointer, createJoint('drag', PHYSICS_WALL, body, [input.x, input.y], [input.x, input.y]));
+          break;
+        }
+        case 'drag': {
+          const joint = this.drags.get(input.pointer);
+          if (joint) joint.localA = [input.x, input.y]; // The world's local frame is the canvas
+          break;
+        }
+        case 'release':
+          this.drags.delete(input.pointer);
+          break;
+        case 'joint':
+          this.connect(input);
+          break;
+        case 'tilt':
+          this.setGravityVector(input.x, input.y);
+          break;
+        case 'shake':
+          this.shake(input.x, input.y);
+          break;
+      }
+    }
+
+    findObject(id) {
+      return this.objects.find(obj => obj.id === id) || null;
+    }
+
+    // Topmost body under a canvas point
+    objectAt(x, y) {
+      for (let i = this.objects.length - 1; i >= 0; i--) {
+        const obj = this.objects[i];
+        if (obj.shape === 'circle') {
+          if (Math.hypot(x - obj.x, y - obj.y) <= obj.radius) return obj;
+          continue;
+        }
+        updateWorldShape(obj);
+        const inside = obj.world.every(([vx, vy], j) => {
+          const [nx, ny] = obj.worldNormals[j];
+          return (x - vx) * nx + (y - vy) * ny <= 0;
+        });
+        if (inside) return obj;
+      }
+      return null;
+    }
+
+    // Client coordinates to canvas pixels, allowing for the canvas being scaled by CSS
+    canvasPoint(e) {
+      const rect = this.canvas.getBoundingClientRect();
+      return [
+        (e.clientX - rect.left) * this.canvas.width / (rect.width || 1),
+        (e.clientY - rect.top) * this.canvas.height / (rect.height || 1)
+      ];
+    }
+
+    pointerDown(e) {
+      const [x, y] = this.canvasPoint(e);
+      const body = this.objectAt(x, y);
+      this.canvas.setPointerCapture(e.pointerId);
+
+      if (this.tool === 'connect') {
+        this.pointers.set(e.pointerId, { mode: 'connect', body, start: [x, y], end: [x, y] });
+        return;
+      }
+
+      if (body) {
+        this.pointers.set(e.pointerId, { mode: 'drag' });
+        this.record({ type: 'grab', pointer: e.pointerId, body: body.id, x, y });
+        this.canvas.style.cursor = 'grabbing';
+      } else {
+        this.addObjectAt(x, y);
+      }
+    }
+
+    pointerMove(e) {
+      const pointer = this.pointers.get(e.pointerId);
+      if (!pointer) return;
+
+      const [x, y] = this.canvasPoint(e);
+      if (pointer.mode === 'connect') {
+        pointer.end = [x, y];
+        return;
+      }
+
+      this.recordLatest({ type: 'drag', pointer: e.pointerId, x, y });
+    }
+
+    // The body keeps whatever velocity the drag spring gave it, which is the fling
+    pointerUp(e, cancelled = false) {
+      const pointer = this.pointers.get(e.pointerId);
+      if (!pointer) return;
+      this.pointers.delete(e.pointerId);
+
+      if (pointer.mode === 'drag') {
+        this.record({ type: 'release', pointer: e.pointerId });
+        this.canvas.style.cursor = 'crosshair';
+        return;
+      }
+      if (cancelled) return;
+
+      // Press on one body and release on another; empty space on either end is the world
+      const [x, y] = this.canvasPoint(e);
+      const first = pointer.body;
+      const second = this.objectAt(x, y);
+      if ((!first && !second) || first === second) return;
+
+      // A pin joins the bodies where the press started; other joints span press to release
+      const [bx, by] = this.jointKind === 'pin' ? pointer.start : [x, y];
+      this.record({
+        type: 'joint',
+        kind: this.jointKind,
+        a: first ? first.id : 0,
+        b: second ? second.id : 0,
+        ax: pointer.start[0],
+        ay: pointer.start[1],
+        bx,
+        by
+      });
+      utils.vibrate(20);
+    }
+
+    connect({ kind, a, b, ax, ay, bx, by }) {
+      const first = a ? this.findObject(a) : PHYSICS_WALL;
+      const second = b ? this.findObject(b) : PHYSICS_WALL;
+      if (!first || !second || first === second) return;
+      this.joints.push(createJoint(kind, first, second, [ax, ay], [bx, by]));
+    }
+
+    // Drops joints and drags that lost a body
+    pruneJoints() {
+      const alive = new Set(this.objects);
+      alive.add(PHYSICS_WALL);
+      this.joints = this.joints.filter(joint => alive.has(joint.a) && alive.has(joint.b));
+      this.drags.forEach((joint, pointer) => {
+        if (!alive.has(joint.b)) this.drags.delete(pointer);
+      });
+    }
+
+    addObjectAt(x, y) {
+      if (this.objects.length >= this.maxObjects) return;
+
+      this.record({ type: 'spawn', x, y, shape: this.shape });
+      utils.vibrate(20);
+    }
+
+    spawn(x, y, shape) {
+      if (this.objects.length >= this.maxObjects) return;
+
+      this.objects.push(this.createObject(x, y, shape, this.random() * 15 + 10));
+      this.updateObjectCount();
+    }
+
+    createObject(x, y, shape, size) {
+      const random = this.random;
+      return createRigidBody(PHYSICS_SHAPES[shape].create(size, random), x, y, {
+        id: this.nextId++,
+        vx: (random() - 0.5) * 10,
+        vy: (random() - 0.5) * 10,
+        angularVelocity: (random() - 0.5) * 0.1,
+        color: `hsl(${random() * 360}, 70%, 60%)`
+      });
+    }
+
+    fillSize() {
+      // Smaller bodies for a bigger cap, so a full canvas still has room to move
+      const { width, height } = this.canvas;
+      const base = utils.clamp(Math.sqrt(width * height * 0.15 / (this.maxObjects * Math.PI)), 2, 17.5);
+      return base * (0.6 + this.random() * 0.8);
+    }
+
+    setMaxObjects(count) {
+      this.maxObjects = count;
+      // Oldest bodies go first when the cap drops below the current count
+      if (this.objects.length > count) {
+        this.objects.splice(0, this.objects.length - count);
+        this.pruneJoints();
+        this.updateObjectCount();
+      }
+    }
+
+    // Spawns bodies up to the cap in rows from the top, packed so none start overlapping
+    fill(shape) {
+      if (!this.canvas) return;
+
+      let x = 0;
+      let y = 0;
+      let rowHeight = 0;
+      while (this.objects.length < this.maxObjects) {
+        const object = this.createObject(0, 0, shape, this.fillSize());
+        const diameter = object.radius * 2 + 1;
+        if (x + diameter > this.canvas.width) {
+          x = 0;
+          y += rowHeight;
+          rowHeight = 0;
+        }
+        if (y + diameter > this.canvas.height * 0.6) break;
+
+        object.x = x + diameter / 2;
+        object.y = y + diameter / 2;
+        object.vx *= 0.2;
+        object.vy *= 0.2;
+        this.objects.push(object);
+        x += diameter;
+        rowHeight = Math.max(rowHeight, diameter);
+      }
+
+      this.updateObjectCount();
+    }
+
+    toggle() {
+      if (this.isRunning) {
+        this.stop();
+      } else {
+        this.start();
+      }
+      utils.vibrate(30);
+    }
+
+    start() {
+      if (this.isRunning) return;
+      
+      this.isRunning = true;
+      this.accumulator = 0;
+      const toggleBtn = document.getElementById('physicsToggle');
+      if (toggleBtn) toggleBtn.textContent = 'Stop Physics';
+      
+      this.frame.start();
+    }
+
+    stop() {
+      this.isRunning = false;
+      const toggleBtn = document.getElementById('physicsToggle');
+      if (toggleBtn) toggleBtn.textContent = 'Start Physics';
+      
+      this.frame.stop();
+    }
+
+    setGravityVector(x, y) {
+      this.gravity = { x, y };
+      this.updateGravityDial();
+    }
+
+    // Every body gets the kick plus a little scatter, so a pile breaks up rather than
+    // moving as one
+    shake(x, y) {
+      const scatter = Math.hypot(x, y) * 0.5;
+      for (const obj of this.objects) {
+        obj.vx += x + (this.random() - 0.5) * scatter;
+        obj.vy += y + (this.random() - 0.5) * scatter;
+        obj.angularVelocity += (this.random() - 0.5) * 0.2;
+      }
+    }
+
+    setupGravityDial() {
+      const dial = document.getElementById('gravityDial');
+      if (!dial) return;
+
+      const pointAt = (e) => {
+        const rect = dial.getBoundingClientRect();
+        const angle = Math.atan2(e.clientY - rect.top - rect.height / 2, e.clientX - rect.left - rect.width / 2);
+        this.aimGravity(angle);
+      };
+      dial.addEventListener('pointerdown', (e) => {
+        if (this.tilt) return;
+        dial.setPointerCapture(e.pointerId);
+        pointAt(e);
+      });
+      dial.addEventListener('pointermove', (e) => {
+        if (dial.hasPointerCapture(e.pointerId)) pointAt(e);
+      });
+
+      dial.addEventListener('keydown', (e) => {
+        const steps = { ArrowRight: 1, ArrowUp: 1, ArrowLeft: -1, ArrowDown: -1 };
+        if (this.tilt || (!steps[e.key] && e.key !== 'Home')) return;
+        e.preventDefault();
+        const current = Math.atan2(this.gravity.y, this.gravity.x);
+        this.aimGravity(e.key === 'Home' ? Math.PI / 2 : current + steps[e.key] * Math.PI / 12);
+      });
+
+      this.updateGravityDial();
+    }
+
+    // Points gravity along a canvas angle (0 is right, a quarter turn is down)
+    aimGravity(angle) {
+      const round = (v) => Math.round(v * 1000) / 1000;
+      this.recordLatest({ type: 'tilt', x: round(Math.cos(angle) * PHYSICS_GRAVITY), y: round(Math.sin(angle) * PHYSICS_GRAVITY) });
+    }
+
+    updateGravityDial() {
+      const dial = document.getElementById('gravityDial');
+      if (!dial) return;
+
+      const degrees = Math.round((Math.atan2(this.gravity.y, this.gravity.x) * 180 / Math.PI + 360) % 360);
+      const needle = dial.querySelector('.gravity-dial-needle');
+      if (needle) needle.style.transform = `rotate(${degrees}deg)`;
+      dial.setAttribute('aria-valuenow', degrees);
+      dial.setAttribute('aria-valuetext', `${degrees}°${degrees === 90 ? ', straight down' : ''}`);
+      dial.setAttribute('aria-disabled', this.tilt ? 'true' : 'false');
+    }
+
+    async toggleTilt() {
+      if (this.tilt) {
+        this.stopTilt();
+        return;
+      }
+      if (!(await motionPermission.request())) return;
+
+      const tilt = {
+        orientation: (e) => this.handleOrientation(e),
+        motion: (e) => this.handleMotion(e),
+        lastShake: 0,
+        // Desktop browsers often have the API but no sensor to feed it
+        timeout: setTimeout(() => {
+          if (tilt.seen) return;
+          this.stopTilt();
+          notifications.info('No tilt sensor found; use the gravity dial instead.');
+        }, 1500)
+      };
+      this.tilt = tilt;
+      window.addEventListener('deviceorientation', tilt.orientation);
+      if (features.deviceMotion) window.addEventListener('devicemotion', tilt.motion);
+
+      const tiltBtn = document.getElementById('tiltGravity');
+      if (tiltBtn) tiltBtn.textContent = 'Stop Tilt Gravity';
+      this.updateGravityDial();
+      utils.vibrate(25);
+    }
+
+    stopTilt() {
+      if (!this.tilt) return;
+      clearTimeout(this.tilt.timeout);
+      window.removeEventListener('deviceorientation', this.tilt.orientation);
+      window.removeEventListener('devicemotion', this.tilt.motion);
+      this.tilt = null;
+
+      const tiltBtn = document.getElementById('tiltGravity');
+      if (tiltBtn) tiltBtn.textContent = 'Tilt Gravity';
+      this.updateGravityDial();
+    }
+
+    // Device axes (x right, y up the screen) turned to match the current screen rotation,
+    // then flipped into canvas axes where y points down
+    toCanvasAxes(x, y) {
+      const degrees = screen.orientation ? screen.orientation.angle : (window.orientation || 0);
+      const angle = degrees * Math.PI / 180;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      return [x * cos - y * sin, -(x * sin + y * cos)];
+    }
+
+    handleOrientation(e) {
+      if (e.beta === null || e.gamma === null) return;
+      this.tilt.seen = true;
+
+      // The part of gravity along the screen: none lying flat, all of it held upright
+      const beta = e.beta * Math.PI / 180;
+      const gamma = e.gamma * Math.PI / 180;
+      const [x, y] = this.toCanvasAxes(Math.cos(beta) * Math.sin(gamma), -Math.sin(beta));
+      const round = (v) => Math.round(v * PHYSICS_GRAVITY * 1000) / 1000;
+      const gravity = { x: round(x), y: round(y) };
+      if (gravity.x === this.gravity.x && gravity.y === this.gravity.y) return;
+      this.recordLatest({ type: 'tilt', ...gravity });
+    }
+
+    // A sharp jolt throws the bodies the other way, as if they stayed put while the
+    // phone moved under them
+    handleMotion(e) {
+      const acceleration = e.acceleration;
+      if (!acceleration || acceleration.x === null || acceleration.y === null) return;
+      this.tilt.seen = true;
+
+      const strength = Math.hypot(acceleration.x, acceleration.y);
+      if (strength < 15 || e.timeStamp - this.tilt.lastShake < 400) return;
+      this.tilt.lastShake = e.timeStamp;
+
+      const [x, y] = this.toCanvasAxes(acceleration.x / strength, acceleration.y / strength);
+      const kick = Math.min(strength / 3, 12);
+      this.record({ type: 'shake', x: Math.round(-x * kick * 100) / 100, y: Math.round(-y * kick * 100) / 100 });
+      utils.vibrate(40);
+    }
+
+    setGravity(enabled) {
+      this.gravityEnabled = enabled;
+      const gravityBtn = document.getElementById('gravityToggle');
+      if (gravityBtn) {
+        gravityBtn.textContent = this.gravityEnabled ? 'Disable Gravity' : 'Enable Gravity';
+      }
+    }
+
+    clearObjects() {
+      this.objects = [];
+      this.joints = [];
+      this.drags.clear();
+      this.contactCache.clear();
+      this.updateObjectCount();
+      if (this.ctx) {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+      }
+    }
+
+    updateObjectCount() {
+      this.objectCount = this.objects.length;
+      const countElement = document.getElementById('objectCount');
+      if (countElement) {
+        countElement.textContent = this.objectCount;
+      }
+    }
+
+    // The seed, starting settings and inputs are enough to rebuild the session; the
+    // state hash lets a replay confirm it reached the same world
+    toLog() {
+      return {
+        format: 'spawnpoint-physics-session',
+        version: 1,
+        ...this.session,
+        width: this.canvas ? this.canvas.width : 600,
+        height: this.canvas ? this.canvas.height : 400,
+        steps: this.stepCount,
+        inputs: this.inputs.map(input => ({ ...input })),
+        state: this.stateHash()
+      };
+    }
+
+    // FNV-1a over the exact bits of every body's position and velocity
+    stateHash() {
+      const values = new Float64Array(6);
+      const words = new Uint32Array(values.buffer);
+      let hash = 0x811c9dc5;
+      for (const obj of this.objects) {
+        values[0] = obj.x;
+        values[1] = obj.y;
+        values[2] = obj.angle;
+        values[3] = obj.vx;
+        values[4] = obj.vy;
+        values[5] = obj.angularVelocity;
+        for (const word of words) {
+          hash = Math.imul(hash ^ word, 0x01000193);
+        }
+      }
+      return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    readLog(data) {
+      if (!data || data.format !== 'spawnpoint-physics-session' || !Array.isArray(data.inputs)) {
+        throw new Error('Not a physics session log');
+      }
+      if (!Number.isInteger(data.seed) || !Number.isInteger(data.steps) || data.steps < 0) {
+        throw new Error('The log has no valid seed or step count');
+      }
+      const validSize = size => Number.isInteger(size) && size > 0 && size <= PHYSICS_MAX_SIZE;
+      if (!validSize(data.width) || !validSize(data.height)) {
+        throw new Error(`The canvas size must be between 1 and ${PHYSICS_MAX_SIZE} pixels`);
+      }
+      if (!PHYSICS_CAPS.includes(data.maxObjects)) {
+        throw new Error(`The object cap must be one of ${PHYSICS_CAPS.join(', ')}`);
+      }
+      if (data.gravity && !(Number.isFinite(data.gravity.x) && Number.isFinite(data.gravity.y))) {
+        throw new Error('The log has an invalid gravity direction');
+      }
+
+      const types = ['spawn', 'fill', 'gravity', 'clear', 'cap', 'grab', 'drag', 'release', 'joint', 'tilt', 'shake'];
+      const finite = (input, keys) => keys.every(key => Number.isFinite(input[key]));
+      data.inputs.forEach((input, index) => {
+        if (!input || !types.includes(input.type) || !Number.isInteger(input.step)) {
+          throw new Error(`Input ${index + 1} is malformed`);
+        }
+        if (input.type === 'cap' && !PHYSICS_CAPS.includes(input.count)) {
+          throw new Error(`Input ${index + 1} has an object cap outside ${PHYSICS_CAPS.join(', ')}`);
+        }
+        if (['spawn', 'grab', 'drag'].includes(input.type) && !finite(input, ['x', 'y'])) {
+          throw new Error(`Input ${index + 1} has no valid position`);
+        }
+        if (input.type === 'joint' && !finite(input, ['ax', 'ay', 'bx', 'by'])) {
+          throw new Error(`Input ${index + 1} has no valid anchors`);
+        }
+        if ((input.type === 'grab' && !Number.isInteger(input.body)) ||
+          (input.type === 'joint' && !(Number.isInteger(input.a) && Number.isInteger(input.b))) ||
+          (['grab', 'drag', 'release'].includes(input.type) && !Number.isInteger(input.pointer))) {
+          throw new Error(`Input ${index + 1} refers to an invalid body or pointer`);
+        }
+        if ((input.type === 'spawn' || input.type === 'fill') && !PHYSICS_SHAPES[input.shape]) {
+          throw new Error(`Input ${index + 1} has an unknown shape "${input.shape}"`);
+        }
+        if (input.type === 'joint' && !PHYSICS_JOINTS[input.kind]) {
+          throw new Error(`Input ${index + 1} has an unknown joint "${input.kind}"`);
+        }
+        if ((input.type === 'tilt' || input.type === 'shake') && !(Number.isFinite(input.x) && Number.isFinite(input.y))) {
+          throw new Error(`Input ${index + 1} has no direction`);
+        }
+      });
+      return data;
+    }
+
+    // Rebuilds the session from its seed and plays the inputs back at the steps they
+    // were recorded, at normal speed
+    replay(log) {
+      if (log.steps === 0 && log.inputs.length === 0) {
+        notifications.info('Nothing to replay yet.');
+        return;
+      }
+
+      if (this.canvas) {
+        this.canvas.width = log.width;
+        this.canvas.height = log.height;
+      }
+      this.stopTilt(); // Live sensor readings would take over the replay
+      this.setGravity(log.gravityEnabled !== false);
+      const { x = 0, y = PHYSICS_GRAVITY } = log.gravity || {};
+      this.setGravityVector(x, y);
+      this.setMaxObjects(log.maxObjects);
+      const capSelect = document.getElementById('physicsCap');
+      if (capSelect) capSelect.value = this.maxObjects;
+
+      this.reset(log.seed);
+      this.inputs = log.inputs.map(input => ({ ...input }));
+      this.replaying = { cursor: 0, log };
+      this.start();
+    }
+
+    finishReplay() {
+      const { log } = this.replaying;
+      this.replaying = null;
+
+      if (!log.state) {
+        notifications.info(`Replay finished after ${log.steps} steps.`);
+      } else if (log.state === this.stateHash()) {
+        notifications.success(`Replay matched the recorded state after ${log.steps} steps.`);
+      } else {
+        notifications.warning(`Replay diverged from the recorded state after ${log.steps} steps.`);
+      }
+    }
+
+    exportLog() {
+      const log = this.toLog();
+      const blob = new Blob([JSON.stringify(log)], { type: 'application/json' });
+      utils.downloadBlob(blob, `physics-session-${log.seed}-${log.steps}.json`);
+    }
+
+    async importLog(file) {
+      if (!file) return;
+
+      try {
+        this.replay(this.readLog(JSON.parse(await file.text())));
+      } catch (err) {
+        notifications.error(`The session log could not be loaded: ${err.message}`, { error: err });
+      }
+    }
+
+    // Runs one fixed step, first applying any replayed inputs that were recorded before it
+    advance() {
+      const replaying = this.replaying;
+      if (replaying) {
+        const { inputs, steps } = replaying.log;
+        while (replaying.cursor < inputs.length && inputs[replaying.cursor].step <= this.stepCount) {
+          this.applyInput(inputs[replaying.cursor++]);
+        }
+        if (this.stepCount === steps) this.finishReplay();
+      }
+
+      this.update();
+      this.stepCount++;
+    }
+
+    // One step of 1/60 s; velocities are already in pixels per step
+    update() {
+      const gravity = this.gravityEnabled ? this.gravity : { x: 0, y: 0 };
+
+      for (const obj of this.objects) {
+        obj.vx = (obj.vx + gravity.x) * obj.damping;
+        obj.vy = (obj.vy + gravity.y) * obj.damping;
+        obj.angularVelocity *= obj.damping;
+        updateWorldShape(obj);
+      }
+
+      // Contacts from the current positions, solved together over several passes so
+      // stacks share their weight, then positions move with the corrected velocities
+      const contacts = this.findContacts();
+      const restingSpeed = Math.hypot(gravity.x, gravity.y) + 0.05;
+      const cache = new Map();
+      const joints = this.joints.concat(Array.from(this.drags.values()));
+      contacts.forEach(contact => prepareContact(contact, restingSpeed));
+      joints.forEach(prepareJoint);
+      contacts.forEach(contact => {
+        warmStartContact(contact, this.contactCache.get(contact.key));
+        cache.set(contact.key, contact.constraints);
+      });
+      this.contactCache = cache;
+      for (let i = 0; i < PHYSICS_ITERATIONS; i++) {
+        joints.forEach(solveJoint);
+        contacts.forEach(solveContact);
+      }
+
+      for (const obj of this.objects) {
+        obj.x += obj.vx;
+        obj.y += obj.vy;
+        obj.angle += obj.angularVelocity;
+      }
+
+      contacts.forEach(contact => correctPositions(contact, contact.a === PHYSICS_WALL ? 0.8 : 0.4));
+    }
+
+    findContacts() {
+      const contacts = [];
+      for (const obj of this.objects) {
+        this.wallContacts(obj, contacts);
+      }
+
+      // Jointed bodies pass through each other, or a chain of touching links fights itself
+      const joined = new Set();
+      for (const { a, b } of this.joints) {
+        if (a !== PHYSICS_WALL && b !== PHYSICS_WALL) joined.add(`${Math.min(a.id, b.id)}:${Math.max(a.id, b.id)}`);
+      }
+
+      // Object-to-object collisions, only for pairs the broad phase says are close
+      const pairs = this.broadPhase.query(this.objects);
+      for (let i = 0; i < pairs.length; i += 2) {
+        const key = `${pairs[i].id}:${pairs[i + 1].id}`;
+        if (joined.size > 0 && joined.has(key)) continue;
+        const manifold = this.checkCollision(pairs[i], pairs[i + 1]);
+        if (!manifold) continue;
+        manifold.key = key;
+        contacts.push(manifold);
+      }
+
+      this.stats.pairs = pairs.length / 2;
+      this.stats.contacts = contacts.length;
+      return contacts;
+    }
+
+    checkCollision(obj1, obj2) {
+      // SAT for polygons, closest features for circles; see collideBodies
+      return collideBodies(obj1, obj2);
+    }
+
+    wallContacts(obj, contacts) {
+      const width = this.canvas.width;
+      const height = this.canvas.height;
+      const r = obj.radius;
+      // Most bodies are nowhere near a wall
+      if (obj.x - r > 0 && obj.x + r < width && obj.y - r > 0 && obj.y + r < height) return;
+
+      const walls = [
+        { normal: [1, 0], depth: ([x]) => -x },              // Left, pushing right
+        { normal: [-1, 0], depth: ([x]) => x - width },      // Right
+        { normal: [0, 1], depth: ([, y]) => -y },            // Top
+        { normal: [0, -1], depth: ([, y]) => y - height }    // Bottom
+      ];
+
+      walls.forEach(({ normal, depth }, side) => {
+        let points;
+        if (obj.shape === 'circle') {
+          const point = [obj.x - normal[0] * obj.radius, obj.y - normal[1] * obj.radius];
+          points = depth(point) > 0 ? [point] : [];
+        } else {
+          points = obj.world.filter(vertex => depth(vertex) > 0).map(([x, y]) => [x, y]);
+        }
+        if (points.length === 0) return;
+
+        contacts.push({
+          key: `wall${side}:${obj.id}`,
+          a: PHYSICS_WALL,
+          b: obj,
+          normal,
+          penetration: Math.max(...points.map(depth)),
+          points
+        });
+      });
+    }
+
+    render(deltaTime) {
+      if (!this.isRunning || !this.ctx) return;
+
+      // Fixed steps for the time that has passed, so results don't depend on frame rate;
+      // the leftover carries over to the next frame
+      const stepStart = performance.now();
+      this.accumulator = Math.min(this.accumulator + deltaTime, PHYSICS_STEP * PHYSICS_MAX_STEPS);
+      let steps = 0;
+      while (this.accumulator >= PHYSICS_STEP) {
+        this.accumulator -= PHYSICS_STEP;
+        this.advance();
+        steps++;
+      }
+      if (steps > 0) this.updateStats((performance.now() - stepStart) / steps, deltaTime);
+      
+      // Clear canvas
+      this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+      
+      // Draw background grid
+      this.drawGrid();
+      
+      // Draw objects
+      for (const obj of this.objects) {
+        this.ctx.beginPath();
+        if (obj.shape === 'circle') {
+          this.ctx.arc(obj.x, obj.y, obj.radius, 0, Math.PI * 2);
+        } else {
+          updateWorldShape(obj);
+          obj.world.forEach(([x, y], i) => (i === 0 ? this.ctx.moveTo(x, y) : this.ctx.lineTo(x, y)));
+          this.ctx.closePath();
+        }
+        this.ctx.fillStyle = obj.color;
+        this.ctx.fill();
+
+        // Shading, spokes and vectors cost more than the bodies once there are hundreds
+        if (this.objects.length > PHYSICS_DETAIL_LIMIT) continue;
+        
+        // Add gradient shading
+        const gradient = this.ctx.createRadialGradient(
+          obj.x - obj.radius * 0.3, obj.y - obj.radius * 0.3, 0,
+          obj.x, obj.y, obj.radius
+        );
+        gradient.addColorStop(0, 'rgba(255, 255, 255, 0.3)');
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0.2)');
+        this.ctx.fillStyle = gradient;
+        this.ctx.fill();
+
+        // A spoke shows how the body is turning
+        this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.35)';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(obj.x, obj.y);
+        this.ctx.lineTo(obj.x + Math.cos(obj.angle) * obj.radius * 0.8, obj.y + Math.sin(obj.angle) * obj.radius * 0.8);
+        this.ctx.stroke();
+        
+        // Draw velocity vector for debugging
+        if (Math.abs(obj.vx) > 0.1 || Math.abs(obj.vy) > 0.1) {
+          this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+          this.ctx.lineWidth = 2;
+          this.ctx.beginPath();
+          this.ctx.moveTo(obj.x, obj.y);
+          this.ctx.lineTo(obj.x + obj.vx * 3, obj.y + obj.vy * 3);
+          this.ctx.stroke();
+        }
+      }
+
+      this.drawJoints();
+      
+      // Draw gravity indicator
+      if (this.gravityEnabled) {
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+        this.ctx.font = '16px monospace';
+        this.ctx.fillText('Gravity: ON', 10, 25);
+
+        // An arrow for which way is down, since tilt and the dial can turn it
+        const { x, y } = this.gravity;
+        const length = Math.hypot(x, y);
+        if (length > 0.01) {
+          const reach = 12 * Math.min(length / PHYSICS_GRAVITY, 1);
+          const [dx, dy] = [x / length, y / length];
+          this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+          this.ctx.lineWidth = 2;
+          this.ctx.beginPath();
+          this.ctx.moveTo(140 - dx * reach, 20 - dy * reach);
+          this.ctx.lineTo(140 + dx * reach, 20 + dy * reach);
+          this.ctx.lineTo(140 + dx * reach - (dx - dy) * 5, 20 + dy * reach - (dy + dx) * 5);
+          this.ctx.moveTo(140 + dx * reach, 20 + dy * reach);
+          this.ctx.lineTo(140 + dx * reach - (dx + dy) * 5, 20 + dy * reach - (dy - dx) * 5);
+          this.ctx.stroke();
+        }
+      }
+    }
+
+    updateStats(stepTime, deltaTime) {
+      this.stats.stepTime += (stepTime - this.stats.stepTime) * 0.1;
+      this.stats.elapsed += deltaTime;
+      if (this.stats.elapsed < 250) return;
+      this.stats.elapsed = 0;
+
+      const readout = document.getElementById('physicsStats');
+      if (readout) {
+        const { pairs, contacts, stepTime: time } = this.stats;
+        readout.textContent = `Step ${this.stepCount.toLocaleString()} · ${pairs.toLocaleString()} candidate pairs · ` +
+          `${contacts.toLocaleString()} contacts · ${time.toFixed(1)} ms/step`;
+      }
+    }
+
+    drawJoints() {
+      const ctx = this.ctx;
+      ctx.save();
+      ctx.lineWidth = 2;
+
+      this.joints.forEach(joint => {
+        const [ax, ay] = jointAnchor(joint, 'a');
+        const [bx, by] = jointAnchor(joint, 'b');
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.setLineDash(joint.kind === 'rope' ? [6, 4] : []);
+        ctx.beginPath();
+        if (joint.kind === 'spring') {
+          // Zigzag between the anchors, so it visibly stretches and squashes
+          const coils = 10;
+          const dx = bx - ax;
+          const dy = by - ay;
+          const length = Math.hypot(dx, dy) || 1;
+          ctx.moveTo(ax, ay);
+          for (let i = 1; i < coils * 2; i++) {
+            const t = i / (coils * 2);
+            const side = (i % 2 ? 5 : -5);
+            ctx.lineTo(ax + dx * t - dy / length * side, ay + dy * t + dx / length * side);
+          }
+          ctx.lineTo(bx, by);
+        } else if (joint.kind !== 'pin') {
+          ctx.moveTo(ax, ay);
+          ctx.lineTo(bx, by);
+        }
+        ctx.stroke();
+
+        ctx.fillStyle = '#ffffff';
+        [[ax, ay], [bx, by]].forEach(([x, y]) => {
+          ctx.beginPath();
+          ctx.arc(x, y, joint.kind === 'pin' ? 4 : 2.5, 0, Math.PI * 2);
+          ctx.fill();
+        });
+      });
+
+      // Drag springs and connections still being drawn out
+      ctx.setLineDash([4, 4]);
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+      this.drags.forEach(joint => {
+        const [ax, ay] = jointAnchor(joint, 'a');
+        const [bx, by] = jointAnchor(joint, 'b');
+        ctx.beginPath();
+        ctx.moveTo(bx, by);
+        ctx.lineTo(ax, ay);
+        ctx.stroke();
+      });
+      this.pointers.forEach(pointer => {
+        if (pointer.mode !== 'connect') return;
+        ctx.beginPath();
+        ctx.moveTo(...pointer.start);
+        ctx.lineTo(...pointer.end);
+        ctx.stroke();
+      });
+      ctx.restore();
+    }
+
+    drawGrid() {
+      this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+      this.ctx.lineWidth = 1;
+      
+      const gridSize = 50;
+      
+      // Vertical lines
+      for (let x = 0; x <= this.canvas.width; x += gridSize) {
+        this.ctx.beginPath();
+        this.ctx.moveTo(x, 0);
+        this.ctx.lineTo(x, this.canvas.height);
+        this.ctx.stroke();
+      }
+      
+      // Horizontal lines
+      for (let y = 0; y <= this.canvas.height; y += gridSize) {
+        this.ctx.beginPath();
+        this.ctx.moveTo(0, y);
+        this.ctx.lineTo(this.canvas.width, y);
+        this.ctx.stroke();
+      }
+    }
+  }
+
+  // Face Detection & Tracking
+  // Skin-tone blob detector on a downsampled frame, with IoU tracking to keep boxes steady
+  class FaceTracker {
+    constructor() {
+      this.width = 160;
+      this.height = 120;
+      this.canvas = document.createElement('canvas');
+      this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+      this.tracks = [];
+      this.nextId = 1;
+      this.smoothing = 0.35; // Share of each new detection blended into the track
+      this.minHits = 3;      // Frames a track needs before it is reported
+      this.maxMisses = 8;    // Frames a track survives without a matching detection
+      this.lastTime = 0;
+    }
+
+    reset() {
+      this.tracks = [];
+      this.lastTime = 0;
+    }
+
+    // Returns visible faces with boxes normalised to 0..1
+    update(source, sourceWidth, sourceHeight) {
+      const start = performance.now();
+
+      this.height = Math.max(1, Math.round(this.width * sourceHeight / sourceWidth));
+      this.canvas.width = this.width;
+      this.canvas.height = this.height;
+      this.ctx.drawImage(source, 0, 0, this.width, this.height);
+      const pixels = this.ctx.getImageData(0, 0, this.width, this.height).data;
+
+      const mask = this.cleanMask(this.skinMask(pixels));
+      const detections = this.findFaces(mask);
+      this.updateTracks(detections);
+
+      this.lastTime = performance.now() - start;
+      return this.getFaces();
+    }
+
+    skinMask(pixels) {
+      const mask = new Uint8Array(this.width * this.height);
+
+      for (let i = 0; i < mask.length; i++) {
+        const r = pixels[i * 4], g = pixels[i * 4 + 1], b = pixels[i * 4 + 2];
+        const y = 0.299 * r + 0.587 * g + 0.114 * b;
+        const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+        const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+
+        mask[i] = y > 50 && cr >= 135 && cr <= 180 && cb >= 85 && cb <= 135 && r > g ? 1 : 0;
+      }
+
+      return mask;
+    }
+
+    cleanMask(mask) {
+      // 3x3 majority filter removes speckle and fills pinholes
+      const w = this.width, h = this.height;
+      const out = new Uint8Array(mask.length);
+
+      for (let y = 1; y < h - 1; y++) {
+        for (let x = 1; x < w - 1; x++) {
+          const i = y * w + x;
+          const sum = mask[i - w - 1] + mask[i - w] + mask[i - w + 1] +
+                      mask[i - 1] + mask[i] + mask[i + 1] +
+                      mask[i + w - 1] + mask[i + w] + mask[i + w + 1];
+          out[i] = sum >= 5 ? 1 : 0;
+        }
+      }
+
+      return out;
+    }
+
+    findFaces(mask) {
+      const w = this.width, h = this.height;
+      const labels = new Int32Array(mask.length);
+      const stack = [];
+      const minArea = w * h * 0.008;
+      const faces = [];
+      let label = 0;
+
+      for (let start = 0; start < mask.length; start++) {
+        if (!mask[start] || labels[start]) continue;
+
+        // Flood fill one connected skin region
+        label++;
+        let area = 0, minX = w, minY = h, maxX = 0, maxY = 0;
+        stack.push(start);
+        labels[start] = label;
+
+        while (stack.length) {
+          const i = stack.pop();
+          const x = i % w, y = (i - x) / w;
+          area++;
+          if (x < minX) minX = x;
+          if (x > maxX) maxX = x;
+          if (y < minY) minY = y;
+          if (y > maxY) maxY = y;
+
+          if (x > 0 && mask[i - 1] && !labels[i - 1]) { labels[i - 1] = label; stack.push(i - 1); }
+          if (x < w - 1 && mask[i + 1] && !labels[i + 1]) { labels[i + 1] = label; stack.push(i + 1); }
+          if (y > 0 && mask[i - w] && !labels[i - w]) { labels[i - w] = label; stack.push(i - w); }
+          if (y < h - 1 && mask[i + w] && !labels[i + w]) { labels[i + w] = label; stack.push(i + w); }
+        }
+
+        if (area < minArea) continue;
+
+        const boxW = maxX - minX + 1;
+        let boxH = maxY - minY + 1;
+        const fill = area / (boxW * boxH);
+
+        // Faces are roughly upright ovals; a tall blob is usually face plus neck
+        if (boxH / boxW < 0.8 || boxH / boxW > 2.6 || fill < 0.4) continue;
+        if (boxH > boxW * 1.4) boxH = Math.round(boxW * 1.3);
+
+        const features = this.featureScore(labels, label, minX, minY, boxW, boxH);
+        const score = utils.clamp(fill * 0.4 + features * 0.6, 0, 1);
+        if (score < 0.45) continue;
+
+        faces.push({ x: minX / w, y: minY / h, w: boxW / w, h: boxH / h, score });
+      }
+
+      return faces.sort((a, b) => b.score - a.score).slice(0, 5);
+    }
+
+    featureScore(labels, label, x0, y0, boxW, boxH) {
+      // Eyes and brows leave non-skin holes in the upper half of a face; hands rarely do
+      const w = this.width;
+      let holes = 0, total = 0;
+
+      for (let y = y0 + Math.floor(boxH * 0.2); y < y0 + boxH * 0.55; y++) {
+        for (let x = x0 + Math.floor(boxW * 0.15); x < x0 + boxW * 0.85; x++) {
+          total++;
+          if (labels[y * w + x] !== label) holes++;
+        }
+      }
+
+      if (total === 0) return 0;
+      const ratio = holes / total;
+      return ratio >= 0.03 && ratio <= 0.45 ? 1 : ratio < 0.03 ? ratio / 0.03 * 0.5 : 0.25;
+    }
+
+    updateTracks(detections) {
+      const unmatched = new Set(detections);
+
+      // Greedy IoU matching, best-established tracks first
+      this.tracks.sort((a, b) => b.hits - a.hits);
+      for (const track of this.tracks) {
+        let best = null, bestIoU = 0.2;
+        for (const det of unmatched) {
+          const overlap = this.iou(track.box, det);
+          if (overlap > bestIoU) {
+            best = det;
+            bestIoU = overlap;
+          }
+        }
+
+        if (best) {
+          unmatched.delete(best);
+          ['x', 'y', 'w', 'h'].forEach(key => {
+            track.box[key] += (best[key] - track.box[key]) * this.smoothing;
+          });
+          track.score += (best.score - track.score) * this.smoothing;
+          track.hits++;
+          track.misses = 0;
+        } else {
+          track.misses++;
+        }
+      }
+
+      this.tracks = this.tracks.filter(track => track.misses <= this.maxMisses);
+
+      unmatched.forEach(det => {
+        this.tracks.push({
+          id: this.nextId++,
+          box: { x: det.x, y: det.y, w: det.w, h: det.h },
+          score: det.score,
+          hits: 1,
+          misses: 0
+        });
+      });
+    }
+
+    iou(a, b) {
+      const x1 = Math.max(a.x, b.x);
+      const y1 = Math.max(a.y, b.y);
+      const x2 = Math.min(a.x + a.w, b.x + b.w);
+      const y2 = Math.min(a.y + a.h, b.y + b.h);
+      const inter = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+      const union = a.w * a.h + b.w * b.h - inter;
+      return union > 0 ? inter / union : 0;
+    }
+
+    getFaces() {
+      return this.tracks
+        .filter(track => track.hits >= this.minHits)
+        .map(track => ({ id: track.id, ...track.box, score: track.score, stale: track.misses > 0 }));
+    }
+  }
+
+  // Motion Detection & Optical Flow
+  // Frame differencing for the heatmap plus single-scale Lucas-Kanade on a coarse grid
+  class MotionAnalyzer {
+    constructor() {
+      this.scale = 4;         // Flow runs on a frame downsampled by this factor
+      this.gridStep = 8;      // Flow sample spacing in downsampled pixels
+      this.windowRadius = 4;  // Half-size of the Lucas-Kanade window
+      this.threshold = 25;    // Luma difference that counts as motion
+      this.decay = 0.85;      // Heatmap persistence between frames
+      this.reset();
+    }
+
+    reset() {
+      this.prevGray = null;
+      this.prevSmall = null;
+      this.heat = null;
+      this.level = 0;
+      this.vectors = [];
+    }
+
+    // Rewrites imageData as a motion heatmap and returns the smoothed motion level (0..1)
+    analyze(imageData) {
+      const { width, height, data } = imageData;
+      const count = width * height;
+
+      // The first frame, or the first after a reset or resolution change, only becomes
+      // the reference: diffing it against nothing would light up the whole frame
+      const primed = this.prevGray && this.prevGray.length === count;
+      if (!primed) {
+        this.heat = new Float32Array(count);
+        this.prevSmall = null;
+      }
+
+      const gray = new Uint8ClampedArray(count);
+      let moving = 0;
+
+      for (let i = 0; i < count; i++) {
+        const p = i * 4;
+        const value = data[p] * 0.299 + data[p + 1] * 0.587 + data[p + 2] * 0.114;
+        gray[i] = value;
+
+        if (!primed) {
+          data[p] = data[p + 1] = data[p + 2] = value * 0.4;
+          continue;
+        }
+
+        const diff = Math.abs(value - this.prevGray[i]);
+        if (diff > this.threshold) moving++;
+        this.heat[i] = Math.max(this.heat[i] * this.decay, diff > this.threshold ? diff : 0);
+
+        // Dimmed grayscale base with motion glowing red to yellow
+        const base = value * 0.4;
+        const heat = this.heat[i];
+        data[p] = base + heat * 2;
+        data[p + 1] = base + Math.max(0, heat - 96) * 2;
+        data[p + 2] = base;
+      }
+
+      const small = this.downsample(gray, width, height);
+      if (!primed) {
+        this.prevGray = gray;
+        this.prevSmall = small.data;
+        this.vectors = [];
+        return this.level;
+      }
+
+      if (this.prevSmall && this.prevSmall.length === small.data.length) {
+        this.vectors = this.computeFlow(this.prevSmall, small.data, small.width, small.height);
+      } else {
+        this.vectors = [];
+      }
+
+      this.prevGray = gray;
+      this.prevSmall = small.data;
+      this.level += (moving / count - this.level) * 0.3;
+      return this.level;
+    }
+
+    downsample(gray, width, height) {
+      const s = this.scale;
+      const w = Math.floor(width / s);
+      const h = Math.floor(height / s);
+      const out = new Float32Array(w * h);
+
+      for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+          let sum = 0;
+          for (let dy = 0; dy < s; dy++) {
+            const row = (y * s + dy) * width + x * s;
+            for (let dx = 0; dx < s; dx++) {
+              sum += gray[row + dx];
+            }
+          }
+          out[y * w + x] = sum / (s * s);
+        }
+      }
+
+      return { data: out, width: w, height: h };
+    }
+
+    computeFlow(prev, curr, w, h) {
+      const vectors = [];
+      const r = this.windowRadius;
+
+      for (let cy = r + 1; cy < h - r - 1; cy += this.gridStep) {
+        for (let cx = r + 1; cx < w - r - 1; cx += this.gridStep) {
+          let sxx = 0, sxy = 0, syy = 0, sxt = 0, syt = 0;
+
+          for (let y = cy - r; y <= cy + r; y++) {
+            for (let x = cx - r; x <= cx + r; x++) {
+              const i = y * w + x;
+              const ix = (prev[i + 1] - prev[i - 1]) * 0.5;
+              const iy = (prev[i + w] - prev[i - w]) * 0.5;
+              const it = curr[i] - prev[i];
+              sxx += ix * ix;
+              sxy += ix * iy;
+              syy += iy * iy;
+              sxt += ix * it;
+              syt += iy * it;
+            }
+          }
+
+          // Skip flat windows where the 2x2 system is ill-conditioned
+          const det = sxx * syy - sxy * sxy;
+          const trace = sxx + syy;
+          const minEigen = (trace - Math.sqrt(Math.max(0, trace * trace - 4 * det))) / 2;
+          if (minEigen < 50) continue;
+
+          const u = (-syy * sxt + sxy * syt) / det;
+          const v = (sxy * sxt - sxx * syt) / det;
+          if (!Number.isFinite(u) || !Number.isFinite(v)) continue;
+
+          vectors.push({
+            x: cx * this.scale,
+            y: cy * this.scale,
+            dx: utils.clamp(u, -r, r) * this.scale,
+            dy: utils.clamp(v, -r, r) * this.scale
+          });
+        }
+      }
+
+      return vectors;
+    }
+  }
+
+  // Camera Filter Registry
+  // Each filter has a CPU implementation over ImageData and, unless cpuOnly, a GLSL
+  // fragment body. Numeric params map in order onto u_params.xyzw; a color param
+  // maps onto u_color.
+  const CAMERA_FILTERS = {
+    grayscale: {
+      label: 'Grayscale',
+      params: [],
+      cpu({ data }) {
+        for (let i = 0; i < data.length; i += 4) {
+          const gray = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+          data[i] = data[i + 1] = data[i + 2] = gray;
+        }
+      },
+      glsl: `
+        vec4 c = texture2D(u_texture, v_uv);
+        gl_FragColor = vec4(vec3(luma(vec2(0.0))), c.a);
+      `
+    },
+
+    sepia: {
+      label: 'Sepia',
+      params: [],
+      cpu({ data }) {
+        for (let i = 0; i < data.length; i += 4) {
+          const r = data[i];
+          const g = data[i + 1];
+          const b = data[i + 2];
+          data[i] = Math.min(255, r * 0.393 + g * 0.769 + b * 0.189);
+          data[i + 1] = Math.min(255, r * 0.349 + g * 0.686 + b * 0.168);
+          data[i + 2] = Math.min(255, r * 0.272 + g * 0.534 + b * 0.131);
+        }
+      },
+      glsl: `
+        vec4 c = texture2D(u_texture, v_uv);
+        gl_FragColor = vec4(min(vec3(1.0), vec3(
+          dot(c.rgb, vec3(0.393, 0.769, 0.189)),
+          dot(c.rgb, vec3(0.349, 0.686, 0.168)),
+          dot(c.rgb, vec3(0.272, 0.534, 0.131)))), c.a);
+      `
+    },
+
+    blur: {
+      label: 'Blur',
+      params: [{ name: 'radius', label: 'Radius', min: 1, max: 6, step: 1, value: 2 }],
+      passes: 2, // Separable: horizontal then vertical
+      cpu({ data, width, height }, { radius }) {
+        // Separable box blur with a running sum, so cost doesn't grow with radius
+        const temp = new Uint8ClampedArray(data.length);
+        const blurLine = (src, dst, start, stride, length) => {
+          for (let c = 0; c < 3; c++) {
+            let sum = 0;
+            for (let i = -radius; i <= radius; i++) {
+              sum += src[start + utils.clamp(i, 0, length - 1) * stride + c];
+            }
+            for (let i = 0; i < length; i++) {
+              dst[start + i * stride + c] = sum / (radius * 2 + 1);
+              const out = utils.clamp(i - radius, 0, length - 1);
+              const next = utils.clamp(i + radius + 1, 0, length - 1);
+              sum += src[start + next * stride + c] - src[start + out * stride + c];
+            }
+          }
+        };
+
+        temp.set(data);
+        for (let y = 0; y < height; y++) blurLine(data, temp, y * width * 4, 4, width);
+        for (let x = 0; x < width; x++) blurLine(temp, data, x * 4, width * 4, height);
+      },
+      glsl: `
+        vec2 dir = u_pass < 0.5 ? vec2(u_texel.x, 0.0) : vec2(0.0, u_texel.y);
+        vec4 sum = vec4(0.0);
+        float count = 0.0;
+        for (int i = -6; i <= 6; i++) {
+          if (abs(float(i)) <= u_params.x) {
+            sum += texture2D(u_texture, v_uv + dir * float(i));
+            count += 1.0;
+          }
+        }
+        gl_FragColor = sum / count;
+      `
+    },
+
+    edge: {
+      label: 'Edge Detection',
+      params: [{ name: 'strength', label: 'Strength', min: 0.5, max: 3, step: 0.1, value: 1 }],
+      cpu({ data, width, height }, { strength }) {
+        // Sobel edge detection on a precomputed luma plane
+        const gray = new Float32Array(width * height);
+        for (let i = 0; i < gray.length; i++) {
+          gray[i] = data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114;
+        }
+
+        for (let y = 0; y < height; y++) {
+          for (let x = 0; x < width; x++) {
+            let magnitude = 0;
+            if (x > 0 && y > 0 && x < width - 1 && y < height - 1) {
+              const i = y * width + x;
+              const gx = gray[i - width + 1] + 2 * gray[i + 1] + gray[i + width + 1] -
+                         gray[i - width - 1] - 2 * gray[i - 1] - gray[i + width - 1];
+              const gy = gray[i + width - 1] + 2 * gray[i + width] + gray[i + width + 1] -
+                         gray[i - width - 1] - 2 * gray[i - width] - gray[i - width + 1];
+              magnitude = Math.sqrt(gx * gx + gy * gy) * strength;
+            }
+            const idx = (y * width + x) * 4;
+            data[idx] = data[idx + 1] = data[idx + 2] = Math.min(255, magnitude);
+          }
+        }
+      },
+      glsl: `
+        float gx = luma(vec2(1.0, -1.0)) + 2.0 * luma(vec2(1.0, 0.0)) + luma(vec2(1.0, 1.0))
+                 - luma(vec2(-1.0, -1.0)) - 2.0 * luma(vec2(-1.0, 0.0)) - luma(vec2(-1.0, 1.0));
+        float gy = luma(vec2(-1.0, 1.0)) + 2.0 * luma(vec2(0.0, 1.0)) + luma(vec2(1.0, 1.0))
+                 - luma(vec2(-1.0, -1.0)) - 2.0 * luma(vec2(0.0, -1.0)) - luma(vec2(1.0, -1.0));
+        gl_FragColor = vec4(vec3(min(1.0, length(vec2(gx, gy)) * u_params.x)), texture2D(u_texture, v_uv).a);
+      `
+    },
+
+    pixelate: {
+      label: 'Pixelate',
+      params: [{ name: 'size', label: 'Block size', min: 2, max: 32, step: 1, value: 8 }],
+      cpu({ data, width, height }, { size }) {
+        for (let by = 0; by < height; by += size) {
+          for (let bx = 0; bx < width; bx += size) {
+            // Sample the block center, matching the GPU version
+            const cx = Math.min(width - 1, bx + (size >> 1));
+            const cy = Math.min(height - 1, by + (size >> 1));
+            const src = (cy * width + cx) * 4;
+            const r = data[src], g = data[src + 1], b = data[src + 2], a = data[src + 3];
+
+            for (let y = by; y < Math.min(by + size, height); y++) {
+              for (let x = bx; x < Math.min(bx + size, width); x++) {
+                const idx = (y * width + x) * 4;
+                data[idx] = r;
+                data[idx + 1] = g;
+                data[idx + 2] = b;
+                data[idx + 3] = a;
+              }
+            }
+          }
+        }
+      },
+      // Blocks run from the top-left like the ImageData rows, and sample the same pixel
+      glsl: `
+        vec2 size = 1.0 / u_texel;
+        vec2 pixel = vec2(v_uv.x, 1.0 - v_uv.y) * size;
+        vec2 center = min(floor(pixel / u_params.x) * u_params.x + floor(u_params.x / 2.0), size - 1.0) + 0.5;
+        gl_FragColor = texture2D(u_texture, vec2(center.x, size.y - center.y) * u_texel);
+      `
+    },
+
+    threshold: {
+      label: 'Threshold',
+      params: [{ name: 'level', label: 'Level', min: 0, max: 1, step: 0.01, value: 0.5 }],
+      cpu({ data }, { level }) {
+        const cutoff = level * 255;
+        for (let i = 0; i < data.length; i += 4) {
+          const gray = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+          data[i] = data[i + 1] = data[i + 2] = gray >= cutoff ? 255 : 0;
+        }
+      },
+      glsl: `
+        gl_FragColor = vec4(vec3(step(u_params.x, luma(vec2(0.0)))), texture2D(u_texture, v_uv).a);
+      `
+    },
+
+    posterize: {
+      label: 'Posterize',
+      params: [{ name: 'levels', label: 'Levels', min: 2, max: 8, step: 1, value: 4 }],
+      cpu({ data }, { levels }) {
+        const step = 255 / (levels - 1);
+        for (let i = 0; i < data.length; i += 4) {
+          data[i] = Math.round(data[i] / step) * step;
+          data[i + 1] = Math.round(data[i + 1] / step) * step;
+          data[i + 2] = Math.round(data[i + 2] / step) * step;
+        }
+      },
+      glsl: `
+        vec4 c = texture2D(u_texture, v_uv);
+        float steps = u_params.x - 1.0;
+        gl_FragColor = vec4(floor(c.rgb * steps + 0.5) / steps, c.a);
+      `
+    },
+
+    invert: {
+      label: 'Invert',
+      params: [],
+      cpu({ data }) {
+        for (let i = 0; i < data.length; i += 4) {
+          data[i] = 255 - data[i];
+          data[i + 1] = 255 - data[i + 1];
+          data[i + 2] = 255 - data[i + 2];
+        }
+      },
+      glsl: `
+        vec4 c = texture2D(u_texture, v_uv);
+        gl_FragColor = vec4(1.0 - c.rgb, c.a);
+      `
+    },
+
+    chromaKey: {
+      label: 'Chroma Key',
+      params: [
+        { name: 'key', label: 'Key', type: 'color', value: '#00ff00' },
+        { name: 'tolerance', label: 'Tolerance', min: 0, max: 1, step: 0.01, value: 0.35 },
+        { name: 'softness', label: 'Softness', min: 0, max: 0.5, step: 0.01, value: 0.1 }
+      ],
+      cpu({ data }, { key, tolerance, softness }) {
+        const [kr, kg, kb] = utils.hexToRgb(key);
+        for (let i = 0; i < data.length; i += 4) {
+          const dr = data[i] / 255 - kr;
+          const dg = data[i + 1] / 255 - kg;
+          const db = data[i + 2] / 255 - kb;
+          const distance = Math.sqrt(dr * dr + dg * dg + db * db);
+          // Same smoothstep falloff as the shader
+          const t = utils.clamp((distance - tolerance) / Math.max(softness, 1e-4), 0, 1);
+          data[i + 3] *= t * t * (3 - 2 * t);
+        }
+      },
+      glsl: `
+        vec4 c = texture2D(u_texture, v_uv);
+        float alpha = smoothstep(u_params.x, u_params.x + max(u_params.y, 0.0001), distance(c.rgb, u_color));
+        gl_FragColor = vec4(c.rgb, c.a * alpha);
+      `
+    },
+
+    motion: {
+      label: 'Motion',
+      params: [],
+      cpuOnly: true, // Stateful across frames; forces the whole pipeline onto the CPU
+      cpu(imageData, params, camera) {
+        camera.updateMotionLevel(camera.motionAnalyzer.analyze(imageData));
+      }
+    }
+  };
+
+  // WebGL Filter Pipeline
+  // Runs filter stages as fragment shader passes, ping-ponging between two framebuffers
+  class WebGLFilterPipeline {
+    constructor() {
+      this.canvas = document.createElement('canvas');
+      this.gl = null;
+      this.programs = new Map();
+      this.targets = [];
+      this.width = 0;
+      this.height = 0;
+      this.available = features.webGL && this.setup();
+    }
+
+    setup() {
+      try {
+        // Straight alpha so chroma-keyed pixels composite correctly onto the 2D canvas
+        this.gl = this.canvas.getContext('webgl', { premultipliedAlpha: false, antialias: false });
+      } catch (e) {
+        this.gl = null;
+      }
+
+      if (!this.gl) return false;
+
+      this.createResources();
+
+      this.canvas.addEventListener('webglcontextlost', (e) => {
+        e.preventDefault();
+        // A pipeline that already fell back to the CPU after an error stays there
+        this.restorable = this.available;
+        this.available = false;
+      });
+      this.canvas.addEventListener('webglcontextrestored', () => {
+        if (!this.restorable) return;
+        try {
+          this.createResources();
+          this.available = true;
+        } catch (err) {
+          notifications.warning('GPU filters could not be restored, so filters keep running on the CPU.', { error: err });
+        }
+      });
+
+      return true;
+    }
+
+    // Every handle dies with the context, so a restore starts these over
+    createResources() {
+      const gl = this.gl;
+      this.programs.clear();
+      this.targets = [];
+      this.width = 0;
+      this.height = 0;
+
+      this.quad = gl.createBuffer();
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+      gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+
+      this.sourceTexture = this.createTexture();
+    }
+
+    createTexture() {
+      const gl = this.gl;
+      const texture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+      return texture;
+    }
+
+    resize(width, height) {
+      if (width === this.width && height === this.height) return;
+
+      const gl = this.gl;
+      this.width = this.canvas.width = width;
+      this.height = this.canvas.height = height;
+
+      this.targets.forEach(target => {
+        gl.deleteFramebuffer(target.framebuffer);
+        gl.deleteTexture(target.texture);
+      });
+
+      this.targets = [0, 1].map(() => {
+        const texture = this.createTexture();
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        return { texture, framebuffer };
+      });
+
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    getProgram(type) {
+      if (this.programs.has(type)) return this.programs.get(type);
+
+      const gl = this.gl;
+      const vertexSource = `
+        attribute vec2 a_position;
+        varying vec2 v_uv;
+        void main() {
+          v_uv = a_position * 0.5 + 0.5;
+          gl_Position = vec4(a_position, 0.0, 1.0);
+        }
+      `;
+      const fragmentSource = `
+        precision mediump float;
+        uniform sampler2D u_texture;
+        uniform vec2 u_texel;
+        uniform vec4 u_params;
+        uniform vec3 u_color;
+        uniform float u_pass;
+        varying vec2 v_uv;
+
+        float luma(vec2 offset) {
+          return dot(texture2D(u_texture, v_uv + offset * u_texel).rgb, vec3(0.299, 0.587, 0.114));
+        }
+
+        void main() {
+          ${CAMERA_FILTERS[type].glsl}
+        }
+      `;
+
+      const compile = (kind, source) => {
+        const shader = gl.createShader(kind);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+          throw new Error(`Filter "${type}" failed to compile: ${gl.getShaderInfoLog(shader)}`);
+        }
+        return shader;
+      };
+
+      const program = gl.createProgram();
+      gl.attachShader(program, compile(gl.VERTEX_SHADER, vertexSource));
+      gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+      gl.linkProgram(program);
+      if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        throw new Error(`Filter "${type}" failed to link: ${gl.getProgramInfoLog(program)}`);
+      }
+
+      const entry = {
+        program,
+        position: gl.getAttribLocation(program, 'a_position'),
+        texture: gl.getUniformLocation(program, 'u_texture'),
+        texel: gl.getUniformLocation(program, 'u_texel'),
+        params: gl.getUniformLocation(program, 'u_params'),
+        color: gl.getUniformLocation(program, 'u_color'),
+        pass: gl.getUniformLocation(program, 'u_pass')
+      };
+      this.programs.set(type, entry);
+      return entry;
+    }
+
+    // Renders the stages over source and returns the output canvas
+    render(source, stages, width, height) {
+      const gl = this.gl;
+      this.resize(width, height);
+
+      gl.bindTexture(gl.TEXTURE_2D, this.sourceTexture);
+      gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+
+      const passes = [];
+      stages.forEach(stage => {
+        const filter = CAMERA_FILTERS[stage.type];
+        for (let pass = 0; pass < (filter.passes || 1); pass++) {
+          passes.push({ stage, filter, pass });
+        }
+      });
+
+      let input = this.sourceTexture;
+      gl.viewport(0, 0, width, height);
+      gl.disable(gl.BLEND);
+
+      passes.forEach(({ stage, filter, pass }, index) => {
+        const last = index === passes.length - 1;
+        const target = this.targets[index % 2];
+        const entry = this.getProgram(stage.type);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, last ? null : target.framebuffer);
+        gl.useProgram(entry.program);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+        gl.enableVertexAttribArray(entry.position);
+        gl.vertexAttribPointer(entry.position, 2, gl.FLOAT, false, 0, 0);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, input);
+        gl.uniform1i(entry.texture, 0);
+        gl.uniform2f(entry.texel, 1 / width, 1 / height);
+        gl.uniform1f(entry.pass, pass);
+
+        const numeric = filter.params.filter(param => param.type !== 'color').map(param => stage.params[param.name]);
+        while (numeric.length < 4) numeric.push(0);
+        gl.uniform4fv(entry.params, numeric);
+
+        const colorParam = filter.params.find(param => param.type === 'color');
+        gl.uniform3fv(entry.color, colorParam ? utils.hexToRgb(stage.params[colorParam.name]) : [0, 0, 0]);
+
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        input = target.texture;
+      });
+
+      return this.canvas;
+    }
+  }
+
+  // Capture Gallery
+  // Thumbnails are canvases rather than <img> so blob URLs never hit the img-src CSP
+  class CaptureGallery {
+    constructor(container, maxItems = 24) {
+      this.container = container;
+      this.maxItems = maxItems;
+    }
+
+    createThumbnail(source) {
+      const thumbnail = document.createElement('canvas');
+      thumbnail.width = 160;
+      thumbnail.height = Math.round(160 * source.height / source.width) || 120;
+      thumbnail.getContext('2d').drawImage(source, 0, 0, thumbnail.width, thumbnail.height);
+      return thumbnail;
+    }
+
+    add({ blob, thumbnail, label, extension }) {
+      if (!this.container) return;
+
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const filename = `spawnpoint-${stamp}.${extension}`;
+
+      const item = document.createElement('figure');
+      item.className = 'capture-item';
+
+      thumbnail.className = 'capture-thumbnail';
+      thumbnail.setAttribute('role', 'img');
+      thumbnail.setAttribute('aria-label', label);
+
+      const caption = document.createElement('figcaption');
+      caption.textContent = `${label} · ${this.formatSize(blob.size)}`;
+
+      const actions = document.createElement('div');
+      actions.className = 'capture-actions';
+
+      const downloadBtn = document.createElement('button');
+      downloadBtn.className = 'btn btn-secondary';
+      downloadBtn.textContent = 'Download';
+      downloadBtn.setAttribute('aria-label', `Download ${label}`);
+      downloadBtn.addEventListener('click', () => utils.downloadBlob(blob, filename));
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'btn btn-secondary';
+      removeBtn.textContent = '×';
+      removeBtn.setAttribute('aria-label', `Remove ${label}`);
+      removeBtn.addEventListener('click', () => item.remove());
+
+      actions.appendChild(downloadBtn);
+      actions.appendChild(removeBtn);
+      item.appendChild(thumbnail);
+      item.appendChild(caption);
+      item.appendChild(actions);
+
+      this.container.prepend(item);
+      this.container.hidden = false;
+
+      // Drop the oldest captures so memory stays bounded
+      while (this.container.children.length > this.maxItems) {
+        this.container.lastElementChild.remove();
+      }
+    }
+
+    formatSize(bytes) {
+      if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+      return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+  }
+
+  // Computer Vision & Camera
+  class CameraVision {
+    constructor() {
+      this.video = null;
+      this.canvas = null;
+      this.ctx = null;
+      this.stream = null;
+      this.frame = scheduler.register('Camera', () => this.render(), {
+        fps: 30,
+        onError: () => this.stop(),
+        onQualityChange: (quality) => {
+          // Over budget, face detection only runs on every Nth frame
+          this.cvInterval = Math.round(1 / quality);
+        }
+      });
+      this.cvInterval = 1;
+      this.cvFrame = 0;
+      this.faces = [];
+      this.isRunning = false;
+      this.pipeline = [];
+      this.nextStageId = 1;
+      this.glPipeline = null;
+      this.renderer = 'CPU';
+      this.pipelineTime = 0;
+      this.faceDetectionEnabled = false;
+      this.faceTracker = new FaceTracker();
+      this.motionAnalyzer = new MotionAnalyzer();
+      this.motionLevel = 0;
+      this.gallery = null;
+      this.burstRemaining = 0;
+      this.burstTotal = 0;
+      this.lastBurstFrame = 0;
+      this.recorder = null;
+      this.recordingTimer = null;
+      this.deviceId = '';         // Empty means "let the browser pick"
+      this.facingMode = 'user';
+      this.resolution = { width: 640, height: 480 };
+      this.recovering = false;
+      this.videoDeviceCount = 0;
+      this.init();
+    }
+
+    init() {
+      if (!features.getUserMedia) {
+        this.showFallback();
+        return;
+      }
+
+      this.setupElements();
+      this.setupEventListeners();
+    }
+
+    setupElements() {
+      this.video = document.getElementById('cameraVideo');
+      this.canvas = document.getElementById('cameraCanvas');
+      this.gallery = new CaptureGallery(document.getElementById('cameraGallery'));
+      
+      if (this.canvas) {
+        this.canvas.width = 640;
+        this.canvas.height = 480;
+        this.ctx = this.canvas.getContext('2d');
+        lifecycle.register(this, this.canvas);
+      }
     }
 
     setupEventListeners() {
-      const toggleBtn = document.getElementById('audioToggle');
-      const micBtn = document.getElementById('micToggle');
-      const fileInput = document.getElementById('audioFile');
-      const sensitivitySlider = document.getElementById('audioSensitivity');
+      const toggleBtn = document.getElementById('cameraToggle');
+      const faceBtn = document.getElementById('faceDetectionToggle');
+      const filterSelect = document.getElementById('cameraFilter');
+      const addFilterBtn = document.getElementById('addFilter');
+      const clearFiltersBtn = document.getElementById('clearFilters');
+      const snapshotBtn = document.getElementById('snapshotButton');
+      const burstBtn = document.getElementById('burstButton');
+      const recordBtn = document.getElementById('recordToggle');
+      const deviceSelect = document.getElementById('cameraDevice');
+      const facingBtn = document.getElementById('cameraFacing');
+      const resolutionSelect = document.getElementById('cameraResolution');
+      const retryBtn = document.getElementById('cameraRetry');
 
       if (toggleBtn) {
         toggleBtn.addEventListener('click', () => this.toggle());
       }
 
-      if (micBtn) {
-        micBtn.addEventListener('click', () => this.toggleMicrophone());
+      if (deviceSelect) {
+        deviceSelect.addEventListener('change', (e) => {
+          this.deviceId = e.target.value;
+          this.restartStream();
+        });
       }
 
-      if (fileInput) {
-        fileInput.addEventListener('change', (e) => this.loadAudioFile(e.target.files[0]));
+      if (facingBtn) {
+        facingBtn.addEventListener('click', () => {
+          // Facing mode only applies when no specific device is chosen
+          this.facingMode = this.facingMode === 'user' ? 'environment' : 'user';
+          this.deviceId = '';
+          this.updateDeviceControls();
+          this.restartStream();
+          utils.vibrate(25);
+        });
       }
 
-      if (sensitivitySlider) {
-        sensitivitySlider.addEventListener('input', (e) => {
-          this.sensitivity = parseFloat(e.target.value);
+      if (resolutionSelect) {
+        resolutionSelect.addEventListener('change', (e) => {
+          const [width, height] = e.target.value.split('x').map(Number);
+          this.resolution = { width, height };
+          this.restartStream();
         });
       }
 
-      // Check microphone availability
-      this.checkMicrophoneSupport();
-    }
+      if (retryBtn) {
+        retryBtn.addEventListener('click', () => this.retry());
+      }
 
-    async checkMicrophoneSupport() {
-      if (features.getUserMedia) {
-        try {
-          const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-          stream.getTracks().forEach(track => track.stop()); // Stop immediately
-          
-          const micBtn = document.getElementById('micToggle');
-          if (micBtn) micBtn.disabled = false;
-        } catch (err) {
-          console.log('Microphone not available:', err);
-        }
+      if (this.video) {
+        // Phones swap width and height when rotated
+        this.video.addEventListener('resize', () => this.resizeCanvas());
       }
-    }
 
-    async setupAudioContext() {
-      try {
-        const AudioContext = window.AudioContext || window.webkitAudioContext;
-        this.audioContext = new AudioContext();
-        
-        if (this.audioContext.state === 'suspended') {
-          await this.audioContext.resume();
+      if (navigator.mediaDevices.addEventListener) {
+        navigator.mediaDevices.addEventListener('devicechange', () => this.handleDeviceChange());
+      }
+
+      this.refreshDevices();
+
+      if (faceBtn) {
+        faceBtn.addEventListener('click', () => this.toggleFaceDetection());
+      }
+
+      if (snapshotBtn) {
+        snapshotBtn.addEventListener('click', () => this.takeSnapshot());
+      }
+
+      if (burstBtn) {
+        burstBtn.addEventListener('click', () => this.startBurst());
+      }
+
+      if (recordBtn) {
+        recordBtn.addEventListener('click', () => this.toggleRecording());
+        if (!features.mediaRecorder) {
+          recordBtn.title = 'Video recording is not supported in this browser';
         }
+      }
 
-        this.analyser = this.audioContext.createAnalyser();
-        this.analyser.fftSize = 256;
-        this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
-        
-        return true;
-      } catch (err) {
-        console.error('Failed to setup audio context:', err);
-        return false;
+      if (addFilterBtn && filterSelect) {
+        addFilterBtn.addEventListener('click', () => this.addStage(filterSelect.value));
+      }
+
+      if (clearFiltersBtn) {
+        clearFiltersBtn.addEventListener('click', () => this.clearPipeline());
       }
     }
 
@@ -1110,167 +7928,257 @@
     async start() {
       if (this.isRunning) return;
 
-      const success = await this.setupAudioContext();
-      if (!success) return;
+      try {
+        await this.openStream();
+        
+        this.isRunning = true;
+        
+        const toggleBtn = document.getElementById('cameraToggle');
+        if (toggleBtn) toggleBtn.textContent = 'Stop Camera';
+        this.setControlsEnabled(true);
+        
+        this.frame.start();
+        
+      } catch (err) {
+        this.closeStream();
+        this.reportError(err);
+      }
+    }
 
-      // Create a simple oscillator for demonstration
-      this.createOscillatorSource();
-      
-      this.isRunning = true;
-      const toggleBtn = document.getElementById('audioToggle');
-      if (toggleBtn) toggleBtn.textContent = 'Stop Audio Visualization';
-      
-      this.render();
+    getConstraints() {
+      const video = {
+        width: { ideal: this.resolution.width },
+        height: { ideal: this.resolution.height }
+      };
+
+      if (this.deviceId) {
+        video.deviceId = { exact: this.deviceId };
+      } else {
+        video.facingMode = this.facingMode;
+      }
+
+      return { video, audio: false };
     }
 
-    createOscillatorSource() {
-      // Create a complex audio source for visualization
-      const oscillator1 = this.audioContext.createOscillator();
-      const oscillator2 = this.audioContext.createOscillator();
-      const oscillator3 = this.audioContext.createOscillator();
-      const gainNode = this.audioContext.createGain();
-      
-      oscillator1.type = 'sine';
-      oscillator1.frequency.setValueAtTime(220, this.audioContext.currentTime);
-      
-      oscillator2.type = 'sawtooth';
-      oscillator2.frequency.setValueAtTime(110, this.audioContext.currentTime);
-      
-      oscillator3.type = 'square';
-      oscillator3.frequency.setValueAtTime(440, this.audioContext.currentTime);
-      
-      gainNode.gain.setValueAtTime(0.1, this.audioContext.currentTime);
-      
-      // Connect oscillators to analyser
-      oscillator1.connect(gainNode);
-      oscillator2.connect(gainNode);
-      oscillator3.connect(gainNode);
-      gainNode.connect(this.analyser);
-      gainNode.connect(this.audioContext.destination);
-      
-      // Add some frequency modulation for interesting visuals
-      const lfo = this.audioContext.createOscillator();
-      const lfoGain = this.audioContext.createGain();
-      lfo.frequency.setValueAtTime(0.5, this.audioContext.currentTime);
-      lfoGain.gain.setValueAtTime(50, this.audioContext.currentTime);
-      
-      lfo.connect(lfoGain);
-      lfoGain.connect(oscillator1.frequency);
-      
-      oscillator1.start();
-      oscillator2.start();
-      oscillator3.start();
-      lfo.start();
-      
-      // Store reference for cleanup
-      this.oscillators = [oscillator1, oscillator2, oscillator3, lfo];
+    async openStream() {
+      this.closeStream();
+
+      const stream = await navigator.mediaDevices.getUserMedia(this.getConstraints());
+      this.stream = stream;
+
+      const [track] = stream.getVideoTracks();
+      if (track) {
+        track.addEventListener('ended', () => this.handleTrackEnded(stream));
+
+        const settings = track.getSettings ? track.getSettings() : {};
+        if (settings.facingMode) this.facingMode = settings.facingMode;
+      }
+
+      if (this.video) {
+        this.video.srcObject = stream;
+        await this.video.play();
+      }
+
+      this.resizeCanvas();
+      this.hideError();
+
+      // Device labels are only exposed once permission has been granted
+      await this.refreshDevices();
     }
 
-    async toggleMicrophone() {
-      if (this.micStream) {
-        this.stopMicrophone();
-      } else {
-        await this.startMicrophone();
+    closeStream() {
+      // Clear the reference first so the resulting 'ended' events are ignored
+      const stream = this.stream;
+      this.stream = null;
+
+      if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+      }
+      if (this.video) {
+        this.video.srcObject = null;
       }
     }
 
-    async startMicrophone() {
+    async restartStream() {
+      if (!this.isRunning) return;
+
       try {
-        if (!this.audioContext) {
-          const success = await this.setupAudioContext();
-          if (!success) return;
-        }
+        await this.openStream();
+      } catch (err) {
+        this.reportError(err);
+      }
+    }
 
-        this.micStream = await navigator.mediaDevices.getUserMedia({ audio: true });
-        this.source = this.audioContext.createMediaStreamSource(this.micStream);
-        this.source.connect(this.analyser);
-        
-        const micBtn = document.getElementById('micToggle');
-        if (micBtn) micBtn.textContent = 'Stop Microphone';
-        
-        if (!this.isRunning) {
-          this.isRunning = true;
-          const toggleBtn = document.getElementById('audioToggle');
-          if (toggleBtn) toggleBtn.textContent = 'Stop Audio Visualization';
-          this.render();
-        }
-        
-        utils.vibrate(40);
+    resizeCanvas() {
+      if (!this.canvas || !this.video) return;
+
+      const width = this.video.videoWidth || this.resolution.width;
+      const height = this.video.videoHeight || this.resolution.height;
+      if (width === this.canvas.width && height === this.canvas.height) return;
+
+      // A recorder can't follow a size change mid-clip, so finish the clip first
+      this.stopRecording();
+
+      this.canvas.width = width;
+      this.canvas.height = height;
+      this.faceTracker.reset();
+      this.faces = [];
+      this.motionAnalyzer.reset();
+    }
+
+    handleTrackEnded(stream) {
+      if (stream !== this.stream || !this.isRunning) return;
+      this.recover();
+    }
+
+    async handleDeviceChange() {
+      const devices = await this.refreshDevices();
+      if (!this.isRunning || !this.stream || !devices) return;
+
+      const [track] = this.stream.getVideoTracks();
+      const activeId = track && track.getSettings ? track.getSettings().deviceId : '';
+      if (track && (track.readyState === 'ended' || (activeId && !devices.some(d => d.deviceId === activeId)))) {
+        this.recover();
+      }
+    }
+
+    async recover() {
+      if (this.recovering) return;
+      this.recovering = true;
+
+      // Fall back to whichever camera the browser offers
+      this.deviceId = '';
+      this.showError('Camera disconnected. Trying another camera…', false);
+
+      try {
+        await this.openStream();
       } catch (err) {
-        console.error('Failed to access microphone:', err);
-        alert('Failed to access microphone. Please check permissions.');
+        this.stop();
+        this.reportError(err, 'Camera disconnected. ');
+      } finally {
+        this.recovering = false;
       }
     }
 
-    stopMicrophone() {
-      if (this.micStream) {
-        this.micStream.getTracks().forEach(track => track.stop());
-        this.micStream = null;
+    async refreshDevices() {
+      if (!navigator.mediaDevices.enumerateDevices) return null;
+
+      let devices;
+      try {
+        devices = (await navigator.mediaDevices.enumerateDevices()).filter(d => d.kind === 'videoinput');
+      } catch (err) {
+        notifications.warning('The list of cameras could not be loaded.', { error: err });
+        return null;
       }
-      
-      if (this.source) {
-        this.source.disconnect();
-        this.source = null;
+
+      const deviceSelect = document.getElementById('cameraDevice');
+      if (deviceSelect) {
+        deviceSelect.innerHTML = '';
+
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = 'Default camera';
+        deviceSelect.appendChild(defaultOption);
+
+        devices.forEach((device, index) => {
+          if (!device.deviceId) return; // Hidden until permission is granted
+          const option = document.createElement('option');
+          option.value = device.deviceId;
+          option.textContent = device.label || `Camera ${index + 1}`;
+          deviceSelect.appendChild(option);
+        });
+      }
+
+      if (this.deviceId && !devices.some(d => d.deviceId === this.deviceId)) {
+        this.deviceId = '';
+      }
+
+      this.videoDeviceCount = devices.length;
+      this.updateDeviceControls();
+      return devices;
+    }
+
+    updateDeviceControls() {
+      const deviceSelect = document.getElementById('cameraDevice');
+      const facingBtn = document.getElementById('cameraFacing');
+
+      if (deviceSelect) deviceSelect.value = this.deviceId;
+
+      if (facingBtn) {
+        // Only worth offering where there is more than one camera to face
+        facingBtn.hidden = this.videoDeviceCount < 2;
+        facingBtn.textContent = this.facingMode === 'user' ? 'Use Back Camera' : 'Use Front Camera';
+      }
+    }
+
+    retry() {
+      if (this.isRunning) {
+        this.restartStream();
+      } else {
+        this.start();
+      }
+    }
+
+    reportError(err, prefix = '') {
+      const message = `${prefix}${this.describeError(err)}`;
+      const actions = [{ label: 'Retry', onClick: () => this.retry() }];
+      if (err && (err.name === 'NotAllowedError' || err.name === 'SecurityError')) {
+        actions.push(permissionsHelpAction());
+      }
+
+      this.showError(message);
+      notifications.error(message, { error: err, actions });
+    }
+
+    describeError(err) {
+      switch (err && err.name) {
+        case 'NotAllowedError':
+        case 'SecurityError':
+          return 'Camera permission was denied. Allow camera access in your browser settings and try again.';
+        case 'NotFoundError':
+          return 'No camera was found. Connect a camera and try again.';
+        case 'OverconstrainedError':
+          return 'The selected camera does not support this resolution. Pick another camera or resolution.';
+        case 'NotReadableError':
+        case 'AbortError':
+          return 'The camera is in use by another application.';
+        default:
+          return 'The camera could not be started.';
       }
-      
-      const micBtn = document.getElementById('micToggle');
-      if (micBtn) micBtn.textContent = 'Use Microphone';
     }
 
-    loadAudioFile(file) {
-      if (!file) return;
-      
-      const reader = new FileReader();
-      reader.onload = async (e) => {
-        try {
-          if (!this.audioContext) {
-            const success = await this.setupAudioContext();
-            if (!success) return;
-          }
+    showError(message, retryable = true) {
+      const errorElement = document.getElementById('cameraError');
+      const messageElement = document.getElementById('cameraErrorMessage');
+      const retryBtn = document.getElementById('cameraRetry');
 
-          const arrayBuffer = e.target.result;
-          const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-          
-          // Stop any existing sources
-          this.stopAllSources();
-          
-          // Create buffer source
-          this.source = this.audioContext.createBufferSource();
-          this.source.buffer = audioBuffer;
-          this.source.loop = true;
-          this.source.connect(this.analyser);
-          this.source.connect(this.audioContext.destination);
-          this.source.start();
-          
-          if (!this.isRunning) {
-            this.isRunning = true;
-            const toggleBtn = document.getElementById('audioToggle');
-            if (toggleBtn) toggleBtn.textContent = 'Stop Audio Visualization';
-            this.render();
-          }
-          
-        } catch (err) {
-          console.error('Failed to load audio file:', err);
-          alert('Failed to load audio file. Please try a different file.');
-        }
-      };
-      
-      reader.readAsArrayBuffer(file);
+      if (messageElement) messageElement.textContent = message;
+      if (retryBtn) retryBtn.hidden = !retryable;
+      if (errorElement) errorElement.hidden = false;
+    }
+
+    hideError() {
+      const errorElement = document.getElementById('cameraError');
+      if (errorElement) errorElement.hidden = true;
     }
 
     stop() {
       this.isRunning = false;
+      this.burstRemaining = 0;
+      this.stopRecording();
+      this.closeStream();
       
-      const toggleBtn = document.getElementById('audioToggle');
-      if (toggleBtn) toggleBtn.textContent = 'Start Audio Visualization';
-      
-      this.stopAllSources();
-      this.stopMicrophone();
+      this.frame.stop();
       
-      if (this.animationId) {
-        cancelAnimationFrame(this.animationId);
-        this.animationId = null;
-      }
+      const toggleBtn = document.getElementById('cameraToggle');
+      if (toggleBtn) toggleBtn.textContent = 'Start Camera';
+      this.setControlsEnabled(false);
+
+      this.faceTracker.reset();
+      this.faces = [];
+      this.updateFaceStats(0, 0);
+      this.motionAnalyzer.reset();
+      this.updateMotionLevel(0);
       
       // Clear canvas
       if (this.ctx) {
@@ -1278,682 +8186,869 @@
       }
     }
 
-    stopAllSources() {
-      if (this.oscillators) {
-        this.oscillators.forEach(osc => {
-          try { osc.stop(); } catch (e) {}
-        });
-        this.oscillators = null;
+    suspend() {
+      // Frames stop while suspended, so finish any clip or burst rather than freeze it
+      this.burstRemaining = 0;
+      this.stopRecording();
+
+      this.frame.stop();
+      if (this.video) this.video.pause();
+    }
+
+    releaseMedia() {
+      this.closeStream();
+    }
+
+    async resume(released) {
+      if (!this.isRunning) return;
+
+      if (released) {
+        await this.restartStream();
+      } else if (this.video) {
+        this.video.play().catch(() => {});
       }
-      
-      if (this.source && this.source.stop) {
-        try { this.source.stop(); } catch (e) {}
-        this.source = null;
+      if (this.isRunning && this.stream) this.frame.start();
+    }
+
+    setControlsEnabled(enabled) {
+      ['faceDetectionToggle', 'cameraFilter', 'addFilter', 'clearFilters', 'snapshotButton', 'burstButton', 'burstCount'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) element.disabled = !enabled;
+      });
+
+      const recordBtn = document.getElementById('recordToggle');
+      if (recordBtn) recordBtn.disabled = !enabled || !features.mediaRecorder;
+    }
+
+    toggleFaceDetection() {
+      this.faceDetectionEnabled = !this.faceDetectionEnabled;
+      const faceBtn = document.getElementById('faceDetectionToggle');
+      if (faceBtn) {
+        faceBtn.textContent = this.faceDetectionEnabled ? 'Disable Face Detection' : 'Enable Face Detection';
       }
+
+      if (!this.faceDetectionEnabled) {
+        this.faceTracker.reset();
+        this.faces = [];
+        this.updateFaceStats(0, 0);
+      }
+      utils.vibrate(25);
     }
 
     render() {
-      if (!this.isRunning || !this.analyser || !this.ctx) return;
+      if (!this.isRunning || !this.video || !this.ctx) return;
 
-      this.analyser.getByteFrequencyData(this.dataArray);
-      
-      const width = this.canvas.width;
-      const height = this.canvas.height;
-      const barWidth = width / this.dataArray.length;
-      
-      // Clear canvas with fade effect
-      this.ctx.fillStyle = 'rgba(0, 0, 0, 0.1)';
-      this.ctx.fillRect(0, 0, width, height);
-      
-      // Draw frequency bars
-      for (let i = 0; i < this.dataArray.length; i++) {
-        const barHeight = (this.dataArray[i] / 255) * height * this.sensitivity;
-        const hue = (i / this.dataArray.length) * 360;
-        
-        this.ctx.fillStyle = `hsl(${hue}, 70%, 50%)`;
-        this.ctx.fillRect(i * barWidth, height - barHeight, barWidth - 1, barHeight);
-        
-        // Add reflection effect
-        this.ctx.fillStyle = `hsla(${hue}, 70%, 50%, 0.3)`;
-        this.ctx.fillRect(i * barWidth, 0, barWidth - 1, barHeight * 0.3);
+      // Nothing to draw while a stream is (re)starting
+      if (this.video.readyState < this.video.HAVE_CURRENT_DATA) return;
+
+      const start = performance.now();
+
+      // Filters run on the GPU when possible, otherwise over ImageData on the CPU
+      if (!this.renderGPU()) {
+        this.ctx.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
+        this.applyPipeline();
       }
-      
-      // Draw waveform
-      this.analyser.getByteTimeDomainData(this.dataArray);
-      this.ctx.strokeStyle = '#fff';
-      this.ctx.lineWidth = 2;
-      this.ctx.beginPath();
-      
-      for (let i = 0; i < this.dataArray.length; i++) {
-        const x = (i / this.dataArray.length) * width;
-        const y = ((this.dataArray[i] - 128) / 128) * (height / 4) + height / 2;
-        
-        if (i === 0) {
-          this.ctx.moveTo(x, y);
-        } else {
-          this.ctx.lineTo(x, y);
-        }
+
+      this.updatePipelineStats(performance.now() - start);
+
+      if (this.hasStage('motion')) {
+        this.drawFlowVectors();
       }
       
-      this.ctx.stroke();
-      
-      this.animationId = requestAnimationFrame(() => this.render());
+      // Face detection reads the raw video, so filters don't affect it
+      if (this.faceDetectionEnabled) {
+        this.detectFaces();
+      }
+
+      // Burst frames are grabbed after overlays so they match what is on screen
+      if (this.burstRemaining > 0 && performance.now() - this.lastBurstFrame >= 100) {
+        this.lastBurstFrame = performance.now();
+        const frame = this.burstTotal - this.burstRemaining + 1;
+        this.burstRemaining--;
+        this.takeSnapshot(`Burst ${frame}/${this.burstTotal}`);
+      }
     }
 
-    showFallback() {
-      const container = document.querySelector('.audio-container');
-      if (container) {
-        container.innerHTML = '<p style="color: var(--muted); text-align: center; padding: 2rem;">Web Audio API is not supported in this browser.</p>';
+    renderGPU() {
+      if (this.pipeline.length === 0 || this.pipeline.some(stage => CAMERA_FILTERS[stage.type].cpuOnly)) {
+        return false;
+      }
+
+      if (!this.glPipeline) {
+        this.glPipeline = new WebGLFilterPipeline();
+      }
+      if (!this.glPipeline.available) return false;
+
+      try {
+        const output = this.glPipeline.render(this.video, this.pipeline, this.canvas.width, this.canvas.height);
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.drawImage(output, 0, 0);
+        this.renderer = 'WebGL';
+        return true;
+      } catch (err) {
+        notifications.warning('GPU filters failed, so filters now run on the CPU.', { error: err });
+        this.glPipeline.available = false;
+        return false;
       }
     }
-  }
 
-  // Physics Simulation
-  class PhysicsSimulation {
-    constructor() {
-      this.canvas = null;
-      this.ctx = null;
-      this.objects = [];
-      this.animationId = null;
-      this.isRunning = false;
-      this.gravity = { x: 0, y: 0.5 };
-      this.gravityEnabled = true;
-      this.objectCount = 0;
-      this.lastTime = 0;
-      this.init();
+    applyPipeline() {
+      this.renderer = 'CPU';
+      if (this.pipeline.length === 0) return;
+
+      const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+      this.pipeline.forEach(stage => {
+        CAMERA_FILTERS[stage.type].cpu(imageData, stage.params, this);
+      });
+      this.ctx.putImageData(imageData, 0, 0);
     }
 
-    init() {
-      this.createCanvas();
-      this.setupEventListeners();
+    updatePipelineStats(time) {
+      this.pipelineTime += (time - this.pipelineTime) * 0.1;
+
+      const rendererElement = document.getElementById('filterRenderer');
+      if (rendererElement) {
+        rendererElement.textContent = this.pipeline.length
+          ? `${this.renderer} · ${this.pipelineTime.toFixed(1)} ms`
+          : 'None';
+      }
     }
 
-    createCanvas() {
-      const container = document.querySelector('.physics-container');
-      if (!container) return;
+    hasStage(type) {
+      return this.pipeline.some(stage => stage.type === type);
+    }
 
-      this.canvas = document.createElement('canvas');
-      this.canvas.width = 600;
-      this.canvas.height = 400;
-      this.canvas.style.maxWidth = '100%';
-      this.canvas.style.height = 'auto';
-      this.canvas.style.cursor = 'crosshair';
-      
-      container.appendChild(this.canvas);
-      this.ctx = this.canvas.getContext('2d');
+    addStage(type) {
+      const filter = CAMERA_FILTERS[type];
+      if (!filter || this.pipeline.length >= 8) return;
+
+      const params = {};
+      filter.params.forEach(param => { params[param.name] = param.value; });
+      this.pipeline.push({ id: this.nextStageId++, type, params });
+
+      this.renderPipelineList();
+      utils.vibrate(20);
     }
 
-    setupEventListeners() {
-      const toggleBtn = document.getElementById('physicsToggle');
-      const gravityBtn = document.getElementById('gravityToggle');
-      const clearBtn = document.getElementById('clearPhysics');
+    removeStage(id) {
+      this.pipeline = this.pipeline.filter(stage => stage.id !== id);
+      this.onPipelineChanged();
+    }
 
-      if (toggleBtn) {
-        toggleBtn.addEventListener('click', () => this.toggle());
-      }
+    moveStage(id, delta) {
+      const index = this.pipeline.findIndex(stage => stage.id === id);
+      const target = index + delta;
+      if (index < 0 || target < 0 || target >= this.pipeline.length) return;
 
-      if (gravityBtn) {
-        gravityBtn.addEventListener('click', () => this.toggleGravity());
+      [this.pipeline[index], this.pipeline[target]] = [this.pipeline[target], this.pipeline[index]];
+      this.renderPipelineList();
+    }
+
+    clearPipeline() {
+      this.pipeline = [];
+      this.onPipelineChanged();
+      utils.vibrate(30);
+    }
+
+    onPipelineChanged() {
+      if (!this.hasStage('motion')) {
+        this.motionAnalyzer.reset();
+        this.updateMotionLevel(0);
       }
+      this.renderPipelineList();
+    }
 
-      if (clearBtn) {
-        clearBtn.addEventListener('click', () => this.clearObjects());
+    renderPipelineList() {
+      const list = document.getElementById('filterPipeline');
+      if (!list) return;
+
+      list.innerHTML = '';
+      list.hidden = this.pipeline.length === 0;
+
+      this.pipeline.forEach((stage, index) => {
+        const filter = CAMERA_FILTERS[stage.type];
+        const item = document.createElement('li');
+        item.className = 'filter-stage';
+
+        const header = document.createElement('div');
+        header.className = 'filter-stage-header';
+
+        const name = document.createElement('span');
+        name.textContent = `${index + 1}. ${filter.label}${filter.cpuOnly ? ' (CPU only)' : ''}`;
+        header.appendChild(name);
+
+        [['↑', 'Move up', () => this.moveStage(stage.id, -1)],
+         ['↓', 'Move down', () => this.moveStage(stage.id, 1)],
+         ['×', 'Remove', () => this.removeStage(stage.id)]].forEach(([text, action, handler]) => {
+          const button = document.createElement('button');
+          button.className = 'btn btn-secondary';
+          button.textContent = text;
+          button.setAttribute('aria-label', `${action} ${filter.label}`);
+          button.addEventListener('click', handler);
+          header.appendChild(button);
+        });
+
+        item.appendChild(header);
+
+        filter.params.forEach(param => {
+          const label = document.createElement('label');
+          label.className = 'control-label';
+          label.append(`${param.label}: `);
+
+          const input = document.createElement('input');
+
+          if (param.type === 'color') {
+            input.type = 'color';
+            input.value = stage.params[param.name];
+            input.addEventListener('input', (e) => {
+              stage.params[param.name] = e.target.value;
+            });
+            label.appendChild(input);
+          } else {
+            input.type = 'range';
+            input.className = 'slider';
+            input.min = param.min;
+            input.max = param.max;
+            input.step = param.step;
+            input.value = stage.params[param.name];
+
+            const value = document.createElement('span');
+            value.textContent = stage.params[param.name];
+
+            input.addEventListener('input', (e) => {
+              stage.params[param.name] = parseFloat(e.target.value);
+              value.textContent = e.target.value;
+            });
+            label.appendChild(input);
+            label.appendChild(value);
+          }
+
+          item.appendChild(label);
+        });
+
+        list.appendChild(item);
+      });
+    }
+
+    takeSnapshot(label = 'Snapshot') {
+      if (!this.isRunning || !this.canvas) return;
+
+      const thumbnail = this.gallery.createThumbnail(this.canvas);
+      this.canvas.toBlob((blob) => {
+        if (!blob) return;
+        this.gallery.add({ blob, thumbnail, label, extension: 'png' });
+      }, 'image/png');
+
+      utils.vibrate(20);
+    }
+
+    startBurst() {
+      const countSelect = document.getElementById('burstCount');
+      this.burstTotal = countSelect ? parseInt(countSelect.value, 10) : 5;
+      this.burstRemaining = this.burstTotal;
+      this.lastBurstFrame = 0;
+    }
+
+    toggleRecording() {
+      if (this.recorder) {
+        this.stopRecording();
+      } else {
+        this.startRecording();
       }
+      utils.vibrate(30);
+    }
 
-      if (this.canvas) {
-        this.canvas.addEventListener('click', (e) => this.addObject(e));
-        this.canvas.addEventListener('touchstart', (e) => {
-          e.preventDefault();
-          const touch = e.touches[0];
-          const rect = this.canvas.getBoundingClientRect();
-          const x = touch.clientX - rect.left;
-          const y = touch.clientY - rect.top;
-          this.addObjectAt(x, y);
+    startRecording() {
+      if (!this.isRunning || !features.mediaRecorder || this.recorder) return;
+
+      const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type));
+
+      try {
+        // Recording the canvas (not the camera stream) keeps filters and overlays in the clip
+        const stream = this.canvas.captureStream(30);
+        const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+        const chunks = [];
+        const thumbnail = this.gallery.createThumbnail(this.canvas);
+        const startedAt = performance.now();
+
+        recorder.addEventListener('dataavailable', (e) => {
+          if (e.data.size > 0) chunks.push(e.data);
+        });
+
+        recorder.addEventListener('stop', () => {
+          stream.getTracks().forEach(track => track.stop());
+          const seconds = (performance.now() - startedAt) / 1000;
+          const blob = new Blob(chunks, { type: recorder.mimeType || 'video/webm' });
+          if (blob.size > 0) {
+            this.gallery.add({ blob, thumbnail, label: `Clip ${seconds.toFixed(1)}s`, extension: 'webm' });
+          }
         });
+
+        recorder.start(1000);
+        this.recorder = recorder;
+        this.updateRecordingButton(startedAt);
+        this.recordingTimer = setInterval(() => this.updateRecordingButton(startedAt), 1000);
+      } catch (err) {
+        notifications.error('Recording could not be started.', { error: err });
+        this.recorder = null;
+      }
+    }
+
+    stopRecording() {
+      if (!this.recorder) return;
+
+      if (this.recorder.state !== 'inactive') {
+        this.recorder.stop();
+      }
+      this.recorder = null;
+
+      clearInterval(this.recordingTimer);
+      this.recordingTimer = null;
+      this.updateRecordingButton(null);
+    }
+
+    updateRecordingButton(startedAt) {
+      const recordBtn = document.getElementById('recordToggle');
+      if (!recordBtn) return;
+
+      if (startedAt === null) {
+        recordBtn.textContent = 'Record Clip';
+        recordBtn.setAttribute('aria-pressed', 'false');
+        return;
       }
+
+      const elapsed = Math.floor((performance.now() - startedAt) / 1000);
+      const minutes = Math.floor(elapsed / 60);
+      const seconds = String(elapsed % 60).padStart(2, '0');
+      recordBtn.textContent = `Stop Recording (${minutes}:${seconds})`;
+      recordBtn.setAttribute('aria-pressed', 'true');
     }
 
-    addObject(e) {
-      const rect = this.canvas.getBoundingClientRect();
-      const x = e.clientX - rect.left;
-      const y = e.clientY - rect.top;
-      this.addObjectAt(x, y);
+    drawFlowVectors() {
+      const gain = 3; // Flow is only a few pixels per frame; exaggerate it to be visible
+
+      this.ctx.strokeStyle = '#00e5ff';
+      this.ctx.lineWidth = 2;
+      this.ctx.beginPath();
+
+      this.motionAnalyzer.vectors.forEach(({ x, y, dx, dy }) => {
+        if (dx * dx + dy * dy < 1) return;
+
+        const endX = x + dx * gain;
+        const endY = y + dy * gain;
+        const angle = Math.atan2(dy, dx);
+
+        this.ctx.moveTo(x, y);
+        this.ctx.lineTo(endX, endY);
+        this.ctx.lineTo(endX - 6 * Math.cos(angle - 0.5), endY - 6 * Math.sin(angle - 0.5));
+        this.ctx.moveTo(endX, endY);
+        this.ctx.lineTo(endX - 6 * Math.cos(angle + 0.5), endY - 6 * Math.sin(angle + 0.5));
+      });
+
+      this.ctx.stroke();
     }
 
-    addObjectAt(x, y) {
-      if (this.objects.length >= 50) return; // Limit objects for performance
-
-      const radius = Math.random() * 15 + 10;
-      const mass = radius / 5;
-      const color = `hsl(${Math.random() * 360}, 70%, 60%)`;
-      
-      const object = {
-        x: x,
-        y: y,
-        vx: (Math.random() - 0.5) * 10,
-        vy: (Math.random() - 0.5) * 10,
-        radius: radius,
-        mass: mass,
-        color: color,
-        restitution: 0.8,
-        friction: 0.99
-      };
+    // Motion level is readable from this.motionLevel or via the canvas 'motionlevel' event
+    updateMotionLevel(level) {
+      this.motionLevel = level;
 
-      this.objects.push(object);
-      this.updateObjectCount();
-      utils.vibrate(20);
-    }
+      const levelElement = document.getElementById('motionLevel');
+      if (levelElement) levelElement.textContent = Math.round(level * 100);
 
-    toggle() {
-      if (this.isRunning) {
-        this.stop();
-      } else {
-        this.start();
+      if (this.canvas) {
+        this.canvas.dispatchEvent(new CustomEvent('motionlevel', {
+          detail: { level, vectors: this.motionAnalyzer.vectors }
+        }));
       }
-      utils.vibrate(30);
     }
 
-    start() {
-      if (this.isRunning) return;
-      
-      this.isRunning = true;
-      const toggleBtn = document.getElementById('physicsToggle');
-      if (toggleBtn) toggleBtn.textContent = 'Stop Physics';
-      
-      this.lastTime = performance.now();
-      this.render();
+    detectFaces() {
+      this.cvFrame = (this.cvFrame + 1) % this.cvInterval;
+      if (this.cvFrame === 0) {
+        this.faces = this.faceTracker.update(this.video, this.video.videoWidth, this.video.videoHeight);
+      }
+      const faces = this.faces;
+      const scaleX = this.canvas.width;
+      const scaleY = this.canvas.height;
+
+      faces.forEach((face, index) => {
+        const x = face.x * scaleX;
+        const y = face.y * scaleY;
+        const w = face.w * scaleX;
+        const h = face.h * scaleY;
+
+        // Draw face rectangle, dimmed while the track is coasting without a match
+        this.ctx.strokeStyle = face.stale ? 'rgba(0, 255, 0, 0.5)' : '#00ff00';
+        this.ctx.lineWidth = 3;
+        this.ctx.strokeRect(x, y, w, h);
+
+        // Draw face label
+        this.ctx.fillStyle = '#00ff00';
+        this.ctx.font = '16px Arial';
+        this.ctx.fillText(`Face ${index + 1} · ${(face.score * 100).toFixed(0)}%`, x, Math.max(16, y - 10));
+      });
+
+      this.updateFaceStats(faces.length, this.faceTracker.lastTime);
     }
 
-    stop() {
-      this.isRunning = false;
-      const toggleBtn = document.getElementById('physicsToggle');
-      if (toggleBtn) toggleBtn.textContent = 'Start Physics';
-      
-      if (this.animationId) {
-        cancelAnimationFrame(this.animationId);
-        this.animationId = null;
-      }
+    updateFaceStats(count, time) {
+      const countElement = document.getElementById('faceCount');
+      const timeElement = document.getElementById('faceTime');
+      if (countElement) countElement.textContent = count;
+      if (timeElement) timeElement.textContent = time.toFixed(1);
     }
 
-    toggleGravity() {
-      this.gravityEnabled = !this.gravityEnabled;
-      const gravityBtn = document.getElementById('gravityToggle');
-      if (gravityBtn) {
-        gravityBtn.textContent = this.gravityEnabled ? 'Disable Gravity' : 'Enable Gravity';
+    showFallback() {
+      const container = document.querySelector('.camera-container');
+      if (container) {
+        container.innerHTML = '<p style="color: var(--muted); text-align: center; padding: 2rem;">Camera access is not supported in this browser.</p>';
       }
-      utils.vibrate(25);
     }
+  }
 
-    clearObjects() {
-      this.objects = [];
-      this.updateObjectCount();
-      if (this.ctx) {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  // Image Classification Model
+  // Feature names the classifier can compute; model files reference them by name.
+  // The bundled model's weights are hand-tuned over these features, not trained.
+  const CLASSIFIER_FEATURES = [
+    'brightness', 'contrast', 'saturation', 'edgeDensity', 'skin', 'green', 'blue',
+    'warm', 'dark', 'white', 'neutral', 'topBlue', 'bottomBlue', 'topBrighter'
+  ];
+
+  class ImageClassifier {
+    constructor(url = '/models/image-classifier.json') {
+      this.url = url;
+      this.model = null;
+      this.loading = null;
+      this.canvas = document.createElement('canvas');
+      this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    load() {
+      if (this.model) return Promise.resolve(this.model);
+
+      // Served from our own origin so it stays within connect-src 'self'
+      if (!this.loading) {
+        this.loading = fetch(this.url)
+          .then(response => {
+            if (!response.ok) throw new Error(`Model request failed with status ${response.status}`);
+            return response.json();
+          })
+          .then(model => {
+            this.validate(model);
+            this.model = model;
+            return model;
+          })
+          .catch(err => {
+            this.loading = null; // Allow a retry on the next call
+            throw err;
+          });
       }
-      utils.vibrate(40);
+
+      return this.loading;
     }
 
-    updateObjectCount() {
-      this.objectCount = this.objects.length;
-      const countElement = document.getElementById('objectCount');
-      if (countElement) {
-        countElement.textContent = this.objectCount;
+    validate(model) {
+      if (!Array.isArray(model.features) || !Array.isArray(model.labels) || !Array.isArray(model.layers)) {
+        throw new Error('Model file is missing features, labels or layers');
       }
-    }
 
-    update(deltaTime) {
-      const dt = Math.min(deltaTime / 16.67, 2); // Cap at 2x normal speed
+      const unknown = model.features.find(name => !CLASSIFIER_FEATURES.includes(name));
+      if (unknown) throw new Error(`Model uses unknown feature "${unknown}"`);
 
-      for (let i = 0; i < this.objects.length; i++) {
-        const obj = this.objects[i];
-        
-        // Apply gravity
-        if (this.gravityEnabled) {
-          obj.vx += this.gravity.x * dt;
-          obj.vy += this.gravity.y * dt;
-        }
-        
-        // Apply friction
-        obj.vx *= obj.friction;
-        obj.vy *= obj.friction;
-        
-        // Update position
-        obj.x += obj.vx * dt;
-        obj.y += obj.vy * dt;
-        
-        // Boundary collisions
-        if (obj.x - obj.radius < 0) {
-          obj.x = obj.radius;
-          obj.vx = -obj.vx * obj.restitution;
-        }
-        if (obj.x + obj.radius > this.canvas.width) {
-          obj.x = this.canvas.width - obj.radius;
-          obj.vx = -obj.vx * obj.restitution;
-        }
-        if (obj.y - obj.radius < 0) {
-          obj.y = obj.radius;
-          obj.vy = -obj.vy * obj.restitution;
-        }
-        if (obj.y + obj.radius > this.canvas.height) {
-          obj.y = this.canvas.height - obj.radius;
-          obj.vy = -obj.vy * obj.restitution;
-        }
-      }
-      
-      // Object-to-object collisions
-      for (let i = 0; i < this.objects.length; i++) {
-        for (let j = i + 1; j < this.objects.length; j++) {
-          this.checkCollision(this.objects[i], this.objects[j]);
+      let size = model.features.length;
+      model.layers.forEach((layer, index) => {
+        if (layer.bias.length !== layer.weights.length || layer.weights.some(row => row.length !== size)) {
+          throw new Error(`Model layer ${index} has mismatched dimensions`);
         }
+        size = layer.weights.length;
+      });
+
+      if (size !== model.labels.length) {
+        throw new Error('Model output size does not match its labels');
       }
     }
 
-    checkCollision(obj1, obj2) {
-      const dx = obj2.x - obj1.x;
-      const dy = obj2.y - obj1.y;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-      const minDistance = obj1.radius + obj2.radius;
-      
-      if (distance < minDistance) {
-        // Collision detected - resolve it
-        const overlap = minDistance - distance;
-        const normalX = dx / distance;
-        const normalY = dy / distance;
-        
-        // Separate objects
-        const totalMass = obj1.mass + obj2.mass;
-        const move1 = overlap * (obj2.mass / totalMass);
-        const move2 = overlap * (obj1.mass / totalMass);
-        
-        obj1.x -= normalX * move1;
-        obj1.y -= normalY * move1;
-        obj2.x += normalX * move2;
-        obj2.y += normalY * move2;
-        
-        // Calculate relative velocity
-        const relativeVx = obj2.vx - obj1.vx;
-        const relativeVy = obj2.vy - obj1.vy;
-        const relativeSpeed = relativeVx * normalX + relativeVy * normalY;
-        
-        // Don't resolve if objects are separating
-        if (relativeSpeed > 0) return;
-        
-        // Calculate restitution
-        const restitution = Math.min(obj1.restitution, obj2.restitution);
-        
-        // Calculate impulse scalar
-        const impulse = (1 + restitution) * relativeSpeed / totalMass;
-        
-        // Apply impulse
-        obj1.vx += impulse * obj2.mass * normalX;
-        obj1.vy += impulse * obj2.mass * normalY;
-        obj2.vx -= impulse * obj1.mass * normalX;
-        obj2.vy -= impulse * obj1.mass * normalY;
-      }
+    classify(source, width, height) {
+      const start = performance.now();
+      const size = this.model.inputSize;
+      this.canvas.width = size;
+      this.canvas.height = size;
+
+      // Center-crop to a square before downsampling
+      const side = Math.min(width, height);
+      this.ctx.drawImage(source, (width - side) / 2, (height - side) / 2, side, side, 0, 0, size, size);
+
+      const pixels = this.ctx.getImageData(0, 0, size, size).data;
+      const features = this.extractFeatures(pixels, size);
+      const input = this.model.features.map(name => features[name]);
+      const preprocessed = performance.now();
+
+      const scores = this.forward(input);
+      const end = performance.now();
+
+      const predictions = scores
+        .map((confidence, index) => ({ label: this.model.labels[index], confidence }))
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, this.model.topK || 3);
+
+      return {
+        predictions,
+        timings: {
+          preprocess: preprocessed - start,
+          inference: end - preprocessed,
+          total: end - start
+        }
+      };
     }
 
-    render() {
-      if (!this.isRunning || !this.ctx) return;
+    forward(input) {
+      let values = input;
 
-      const currentTime = performance.now();
-      const deltaTime = currentTime - this.lastTime;
-      this.lastTime = currentTime;
+      for (const layer of this.model.layers) {
+        const output = layer.weights.map((row, j) => {
+          let sum = layer.bias[j];
+          for (let i = 0; i < row.length; i++) {
+            sum += row[i] * values[i];
+          }
+          return sum;
+        });
 
-      // Update physics
-      this.update(deltaTime);
-      
-      // Clear canvas
-      this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-      
-      // Draw background grid
-      this.drawGrid();
-      
-      // Draw objects
-      for (const obj of this.objects) {
-        this.ctx.beginPath();
-        this.ctx.arc(obj.x, obj.y, obj.radius, 0, Math.PI * 2);
-        this.ctx.fillStyle = obj.color;
-        this.ctx.fill();
-        
-        // Add gradient shading
-        const gradient = this.ctx.createRadialGradient(
-          obj.x - obj.radius * 0.3, obj.y - obj.radius * 0.3, 0,
-          obj.x, obj.y, obj.radius
-        );
-        gradient.addColorStop(0, 'rgba(255, 255, 255, 0.3)');
-        gradient.addColorStop(1, 'rgba(0, 0, 0, 0.2)');
-        this.ctx.fillStyle = gradient;
-        this.ctx.fill();
-        
-        // Draw velocity vector for debugging
-        if (Math.abs(obj.vx) > 0.1 || Math.abs(obj.vy) > 0.1) {
-          this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
-          this.ctx.lineWidth = 2;
-          this.ctx.beginPath();
-          this.ctx.moveTo(obj.x, obj.y);
-          this.ctx.lineTo(obj.x + obj.vx * 3, obj.y + obj.vy * 3);
-          this.ctx.stroke();
+        switch (layer.activation) {
+          case 'relu':
+            values = output.map(v => Math.max(0, v));
+            break;
+          case 'softmax': {
+            const max = Math.max(...output);
+            const exps = output.map(v => Math.exp(v - max));
+            const total = exps.reduce((a, b) => a + b, 0);
+            values = exps.map(v => v / total);
+            break;
+          }
+          default:
+            values = output;
         }
       }
-      
-      // Draw gravity indicator
-      if (this.gravityEnabled) {
-        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
-        this.ctx.font = '16px monospace';
-        this.ctx.fillText('Gravity: ON', 10, 25);
-      }
-      
-      this.animationId = requestAnimationFrame(() => this.render());
+
+      return values;
     }
 
-    drawGrid() {
-      this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
-      this.ctx.lineWidth = 1;
-      
-      const gridSize = 50;
-      
-      // Vertical lines
-      for (let x = 0; x <= this.canvas.width; x += gridSize) {
-        this.ctx.beginPath();
-        this.ctx.moveTo(x, 0);
-        this.ctx.lineTo(x, this.canvas.height);
-        this.ctx.stroke();
+    extractFeatures(pixels, size) {
+      const count = size * size;
+      const band = Math.max(1, Math.floor(size / 3));
+      const luma = new Float32Array(count);
+      let sumV = 0, sumS = 0, sumLuma = 0, sumLumaSq = 0;
+      let skin = 0, green = 0, blue = 0, warm = 0, dark = 0, white = 0, neutral = 0;
+      let topBlue = 0, bottomBlue = 0, topLuma = 0, bottomLuma = 0;
+
+      for (let i = 0; i < count; i++) {
+        const r = pixels[i * 4], g = pixels[i * 4 + 1], b = pixels[i * 4 + 2];
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const v = max / 255;
+        const s = max === 0 ? 0 : (max - min) / max;
+        const y = Math.floor(i / size);
+
+        let h = 0;
+        if (max !== min) {
+          if (max === r) h = ((g - b) / (max - min)) % 6;
+          else if (max === g) h = (b - r) / (max - min) + 2;
+          else h = (r - g) / (max - min) + 4;
+          h *= 60;
+          if (h < 0) h += 360;
+        }
+
+        const l = (r * 0.299 + g * 0.587 + b * 0.114) / 255;
+        luma[i] = l;
+        sumLuma += l;
+        sumLumaSq += l * l;
+        sumV += v;
+        sumS += s;
+        if (y < band) topLuma += l;
+        if (y >= size - band) bottomLuma += l;
+
+        if (v < 0.2) {
+          dark++;
+        } else if (s < 0.15) {
+          neutral++;
+          if (v > 0.8) white++;
+        } else if (h >= 70 && h < 170) {
+          green++;
+        } else if (h >= 180 && h < 260 && s > 0.2) {
+          blue++;
+          if (y < band) topBlue++;
+          if (y >= size - band) bottomBlue++;
+        }
+
+        if ((h < 50 || h >= 330) && s > 0.35 && v > 0.3) warm++;
+
+        // Classic YCbCr skin range
+        const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+        const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+        if (v > 0.2 && cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173) skin++;
       }
-      
-      // Horizontal lines
-      for (let y = 0; y <= this.canvas.height; y += gridSize) {
-        this.ctx.beginPath();
-        this.ctx.moveTo(0, y);
-        this.ctx.lineTo(this.canvas.width, y);
-        this.ctx.stroke();
+
+      // Fraction of pixels on a strong Sobel edge
+      let edges = 0;
+      for (let y = 1; y < size - 1; y++) {
+        for (let x = 1; x < size - 1; x++) {
+          const i = y * size + x;
+          const gx = luma[i - size + 1] + 2 * luma[i + 1] + luma[i + size + 1] -
+                     luma[i - size - 1] - 2 * luma[i - 1] - luma[i + size - 1];
+          const gy = luma[i + size - 1] + 2 * luma[i + size] + luma[i + size + 1] -
+                     luma[i - size - 1] - 2 * luma[i - size] - luma[i - size + 1];
+          if (Math.sqrt(gx * gx + gy * gy) > 0.5) edges++;
+        }
       }
+
+      const meanLuma = sumLuma / count;
+      const bandCount = band * size;
+
+      return {
+        brightness: sumV / count,
+        contrast: Math.min(1, Math.sqrt(Math.max(0, sumLumaSq / count - meanLuma * meanLuma)) * 2),
+        saturation: sumS / count,
+        edgeDensity: size > 2 ? edges / ((size - 2) * (size - 2)) : 0,
+        skin: skin / count,
+        green: green / count,
+        blue: blue / count,
+        warm: warm / count,
+        dark: dark / count,
+        white: white / count,
+        neutral: neutral / count,
+        topBlue: topBlue / bandCount,
+        bottomBlue: bottomBlue / bandCount,
+        topBrighter: utils.clamp((topLuma - bottomLuma) / bandCount, -1, 1)
+      };
     }
   }
 
-  // Computer Vision & Camera
-  class CameraVision {
+  // Teachable k-Nearest-Neighbour Classifier
+  // Samples are L2-normalised feature vectors, so euclidean distance ranks like cosine similarity
+  const KNN_FEATURE_MODES = {
+    pixels: { size: 12, length: 12 * 12 * 3 },
+    edges: { size: 24, length: 12 * 12 }
+  };
+
+  class KNNClassifier {
     constructor() {
-      this.video = null;
-      this.canvas = null;
-      this.ctx = null;
-      this.stream = null;
-      this.animationId = null;
-      this.isRunning = false;
-      this.currentFilter = 'none';
-      this.faceDetectionEnabled = false;
-      this.init();
+      this.classes = [];
+      this.featureMode = 'pixels';
+      this.k = 3;
+      this.nextId = 1;
+      this.canvas = document.createElement('canvas');
+      this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
     }
 
-    init() {
-      if (!features.getUserMedia) {
-        this.showFallback();
-        return;
+    addClass(name) {
+      const cls = { id: this.nextId++, name: name || this.defaultClassName(), samples: [] };
+      this.classes.push(cls);
+      return cls;
+    }
+
+    defaultClassName() {
+      const taken = new Set(this.classes.map(cls => cls.name));
+      for (let i = 0; ; i++) {
+        const letters = i < 26 ? String.fromCharCode(65 + i) : `${i + 1}`;
+        if (!taken.has(`Class ${letters}`)) return `Class ${letters}`;
       }
+    }
 
-      this.setupElements();
-      this.setupEventListeners();
+    getClass(id) {
+      return this.classes.find(cls => cls.id === id);
     }
 
-    setupElements() {
-      this.video = document.getElementById('cameraVideo');
-      this.canvas = document.getElementById('cameraCanvas');
-      
-      if (this.canvas) {
-        this.canvas.width = 640;
-        this.canvas.height = 480;
-        this.ctx = this.canvas.getContext('2d');
-      }
+    renameClass(id, name) {
+      const cls = this.getClass(id);
+      if (cls && name.trim()) cls.name = name.trim();
     }
 
-    setupEventListeners() {
-      const toggleBtn = document.getElementById('cameraToggle');
-      const faceBtn = document.getElementById('faceDetectionToggle');
-      const filterSelect = document.getElementById('cameraFilter');
+    removeClass(id) {
+      this.classes = this.classes.filter(cls => cls.id !== id);
+    }
 
-      if (toggleBtn) {
-        toggleBtn.addEventListener('click', () => this.toggle());
-      }
+    clearClass(id) {
+      const cls = this.getClass(id);
+      if (cls) cls.samples = [];
+    }
 
-      if (faceBtn) {
-        faceBtn.addEventListener('click', () => this.toggleFaceDetection());
-      }
+    clearAll() {
+      this.classes.forEach(cls => { cls.samples = []; });
+    }
 
-      if (filterSelect) {
-        filterSelect.addEventListener('change', (e) => {
-          this.currentFilter = e.target.value;
-        });
-      }
+    sampleCount() {
+      return this.classes.reduce((total, cls) => total + cls.samples.length, 0);
     }
 
-    async toggle() {
-      if (this.isRunning) {
-        this.stop();
-      } else {
-        await this.start();
-      }
-      utils.vibrate(30);
+    setFeatureMode(mode) {
+      if (!KNN_FEATURE_MODES[mode] || this.sampleCount() > 0) return false;
+      this.featureMode = mode;
+      return true;
     }
 
-    async start() {
-      if (this.isRunning) return;
+    addSample(id, source, width, height) {
+      const cls = this.getClass(id);
+      if (!cls) return;
+      cls.samples.push(this.extractFeatures(source, width, height));
+    }
 
-      try {
-        this.stream = await navigator.mediaDevices.getUserMedia({ 
-          video: { width: 640, height: 480 },
-          audio: false 
-        });
-        
-        if (this.video) {
-          this.video.srcObject = this.stream;
-          await this.video.play();
+    classify(source, width, height) {
+      const start = performance.now();
+      const features = this.extractFeatures(source, width, height);
+
+      const neighbours = [];
+      for (const cls of this.classes) {
+        for (const sample of cls.samples) {
+          neighbours.push({ id: cls.id, distance: this.distance(features, sample) });
         }
-        
-        this.isRunning = true;
-        
-        const toggleBtn = document.getElementById('cameraToggle');
-        const faceBtn = document.getElementById('faceDetectionToggle');
-        const filterSelect = document.getElementById('cameraFilter');
-        
-        if (toggleBtn) toggleBtn.textContent = 'Stop Camera';
-        if (faceBtn) faceBtn.disabled = false;
-        if (filterSelect) filterSelect.disabled = false;
-        
-        this.render();
-        
-      } catch (err) {
-        console.error('Failed to access camera:', err);
-        alert('Failed to access camera. Please check permissions.');
       }
-    }
 
-    stop() {
-      this.isRunning = false;
-      
-      if (this.stream) {
-        this.stream.getTracks().forEach(track => track.stop());
-        this.stream = null;
-      }
-      
-      if (this.animationId) {
-        cancelAnimationFrame(this.animationId);
-        this.animationId = null;
-      }
-      
-      const toggleBtn = document.getElementById('cameraToggle');
-      const faceBtn = document.getElementById('faceDetectionToggle');
-      const filterSelect = document.getElementById('cameraFilter');
-      
-      if (toggleBtn) toggleBtn.textContent = 'Start Camera';
-      if (faceBtn) faceBtn.disabled = true;
-      if (filterSelect) filterSelect.disabled = true;
-      
-      // Clear canvas
-      if (this.ctx) {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-      }
+      if (neighbours.length === 0) return null;
+
+      neighbours.sort((a, b) => a.distance - b.distance);
+      const nearest = neighbours.slice(0, Math.min(this.k, neighbours.length));
+
+      // Distance-weighted vote so a single very close sample can win a tie
+      const votes = new Map();
+      let totalWeight = 0;
+      nearest.forEach(({ id, distance }) => {
+        const weight = 1 / (distance + 1e-3);
+        votes.set(id, (votes.get(id) || 0) + weight);
+        totalWeight += weight;
+      });
+
+      const scores = this.classes.map(cls => ({
+        id: cls.id,
+        name: cls.name,
+        confidence: (votes.get(cls.id) || 0) / totalWeight
+      }));
+      const best = scores.reduce((a, b) => (b.confidence > a.confidence ? b : a));
+
+      return { best, scores, time: performance.now() - start };
     }
 
-    toggleFaceDetection() {
-      this.faceDetectionEnabled = !this.faceDetectionEnabled;
-      const faceBtn = document.getElementById('faceDetectionToggle');
-      if (faceBtn) {
-        faceBtn.textContent = this.faceDetectionEnabled ? 'Disable Face Detection' : 'Enable Face Detection';
+    distance(a, b) {
+      let sum = 0;
+      for (let i = 0; i < a.length; i++) {
+        const d = a[i] - b[i];
+        sum += d * d;
       }
-      utils.vibrate(25);
+      return Math.sqrt(sum);
     }
 
-    render() {
-      if (!this.isRunning || !this.video || !this.ctx) return;
+    extractFeatures(source, width, height) {
+      const { size } = KNN_FEATURE_MODES[this.featureMode];
+      this.canvas.width = size;
+      this.canvas.height = size;
 
-      // Draw video frame to canvas
-      this.ctx.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
-      
-      // Apply filters
-      this.applyFilter();
-      
-      // Simple face detection (placeholder - would use real CV library in production)
-      if (this.faceDetectionEnabled) {
-        this.detectFaces();
-      }
-      
-      this.animationId = requestAnimationFrame(() => this.render());
+      const side = Math.min(width, height);
+      this.ctx.drawImage(source, (width - side) / 2, (height - side) / 2, side, side, 0, 0, size, size);
+      const pixels = this.ctx.getImageData(0, 0, size, size).data;
+
+      const features = this.featureMode === 'edges'
+        ? this.edgeFeatures(pixels, size)
+        : this.pixelFeatures(pixels, size);
+
+      return this.normalize(features);
     }
 
-    applyFilter() {
-      if (this.currentFilter === 'none') return;
+    pixelFeatures(pixels, size) {
+      const features = new Float32Array(size * size * 3);
+      let mean = 0;
 
-      const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-      const data = imageData.data;
+      for (let i = 0; i < size * size; i++) {
+        features[i * 3] = pixels[i * 4] / 255;
+        features[i * 3 + 1] = pixels[i * 4 + 1] / 255;
+        features[i * 3 + 2] = pixels[i * 4 + 2] / 255;
+        mean += features[i * 3] + features[i * 3 + 1] + features[i * 3 + 2];
+      }
 
-      switch (this.currentFilter) {
-        case 'grayscale':
-          for (let i = 0; i < data.length; i += 4) {
-            const gray = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
-            data[i] = data[i + 1] = data[i + 2] = gray;
-          }
-          break;
-          
-        case 'sepia':
-          for (let i = 0; i < data.length; i += 4) {
-            const r = data[i];
-            const g = data[i + 1];
-            const b = data[i + 2];
-            data[i] = Math.min(255, r * 0.393 + g * 0.769 + b * 0.189);
-            data[i + 1] = Math.min(255, r * 0.349 + g * 0.686 + b * 0.168);
-            data[i + 2] = Math.min(255, r * 0.272 + g * 0.534 + b * 0.131);
-          }
-          break;
-          
-        case 'blur':
-          this.applyBlur(imageData);
-          break;
-          
-        case 'edge':
-          this.applyEdgeDetection(imageData);
-          break;
+      // Remove overall brightness so lighting changes matter less
+      mean /= features.length;
+      for (let i = 0; i < features.length; i++) {
+        features[i] -= mean;
       }
 
-      this.ctx.putImageData(imageData, 0, 0);
+      return features;
     }
 
-    applyBlur(imageData) {
-      // Simple box blur
-      const data = imageData.data;
-      const width = imageData.width;
-      const height = imageData.height;
-      const blurRadius = 2;
-      
-      for (let y = blurRadius; y < height - blurRadius; y++) {
-        for (let x = blurRadius; x < width - blurRadius; x++) {
-          let r = 0, g = 0, b = 0, count = 0;
-          
-          for (let dy = -blurRadius; dy <= blurRadius; dy++) {
-            for (let dx = -blurRadius; dx <= blurRadius; dx++) {
-              const idx = ((y + dy) * width + (x + dx)) * 4;
-              r += data[idx];
-              g += data[idx + 1];
-              b += data[idx + 2];
-              count++;
-            }
-          }
-          
-          const idx = (y * width + x) * 4;
-          data[idx] = r / count;
-          data[idx + 1] = g / count;
-          data[idx + 2] = b / count;
+    edgeFeatures(pixels, size) {
+      const gray = new Float32Array(size * size);
+      for (let i = 0; i < gray.length; i++) {
+        gray[i] = (pixels[i * 4] * 0.299 + pixels[i * 4 + 1] * 0.587 + pixels[i * 4 + 2] * 0.114) / 255;
+      }
+
+      // Sobel magnitude pooled over 2x2 cells
+      const half = size / 2;
+      const features = new Float32Array(half * half);
+      for (let y = 1; y < size - 1; y++) {
+        for (let x = 1; x < size - 1; x++) {
+          const i = y * size + x;
+          const gx = gray[i - size + 1] + 2 * gray[i + 1] + gray[i + size + 1] -
+                     gray[i - size - 1] - 2 * gray[i - 1] - gray[i + size - 1];
+          const gy = gray[i + size - 1] + 2 * gray[i + size] + gray[i + size + 1] -
+                     gray[i - size - 1] - 2 * gray[i - size] - gray[i - size + 1];
+          features[(y >> 1) * half + (x >> 1)] += Math.sqrt(gx * gx + gy * gy);
         }
       }
+
+      return features;
     }
 
-    applyEdgeDetection(imageData) {
-      // Sobel edge detection
-      const data = imageData.data;
-      const width = imageData.width;
-      const height = imageData.height;
-      const newData = new Uint8ClampedArray(data);
-      
-      const sobelX = [[-1, 0, 1], [-2, 0, 2], [-1, 0, 1]];
-      const sobelY = [[-1, -2, -1], [0, 0, 0], [1, 2, 1]];
-      
-      for (let y = 1; y < height - 1; y++) {
-        for (let x = 1; x < width - 1; x++) {
-          let gx = 0, gy = 0;
-          
-          for (let dy = -1; dy <= 1; dy++) {
-            for (let dx = -1; dx <= 1; dx++) {
-              const idx = ((y + dy) * width + (x + dx)) * 4;
-              const gray = data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114;
-              gx += gray * sobelX[dy + 1][dx + 1];
-              gy += gray * sobelY[dy + 1][dx + 1];
-            }
-          }
-          
-          const magnitude = Math.sqrt(gx * gx + gy * gy);
-          const idx = (y * width + x) * 4;
-          newData[idx] = newData[idx + 1] = newData[idx + 2] = Math.min(255, magnitude);
+    normalize(features) {
+      let norm = 0;
+      for (let i = 0; i < features.length; i++) {
+        norm += features[i] * features[i];
+      }
+
+      norm = Math.sqrt(norm);
+      if (norm > 0) {
+        for (let i = 0; i < features.length; i++) {
+          features[i] /= norm;
         }
       }
-      
-      imageData.data.set(newData);
+
+      return features;
     }
 
-    detectFaces() {
-      // Simplified face detection visualization (placeholder)
-      // In a real implementation, you'd use libraries like MediaPipe or face-api.js
-      
-      // Draw mock face detection rectangles at random positions for demo
-      const numFaces = Math.random() < 0.7 ? 1 : 0; // 70% chance of detecting a "face"
-      
-      for (let i = 0; i < numFaces; i++) {
-        const x = Math.random() * (this.canvas.width - 200) + 100;
-        const y = Math.random() * (this.canvas.height - 200) + 100;
-        const w = 120 + Math.random() * 80;
-        const h = 150 + Math.random() * 100;
-        
-        // Draw face rectangle
-        this.ctx.strokeStyle = '#00ff00';
-        this.ctx.lineWidth = 3;
-        this.ctx.strokeRect(x, y, w, h);
-        
-        // Draw face label
-        this.ctx.fillStyle = '#00ff00';
-        this.ctx.font = '16px Arial';
-        this.ctx.fillText('Face Detected', x, y - 10);
-        
-        // Draw eye positions
-        this.ctx.fillStyle = '#ff0000';
-        this.ctx.beginPath();
-        this.ctx.arc(x + w * 0.3, y + h * 0.3, 5, 0, Math.PI * 2);
-        this.ctx.arc(x + w * 0.7, y + h * 0.3, 5, 0, Math.PI * 2);
-        this.ctx.fill();
-      }
+    toJSON() {
+      return {
+        format: 'spawnpoint-knn-dataset',
+        version: 1,
+        featureMode: this.featureMode,
+        k: this.k,
+        classes: this.classes.map(cls => ({
+          name: cls.name,
+          // Four decimals keeps exports small without changing neighbour order in practice
+          samples: cls.samples.map(sample => Array.from(sample, v => Math.round(v * 10000) / 10000))
+        }))
+      };
     }
 
-    showFallback() {
-      const container = document.querySelector('.camera-container');
-      if (container) {
-        container.innerHTML = '<p style="color: var(--muted); text-align: center; padding: 2rem;">Camera access is not supported in this browser.</p>';
+    load(data) {
+      if (!data || data.format !== 'spawnpoint-knn-dataset' || !Array.isArray(data.classes)) {
+        throw new Error('Not a teachable classifier dataset');
       }
+
+      const mode = KNN_FEATURE_MODES[data.featureMode];
+      if (!mode) throw new Error(`Unknown feature mode "${data.featureMode}"`);
+
+      const classes = data.classes.map((cls, index) => {
+        if (typeof cls.name !== 'string' || !cls.name.trim() || !Array.isArray(cls.samples)) {
+          throw new Error(`Class ${index + 1} is malformed`);
+        }
+        const samples = cls.samples.map(sample => {
+          if (!Array.isArray(sample) || sample.length !== mode.length || sample.some(v => typeof v !== 'number')) {
+            throw new Error(`Class "${cls.name}" has a sample of the wrong size`);
+          }
+          return Float32Array.from(sample);
+        });
+        return { id: this.nextId++, name: cls.name.trim(), samples };
+      });
+
+      this.featureMode = data.featureMode;
+      this.k = Number.isInteger(data.k) && data.k > 0 ? data.k : 3;
+      this.classes = classes;
     }
   }
 
@@ -1965,7 +9060,15 @@
       this.confidence = 0;
       this.container = null;
       this.visualization = null;
-      this.animationId = null;
+      this.frame = scheduler.register('ML demo', () => this.animate(), { fps: 30, onError: () => this.stop() });
+      this.classifier = new ImageClassifier();
+      this.knn = new KNNClassifier();
+      this.knn.addClass();
+      this.knn.addClass();
+      this.teachCapture = null;
+      this.suspended = false;
+      this.lastTeachSample = 0;
+      this.lastTeachPrediction = 0;
       this.init();
     }
 
@@ -1978,6 +9081,7 @@
     setupElements() {
       this.container = document.querySelector('.ml-container');
       this.visualization = document.querySelector('.ml-visualization');
+      if (this.container) lifecycle.register(this, this.container);
     }
 
     setupEventListeners() {
@@ -1985,6 +9089,7 @@
       const poseBtn = document.getElementById('poseDetectionDemo');
       const objectBtn = document.getElementById('objectRecognitionDemo');
       const imageBtn = document.getElementById('imageClassificationDemo');
+      const teachBtn = document.getElementById('teachModeDemo');
 
       if (toggleBtn) {
         toggleBtn.addEventListener('click', () => this.toggle());
@@ -2001,6 +9106,10 @@
       if (imageBtn) {
         imageBtn.addEventListener('click', () => this.switchDemo('image'));
       }
+
+      if (teachBtn) {
+        teachBtn.addEventListener('click', () => this.switchDemo('teach'));
+      }
     }
 
     switchDemo(type) {
@@ -2015,7 +9124,8 @@
 
       const activeBtn = document.getElementById(`${type}DetectionDemo`) || 
                        document.getElementById(`${type}RecognitionDemo`) ||
-                       document.getElementById(`${type}ClassificationDemo`);
+                       document.getElementById(`${type}ClassificationDemo`) ||
+                       document.getElementById(`${type}ModeDemo`);
       if (activeBtn) {
         activeBtn.classList.remove('btn-secondary');
         activeBtn.classList.add('btn-primary');
@@ -2024,6 +9134,7 @@
       if (this.isRunning) {
         this.createVisualization();
       }
+      this.updateCameraHold();
 
       utils.vibrate(25);
     }
@@ -2045,32 +9156,77 @@
       if (toggleBtn) toggleBtn.textContent = 'Stop ML Demo';
       
       this.updateStatus('Loading', 'loading');
+      this.updateCameraHold();
       
-      // Simulate model loading time
-      setTimeout(() => {
+      this.loadDemo().then(() => {
+        if (!this.isRunning) return;
         this.updateStatus('Active', 'active');
         this.createVisualization();
-        this.startAnimation();
-      }, 2000);
+        if (!this.suspended) this.frame.start();
+      }).catch(err => {
+        this.stop();
+        this.updateStatus('Error', 'error');
+        notifications.error('The image classification model failed to load.', {
+          error: err,
+          actions: [{ label: 'Retry', onClick: () => this.start() }]
+        });
+      });
+    }
+
+    loadDemo() {
+      switch (this.currentDemo) {
+        case 'image':
+          return this.classifier.load();
+        case 'teach':
+          return Promise.resolve(); // Trained in the browser, nothing to fetch
+        default:
+          // Simulate model loading time
+          return new Promise(resolve => setTimeout(resolve, 2000));
+      }
+    }
+
+    suspend() {
+      this.suspended = true;
+      this.teachCapture = null;
+      this.updateCameraHold();
+
+      this.frame.stop();
+    }
+
+    resume() {
+      this.suspended = false;
+      this.updateCameraHold();
+      if (this.isRunning) this.frame.start();
     }
 
     stop() {
       this.isRunning = false;
+      this.teachCapture = null;
       const toggleBtn = document.getElementById('mlToggle');
       if (toggleBtn) toggleBtn.textContent = 'Start ML Demo';
       
       this.updateStatus('Ready');
+      this.updateCameraHold();
       
-      if (this.animationId) {
-        cancelAnimationFrame(this.animationId);
-        this.animationId = null;
-      }
+      this.frame.stop();
       
       if (this.visualization) {
         this.visualization.innerHTML = '';
       }
     }
 
+    // Image and teach modes read the camera card's video, which is off-screen while this
+    // card is in view, so keep the lifecycle from pausing it underneath them
+    updateCameraHold() {
+      const video = document.getElementById('cameraVideo');
+      const reading = this.isRunning && !this.suspended && (this.currentDemo === 'image' || this.currentDemo === 'teach');
+      if (reading) {
+        lifecycle.hold(video, this);
+      } else {
+        lifecycle.release(video, this);
+      }
+    }
+
     updateStatus(text, className = '') {
       const statusElement = document.getElementById('mlStatus');
       if (statusElement) {
@@ -2083,6 +9239,9 @@
       if (!this.visualization) return;
 
       this.visualization.innerHTML = '';
+      this.classifierUI = null;
+      this.teachUI = null;
+      this.teachCapture = null;
 
       switch (this.currentDemo) {
         case 'pose':
@@ -2094,6 +9253,9 @@
         case 'image':
           this.createImageVisualization();
           break;
+        case 'teach':
+          this.createTeachVisualization();
+          break;
       }
     }
 
@@ -2131,45 +9293,515 @@
 
     createImageVisualization() {
       const container = document.createElement('div');
-      container.style.textAlign = 'center';
-      container.style.padding = '2rem';
-      
+      container.className = 'ml-classifier';
+
+      // Drop zone doubles as the preview of the last classified image
+      const dropzone = document.createElement('div');
+      dropzone.className = 'ml-dropzone';
+      dropzone.tabIndex = 0;
+      dropzone.setAttribute('role', 'button');
+      dropzone.setAttribute('aria-label', 'Choose or drop an image to classify');
+
+      const preview = document.createElement('canvas');
+      preview.className = 'ml-preview';
+      preview.width = 224;
+      preview.height = 224;
+
+      const hint = document.createElement('p');
+      hint.className = 'ml-dropzone-hint';
+      hint.textContent = 'Drop an image here or tap to choose one';
+
+      const fileInput = document.createElement('input');
+      fileInput.type = 'file';
+      fileInput.accept = 'image/*';
+      fileInput.className = 'file-input';
+
+      dropzone.appendChild(preview);
+      dropzone.appendChild(hint);
+
+      const panel = document.createElement('div');
+      panel.className = 'ml-classifier-panel';
+
       const title = document.createElement('h5');
       title.textContent = 'Image Classification Results';
-      title.style.marginBottom = '1rem';
-      title.style.color = 'white';
-      
-      const results = document.createElement('div');
-      results.style.display = 'flex';
-      results.style.flexDirection = 'column';
-      results.style.gap = '0.5rem';
-      
-      const predictions = [
-        { class: 'Cat', confidence: 0.89 },
-        { class: 'Dog', confidence: 0.76 },
-        { class: 'Bird', confidence: 0.23 }
-      ];
-      
+
+      const cameraBtn = document.createElement('button');
+      cameraBtn.className = 'btn btn-secondary';
+      cameraBtn.textContent = 'Use Camera Frame';
+
+      const results = document.createElement('ol');
+      results.className = 'ml-results';
+      results.setAttribute('aria-live', 'polite');
+
+      const timings = document.createElement('p');
+      timings.className = 'ml-timings';
+      timings.textContent = 'Choose an image or grab a frame from the camera.';
+
+      panel.appendChild(title);
+      panel.appendChild(cameraBtn);
+      panel.appendChild(results);
+      panel.appendChild(timings);
+
+      container.appendChild(dropzone);
+      container.appendChild(fileInput);
+      container.appendChild(panel);
+      this.visualization.appendChild(container);
+
+      this.classifierUI = { dropzone, preview, hint, results, timings };
+      this.setConfidence(0);
+
+      dropzone.addEventListener('click', () => fileInput.click());
+      dropzone.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          fileInput.click();
+        }
+      });
+      dropzone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropzone.classList.add('dragging');
+      });
+      dropzone.addEventListener('dragleave', () => dropzone.classList.remove('dragging'));
+      dropzone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropzone.classList.remove('dragging');
+        this.classifyFile(e.dataTransfer.files[0]);
+      });
+
+      fileInput.addEventListener('change', (e) => {
+        this.classifyFile(e.target.files[0]);
+        e.target.value = '';
+      });
+
+      cameraBtn.addEventListener('click', () => this.classifyCameraFrame());
+    }
+
+    async classifyFile(file) {
+      if (!file) return;
+
+      if (!file.type.startsWith('image/')) {
+        notifications.warning('That file is not an image.');
+        return;
+      }
+
+      try {
+        const image = await this.decodeImage(file);
+        const width = image.naturalWidth || image.width;
+        const height = image.naturalHeight || image.height;
+        await this.runClassification(image, width, height);
+        if (image.close) image.close();
+      } catch (err) {
+        notifications.error('That image could not be read. Try a PNG or JPEG.', { error: err });
+      }
+    }
+
+    async decodeImage(file) {
+      if ('createImageBitmap' in window) {
+        return createImageBitmap(file);
+      }
+
+      // data: URLs are the only non-origin image source the CSP allows
+      const url = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+      });
+
+      const image = new Image();
+      image.src = url;
+      await image.decode();
+      return image;
+    }
+
+    // Why the camera card's video has no live frame to read, or null when it has one.
+    // A paused video keeps its last frame, which would otherwise pass as live.
+    cameraVideoIssue(video) {
+      if (!video || !video.srcObject) return 'Start the camera in the Computer Vision card first.';
+      if (video.ended) return 'The camera stream ended. Restart it in the Computer Vision card.';
+      if (video.paused) return 'The camera is paused. Scroll to the Computer Vision card to resume it.';
+      if (video.readyState < video.HAVE_CURRENT_DATA) return 'Waiting for the first camera frame.';
+      return null;
+    }
+
+    classifyCameraFrame() {
+      const video = document.getElementById('cameraVideo');
+      const issue = this.cameraVideoIssue(video);
+
+      if (issue) {
+        notifications.warning(issue);
+        return;
+      }
+
+      this.runClassification(video, video.videoWidth, video.videoHeight);
+    }
+
+    async runClassification(source, width, height) {
+      if (!this.classifierUI) return;
+
+      try {
+        if (!this.classifier.model) {
+          this.updateStatus('Loading', 'loading');
+          await this.classifier.load();
+        }
+
+        this.drawPreview(source, width, height);
+        const { predictions, timings } = this.classifier.classify(source, width, height);
+        this.renderPredictions(predictions, timings);
+        this.updateStatus('Active', 'active');
+      } catch (err) {
+        this.updateStatus('Error', 'error');
+        notifications.error('Image classification failed.', { error: err });
+      }
+    }
+
+    drawPreview(source, width, height) {
+      const { preview, hint } = this.classifierUI;
+      const ctx = preview.getContext('2d');
+      const scale = Math.min(preview.width / width, preview.height / height);
+      const w = width * scale;
+      const h = height * scale;
+
+      ctx.clearRect(0, 0, preview.width, preview.height);
+      ctx.drawImage(source, (preview.width - w) / 2, (preview.height - h) / 2, w, h);
+      hint.hidden = true;
+    }
+
+    renderPredictions(predictions, timings) {
+      const { results, timings: timingsEl } = this.classifierUI;
+      results.innerHTML = '';
+
       predictions.forEach(pred => {
-        const item = document.createElement('div');
-        item.style.display = 'flex';
-        item.style.justifyContent = 'space-between';
-        item.style.padding = '0.5rem';
-        item.style.background = 'rgba(255, 255, 255, 0.1)';
-        item.style.borderRadius = '4px';
-        item.style.color = 'white';
-        
-        item.innerHTML = `
-          <span>${pred.class}</span>
-          <span>${(pred.confidence * 100).toFixed(1)}%</span>
-        `;
-        
-        results.appendChild(item);
+        results.appendChild(this.createResultItem(pred.label, pred.confidence, 1));
       });
-      
-      container.appendChild(title);
-      container.appendChild(results);
+
+      timingsEl.textContent = `Preprocess ${timings.preprocess.toFixed(1)} ms · ` +
+        `Inference ${timings.inference.toFixed(2)} ms · Total ${timings.total.toFixed(1)} ms`;
+
+      this.setConfidence(predictions.length ? predictions[0].confidence : 0);
+    }
+
+    createResultItem(text, confidence, digits) {
+      const item = document.createElement('li');
+      item.className = 'ml-result';
+
+      const label = document.createElement('span');
+      label.textContent = text;
+
+      const value = document.createElement('span');
+      value.textContent = `${(confidence * 100).toFixed(digits)}%`;
+
+      // Bar width is set through CSSOM, which the style-src CSP allows
+      const bar = document.createElement('span');
+      bar.className = 'ml-result-bar';
+      bar.style.width = `${confidence * 100}%`;
+
+      item.appendChild(label);
+      item.appendChild(value);
+      item.appendChild(bar);
+      return item;
+    }
+
+    setConfidence(value) {
+      this.confidence = value;
+      const confidenceElement = document.getElementById('confidenceValue');
+      if (confidenceElement) {
+        confidenceElement.textContent = `${(value * 100).toFixed(1)}%`;
+      }
+    }
+
+    createTeachVisualization() {
+      const container = document.createElement('div');
+      container.className = 'ml-teach';
+
+      // Live camera preview and current prediction
+      const live = document.createElement('div');
+      live.className = 'ml-teach-live';
+
+      const preview = document.createElement('canvas');
+      preview.className = 'ml-teach-preview';
+      preview.width = 160;
+      preview.height = 120;
+
+      const prediction = document.createElement('p');
+      prediction.className = 'ml-teach-prediction';
+      prediction.setAttribute('aria-live', 'polite');
+
+      const scores = document.createElement('ol');
+      scores.className = 'ml-results';
+
+      const message = document.createElement('p');
+      message.className = 'ml-timings';
+
+      live.appendChild(preview);
+      live.appendChild(prediction);
+      live.appendChild(scores);
+      live.appendChild(message);
+
+      // Class list and dataset tools
+      const panel = document.createElement('div');
+      panel.className = 'ml-teach-panel';
+
+      const classList = document.createElement('ul');
+      classList.className = 'ml-teach-classes';
+
+      const actions = document.createElement('div');
+      actions.className = 'ml-teach-actions';
+
+      const addBtn = document.createElement('button');
+      addBtn.className = 'btn btn-secondary';
+      addBtn.textContent = 'Add Class';
+
+      const modeSelect = document.createElement('select');
+      modeSelect.className = 'select';
+      modeSelect.setAttribute('aria-label', 'Feature type');
+      [['pixels', 'Pixel features'], ['edges', 'Edge features']].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        modeSelect.appendChild(option);
+      });
+      modeSelect.value = this.knn.featureMode;
+
+      const kLabel = document.createElement('label');
+      kLabel.className = 'control-label';
+      kLabel.textContent = 'k: ';
+      const kInput = document.createElement('input');
+      kInput.type = 'number';
+      kInput.min = '1';
+      kInput.max = '15';
+      kInput.value = this.knn.k;
+      kInput.className = 'ml-teach-k';
+      kLabel.appendChild(kInput);
+
+      const exportBtn = document.createElement('button');
+      exportBtn.className = 'btn btn-secondary';
+      exportBtn.textContent = 'Export';
+
+      const importBtn = document.createElement('button');
+      importBtn.className = 'btn btn-secondary';
+      importBtn.textContent = 'Import';
+
+      const importInput = document.createElement('input');
+      importInput.type = 'file';
+      importInput.accept = 'application/json,.json';
+      importInput.className = 'file-input';
+
+      const clearBtn = document.createElement('button');
+      clearBtn.className = 'btn btn-secondary';
+      clearBtn.textContent = 'Clear All';
+
+      [addBtn, modeSelect, kLabel, exportBtn, importBtn, importInput, clearBtn].forEach(el => actions.appendChild(el));
+
+      panel.appendChild(classList);
+      panel.appendChild(actions);
+
+      container.appendChild(live);
+      container.appendChild(panel);
       this.visualization.appendChild(container);
+
+      this.teachUI = { preview, prediction, scores, message, classList, modeSelect, kInput, counts: new Map() };
+
+      addBtn.addEventListener('click', () => {
+        this.knn.addClass();
+        this.renderTeachClasses();
+      });
+
+      modeSelect.addEventListener('change', (e) => {
+        if (!this.knn.setFeatureMode(e.target.value)) {
+          e.target.value = this.knn.featureMode;
+        }
+      });
+
+      kInput.addEventListener('change', (e) => {
+        const k = parseInt(e.target.value, 10);
+        this.knn.k = Number.isInteger(k) ? utils.clamp(k, 1, 15) : 3;
+        e.target.value = this.knn.k;
+      });
+
+      exportBtn.addEventListener('click', () => this.exportTeachDataset());
+      importBtn.addEventListener('click', () => importInput.click());
+      importInput.addEventListener('change', (e) => {
+        this.importTeachDataset(e.target.files[0]);
+        e.target.value = '';
+      });
+
+      clearBtn.addEventListener('click', () => {
+        this.knn.clearAll();
+        this.updateTeachCounts();
+        utils.vibrate(40);
+      });
+
+      this.renderTeachClasses();
+    }
+
+    renderTeachClasses() {
+      const { classList, counts } = this.teachUI;
+      classList.innerHTML = '';
+      counts.clear();
+
+      this.knn.classes.forEach(cls => {
+        const item = document.createElement('li');
+        item.className = 'ml-teach-class';
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.value = cls.name;
+        nameInput.className = 'ml-teach-name';
+        nameInput.setAttribute('aria-label', 'Class name');
+
+        // Samples are captured for as long as the button is held
+        const captureBtn = document.createElement('button');
+        captureBtn.className = 'btn btn-secondary ml-teach-capture';
+        const count = document.createElement('span');
+        captureBtn.append('Hold to add · ', count);
+        counts.set(cls.id, count);
+
+        const startCapture = () => {
+          this.teachCapture = cls.id;
+          captureBtn.classList.add('capturing');
+        };
+        const stopCapture = () => {
+          if (this.teachCapture === cls.id) this.teachCapture = null;
+          captureBtn.classList.remove('capturing');
+        };
+
+        captureBtn.addEventListener('pointerdown', (e) => {
+          captureBtn.setPointerCapture(e.pointerId);
+          startCapture();
+        });
+        captureBtn.addEventListener('pointerup', stopCapture);
+        captureBtn.addEventListener('pointercancel', stopCapture);
+        captureBtn.addEventListener('lostpointercapture', stopCapture);
+        captureBtn.addEventListener('keydown', (e) => {
+          if ((e.key === ' ' || e.key === 'Enter') && !e.repeat) {
+            e.preventDefault();
+            startCapture();
+          }
+        });
+        captureBtn.addEventListener('keyup', (e) => {
+          if (e.key === ' ' || e.key === 'Enter') stopCapture();
+        });
+        captureBtn.addEventListener('blur', stopCapture);
+
+        const clearBtn = document.createElement('button');
+        clearBtn.className = 'btn btn-secondary';
+        clearBtn.textContent = 'Clear';
+        clearBtn.addEventListener('click', () => {
+          this.knn.clearClass(cls.id);
+          this.updateTeachCounts();
+        });
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn-secondary';
+        removeBtn.textContent = '×';
+        removeBtn.addEventListener('click', () => {
+          this.knn.removeClass(cls.id);
+          this.renderTeachClasses();
+        });
+
+        // The buttons are announced by class name, so they follow renames
+        const updateLabels = () => {
+          captureBtn.setAttribute('aria-label', `Hold to add samples to ${cls.name}`);
+          removeBtn.setAttribute('aria-label', `Remove ${cls.name}`);
+        };
+        updateLabels();
+
+        nameInput.addEventListener('change', (e) => {
+          this.knn.renameClass(cls.id, e.target.value);
+          e.target.value = cls.name;
+          updateLabels();
+        });
+
+        item.appendChild(nameInput);
+        item.appendChild(captureBtn);
+        item.appendChild(clearBtn);
+        item.appendChild(removeBtn);
+        classList.appendChild(item);
+      });
+
+      this.updateTeachCounts();
+    }
+
+    updateTeachCounts() {
+      if (!this.teachUI) return;
+
+      this.knn.classes.forEach(cls => {
+        const count = this.teachUI.counts.get(cls.id);
+        if (count) count.textContent = cls.samples.length;
+      });
+
+      // Feature vectors of different modes can't be mixed
+      this.teachUI.modeSelect.disabled = this.knn.sampleCount() > 0;
+      this.teachUI.modeSelect.value = this.knn.featureMode;
+      this.teachUI.kInput.value = this.knn.k;
+    }
+
+    updateTeach() {
+      const { preview, prediction, scores, message } = this.teachUI;
+      const video = document.getElementById('cameraVideo');
+      const issue = this.cameraVideoIssue(video);
+      const ctx = preview.getContext('2d');
+
+      // Nothing is captured or predicted from a frozen frame
+      if (issue) {
+        ctx.clearRect(0, 0, preview.width, preview.height);
+        prediction.textContent = issue;
+        scores.innerHTML = '';
+        this.setConfidence(0);
+        return;
+      }
+
+      const width = video.videoWidth;
+      const height = video.videoHeight;
+      ctx.drawImage(video, 0, 0, preview.width, preview.height);
+
+      const now = performance.now();
+
+      // Capture at most ten samples per second while a class button is held
+      if (this.teachCapture !== null && now - this.lastTeachSample >= 100) {
+        this.lastTeachSample = now;
+        this.knn.addSample(this.teachCapture, video, width, height);
+        this.updateTeachCounts();
+      }
+
+      if (now - this.lastTeachPrediction < 100) return;
+      this.lastTeachPrediction = now;
+
+      const result = this.knn.classify(video, width, height);
+      if (!result) {
+        prediction.textContent = 'Hold a class button to capture samples.';
+        scores.innerHTML = '';
+        this.setConfidence(0);
+        return;
+      }
+
+      prediction.textContent = `Prediction: ${result.best.name}`;
+      message.textContent = `${this.knn.sampleCount()} samples · k=${this.knn.k} · ${result.time.toFixed(1)} ms`;
+
+      scores.innerHTML = '';
+      result.scores.forEach(score => {
+        scores.appendChild(this.createResultItem(score.name, score.confidence, 0));
+      });
+
+      this.setConfidence(result.best.confidence);
+    }
+
+    exportTeachDataset() {
+      const blob = new Blob([JSON.stringify(this.knn.toJSON())], { type: 'application/json' });
+      utils.downloadBlob(blob, 'teachable-dataset.json');
+    }
+
+    async importTeachDataset(file) {
+      if (!file) return;
+
+      try {
+        this.knn.load(JSON.parse(await file.text()));
+        if (this.teachUI) this.renderTeachClasses();
+        notifications.success(`Imported ${this.knn.sampleCount()} samples.`);
+      } catch (err) {
+        notifications.error(`The dataset could not be imported: ${err.message}`, { error: err });
+      }
     }
 
     drawPoseSkeleton(ctx, centerX, centerY) {
@@ -2250,14 +9882,16 @@
       ctx.fillText('Object Detection Results', 10, 25);
     }
 
-    startAnimation() {
+    animate() {
       if (!this.isRunning) return;
 
-      // Animate confidence values
-      this.confidence = Math.sin(Date.now() * 0.003) * 0.2 + 0.8;
-      const confidenceElement = document.getElementById('confidenceValue');
-      if (confidenceElement) {
-        confidenceElement.textContent = `${(this.confidence * 100).toFixed(1)}%`;
+      // Animate confidence values for the canned demos; the others report real scores
+      if (this.currentDemo === 'pose' || this.currentDemo === 'object') {
+        this.setConfidence(Math.sin(Date.now() * 0.003) * 0.2 + 0.8);
+      }
+
+      if (this.currentDemo === 'teach' && this.teachUI) {
+        this.updateTeach();
       }
 
       // Animate pose if active
@@ -2267,8 +9901,6 @@
         const centerY = this.poseCanvas.height / 2 + Math.cos(time * 0.7) * 5;
         this.drawPoseSkeleton(this.poseCtx, centerX, centerY);
       }
-
-      this.animationId = requestAnimationFrame(() => this.startAnimation());
     }
   }
 
@@ -2360,6 +9992,8 @@
       yearSpan.textContent = new Date().getFullYear();
     }
 
+    scheduler.mountControls();
+
     // Initialize all components
     new ThemeManager();
     new Counter();